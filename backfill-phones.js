@@ -0,0 +1,68 @@
+// backfill-phones.js - Fill the normalised caller / contact numbers on existing forms
+//
+//   node backfill-phones.js
+//
+// Safe to re-run: only rows without normalised numbers are touched.
+
+import mysql from 'mysql2/promise';
+import dotenv from 'dotenv';
+import { normalizePhone } from './src/phone.js';
+
+dotenv.config();
+
+const BATCH_SIZE = 1000;
+
+async function backfillPhones() {
+  let connection;
+  try {
+    connection = await mysql.createConnection({
+      host: process.env.MYSQL_HOST || 'localhost',
+      user: process.env.MYSQL_USER || 'root',
+      password: process.env.MYSQL_PASSWORD || '',
+      port: process.env.MYSQL_PORT || 3306,
+      database: process.env.MYSQL_DB || 'spcform',
+    });
+
+    let lastId = 0;
+    let updated = 0;
+    for (;;) {
+      const [rows] = await connection.execute(
+        `SELECT id, caller_id_number, contact_number
+           FROM forms_new
+          WHERE id > ? AND caller_number_normalized IS NULL AND contact_number_normalized IS NULL
+          ORDER BY id
+          LIMIT ${BATCH_SIZE}`,
+        [lastId]
+      );
+      if (rows.length === 0) break;
+
+      for (const row of rows) {
+        const caller = normalizePhone(row.caller_id_number);
+        const contact = normalizePhone(row.contact_number);
+        if (caller || contact) {
+          await connection.execute(
+            'UPDATE forms_new SET caller_number_normalized = ?, contact_number_normalized = ? WHERE id = ?',
+            [caller, contact, row.id]
+          );
+          updated++;
+        }
+      }
+      lastId = rows[rows.length - 1].id;
+      console.log(`… up to form #${lastId}`);
+    }
+    console.log(`✅ Normalised phone numbers on ${updated} form(s)`);
+  } catch (error) {
+    console.error('❌ Backfill failed:', error.message);
+    process.exit(1);
+  } finally {
+    if (connection) {
+      await connection.end();
+    }
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  backfillPhones();
+}
+
+export { backfillPhones };
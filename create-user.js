@@ -0,0 +1,77 @@
+// create-user.js - Script to create (or reset) a login account, e.g. the first admin
+//
+//   node create-user.js <username> <password> [agent|supervisor|admin] [agent_id] [tenant]
+//
+// tenant is a tenant slug (default: "default") or "platform" for an account
+// outside every tenant, e.g. the admin who creates tenants:
+//
+//   node create-user.js root 's3cret-pass' admin '' platform
+
+import mysql from 'mysql2/promise';
+import bcrypt from 'bcryptjs';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const ROLES = ['agent', 'supervisor', 'admin'];
+
+async function createUser(username, password, role = 'admin', agentId = null, tenant = 'default') {
+  if (!username || !password) {
+    console.error('Usage: node create-user.js <username> <password> [agent|supervisor|admin] [agent_id] [tenant|platform]');
+    process.exit(1);
+  }
+  if (!ROLES.includes(role)) {
+    console.error(`❌ Role must be one of ${ROLES.join(', ')}`);
+    process.exit(1);
+  }
+  if (password.length < 8) {
+    console.error('❌ Password must be at least 8 characters');
+    process.exit(1);
+  }
+
+  let connection;
+  try {
+    connection = await mysql.createConnection({
+      host: process.env.MYSQL_HOST || 'localhost',
+      user: process.env.MYSQL_USER || 'root',
+      password: process.env.MYSQL_PASSWORD || '',
+      port: process.env.MYSQL_PORT || 3306,
+      database: process.env.MYSQL_DB || 'spcform',
+    });
+
+    let tenantId = null;
+    if (tenant !== 'platform') {
+      const [tenants] = await connection.execute('SELECT id FROM tenants WHERE slug = ?', [tenant]);
+      if (tenants.length === 0) {
+        console.error(`❌ Unknown tenant "${tenant}"`);
+        process.exit(1);
+      }
+      tenantId = tenants[0].id;
+    }
+
+    const passwordHash = await bcrypt.hash(password, 10);
+    // Re-running for an existing username resets its password, role and tenant
+    await connection.execute(
+      `INSERT INTO users (tenant_id, username, password_hash, role, agent_id)
+       VALUES (?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE tenant_id = VALUES(tenant_id), password_hash = VALUES(password_hash),
+                               role = VALUES(role), agent_id = VALUES(agent_id), is_active = TRUE`,
+      [tenantId, username, passwordHash, role, agentId || null]
+    );
+    console.log(`✅ User "${username}" saved with role ${role} in ${tenantId === null ? 'the platform' : `tenant ${tenant}`}`);
+  } catch (error) {
+    console.error('❌ Creating user failed:', error.message);
+    process.exit(1);
+  } finally {
+    if (connection) {
+      await connection.end();
+    }
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const [username, password, role, agentId, tenant] = process.argv.slice(2);
+  createUser(username, password, role, agentId, tenant);
+}
+
+export { createUser };
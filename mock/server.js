@@ -0,0 +1,137 @@
+// mock/server.js - VoiceMeetMe portal stand-in serving recorded responses
+// from mock/fixtures, for working on the portal client without portal access.
+//
+//   npm run mock:portal
+//   BASE_URL=http://localhost:8790 npm start
+//
+// Any username / password logs in. Known call ids are the keys of
+// fixtures/calls.json and fixtures/cdr.json; other ids answer 404.
+// MOCK_FAIL_FIRST=n answers the first n API requests with 503 and
+// MOCK_LATENCY_MS delays every answer, to exercise retries and timeouts;
+// MOCK_TOKEN_TTL_SECONDS shortens token life to exercise renewal.
+// `npm test` runs the portal client tests (test/) against it.
+
+import express from 'express';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const PORT = Number(process.env.MOCK_PORTAL_PORT) || 8790;
+const FAIL_FIRST = Number(process.env.MOCK_FAIL_FIRST) || 0;
+const LATENCY_MS = Number(process.env.MOCK_LATENCY_MS) || 0;
+const TOKEN_TTL_SECONDS = Number(process.env.MOCK_TOKEN_TTL_SECONDS) || 3600;
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+function fixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES, name), 'utf8'));
+}
+
+const calls = fixture('calls.json');
+const cdrs = fixture('cdr.json');
+// Tokens issued by this process; restarting the mock revokes them (401)
+const accessTokens = new Set();
+const refreshTokens = new Set();
+const notes = new Map();
+let failuresLeft = FAIL_FIRST;
+
+function issueTokens() {
+  const access = `mock-access-${crypto.randomBytes(8).toString('hex')}`;
+  const refresh = `mock-refresh-${crypto.randomBytes(8).toString('hex')}`;
+  accessTokens.add(access);
+  refreshTokens.add(refresh);
+  return { accessToken: access, refreshToken: refresh, expiresIn: TOKEN_TTL_SECONDS };
+}
+
+const app = express();
+app.use(express.json());
+
+// Requests answered so far, for tests (GET /mock/requests is not listed itself)
+const requestLog = [];
+app.get('/mock/requests', (_req, res) => res.json(requestLog));
+
+app.use((req, _res, next) => {
+  console.log(`${req.method} ${req.originalUrl}`);
+  requestLog.push(`${req.method} ${req.originalUrl}`);
+  setTimeout(next, LATENCY_MS);
+});
+
+// The real portal answers on one of the three login URLs depending on its
+// version; the mock only has the v2 one so the client's fallback is exercised
+app.post('/api/v2/login', (req, res) => {
+  const { domain, username, password } = req.body || {};
+  if (!domain || !username || !password) return res.status(401).json({ error: 'Invalid credentials' });
+  res.json(issueTokens());
+});
+
+app.post('/api/v2/config/login/refresh', (req, res) => {
+  const token = req.body?.refreshToken || req.body?.refresh_token;
+  if (!refreshTokens.has(token)) return res.status(401).json({ error: 'Invalid refresh token' });
+  refreshTokens.delete(token);
+  res.json(issueTokens());
+});
+
+app.use('/api', (req, res, next) => {
+  const token = (req.get('authorization') || '').replace(/^Bearer /, '');
+  if (!accessTokens.has(token)) return res.status(401).json({ error: 'Invalid or expired token' });
+  if (failuresLeft > 0) {
+    failuresLeft--;
+    return res.status(503).json({ error: 'Service temporarily unavailable (MOCK_FAIL_FIRST)' });
+  }
+  next();
+});
+
+app.get('/api/v2/config/campaigns/dispositions', (_req, res) => res.json(fixture('dispositions.json')));
+
+app.get('/api/v2/config/campaigns/call/:callId', (req, res) => {
+  const call = calls[req.params.callId];
+  if (!call) return res.status(404).json({ error: 'Call not found' });
+  res.json({ data: { ...call, notes: notes.get(call.id) || [] } });
+});
+
+app.put('/api/v2/config/campaigns/call/:callId/disposition', (req, res) => {
+  const call = calls[req.params.callId];
+  if (!call) return res.status(404).json({ error: 'Call not found' });
+  if (!req.body?.value) return res.status(400).json({ error: 'value is required' });
+  call.disposition = req.body.value;
+  res.status(204).end();
+});
+
+app.post('/api/v2/config/campaigns/call/:callId/notes', (req, res) => {
+  const call = calls[req.params.callId];
+  if (!call) return res.status(404).json({ error: 'Call not found' });
+  if (!req.body?.note) return res.status(400).json({ error: 'note is required' });
+  const list = notes.get(call.id) || [];
+  const note = { id: list.length + 1, note: req.body.note, created_at: new Date().toISOString() };
+  notes.set(call.id, [...list, note]);
+  res.status(201).json({ data: note });
+});
+
+app.get('/api/v2/cdr/:callId', (req, res) => {
+  const cdr = cdrs[req.params.callId];
+  if (!cdr) return res.status(404).json({ error: 'CDR not found' });
+  res.json({ data: cdr });
+});
+
+app.get('/api/v2/cdr/:callId/recording', (req, res) => {
+  if (!cdrs[req.params.callId]?.recording) return res.status(404).json({ error: 'Recording not found' });
+  res.type('audio/wav').sendFile(path.join(FIXTURES, 'recording.wav'));
+});
+
+app.get('/api/v2/config/queues', (_req, res) => res.json(fixture('queues.json')));
+
+app.get('/api/v2/config/agents', (req, res) => {
+  const agents = fixture('agents.json');
+  if (req.query.queue) {
+    agents.items = agents.items.filter(a => a.queues.map(String).includes(String(req.query.queue)));
+  }
+  res.json(agents);
+});
+
+app.use((req, res) => res.status(404).json({ error: `No mock for ${req.method} ${req.path}` }));
+
+// Express 5 hands listen errors (e.g. the port is taken) to this callback
+app.listen(PORT, (err) => {
+  if (err) throw err;
+  console.log(`VoiceMeetMe mock portal listening on http://localhost:${PORT}`);
+});
@@ -11,6 +11,14 @@ dotenv.config();
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Errors raised when re-running the schema against an already initialized database
+const SKIPPABLE_ERRORS = [
+  'ER_TABLE_EXISTS_ERROR',
+  'ER_DUP_ENTRY',
+  'ER_DUP_FIELDNAME', // ALTER TABLE ... ADD COLUMN already applied
+  'ER_DUP_KEYNAME',   // ALTER TABLE ... ADD INDEX already applied
+];
+
 async function setupDatabase() {
   let connection;
   
@@ -67,7 +75,7 @@ async function setupDatabase() {
         const preview = statement.length > 50 ? statement.substring(0, 50) + '...' : statement;
         console.log('✓ Executed:', preview);
       } catch (error) {
-        if (error.code === 'ER_TABLE_EXISTS_ERROR' || error.code === 'ER_DUP_ENTRY') {
+        if (SKIPPABLE_ERRORS.includes(error.code)) {
           const preview = statement.length > 50 ? statement.substring(0, 50) + '...' : statement;
           console.log('⚠ Skipped (already exists):', preview);
         } else {
@@ -102,9 +110,10 @@ async function setupDatabase() {
 
     console.log('\n✅ Database setup completed successfully!');
     console.log('\nNext steps:');
-    console.log('1. Start the backend server: cd backend && node src/form.js');
-    console.log('2. Start the frontend: cd frontend/new_form && npm start');
-    console.log('3. Test the form at http://localhost:3000');
+    console.log('1. Create the first admin: node create-user.js <username> <password> admin');
+    console.log('2. Start the backend server: cd backend && node src/form.js');
+    console.log('3. Start the frontend: cd frontend/new_form && npm start');
+    console.log('4. Test the form at http://localhost:3000');
 
   } catch (error) {
     console.error('❌ Database setup failed:', error.message);
@@ -0,0 +1,433 @@
+// src/auth.js
+
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+import dotenv from 'dotenv';
+import { pool } from './form.js';
+import { httpError, sendError } from './httpError.js';
+import { bindTenant } from './tenants.js';
+
+dotenv.config();
+
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '12h';
+export const ROLES = ['agent', 'supervisor', 'admin'];
+// API keys authenticate machines: the PBX calling /webhook, or admin scripts
+const API_KEY_ROLES = ['pbx', 'admin'];
+const DUMMY_HASH = bcrypt.hashSync('not-a-real-password', 10);
+
+function jwtSecret() {
+  if (!process.env.JWT_SECRET) throw new Error('JWT_SECRET is not configured');
+  return process.env.JWT_SECRET;
+}
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * CORS settings: CORS_ORIGINS is a comma-separated allow-list of origins.
+ * When it is not set only the front end (CLIENT_URL) is allowed.
+ */
+export function corsOptions() {
+  const origins = (process.env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+  if (origins.length === 0) origins.push(process.env.CLIENT_URL || 'http://localhost:3000');
+  return { origin: origins, credentials: true };
+}
+
+// --- Users & tokens ---------------------------------------------------------
+
+async function loadUser(id) {
+  const [rows] = await pool.execute(
+    'SELECT id, tenant_id, username, display_name, email, role, agent_id, is_active FROM users WHERE id = ?',
+    [id]
+  );
+  if (rows.length === 0 || !rows[0].is_active) return null;
+
+  const user = rows[0];
+  const [queues] = await pool.execute('SELECT queue_id FROM user_queues WHERE user_id = ?', [id]);
+  return {
+    id: user.id,
+    username: user.username,
+    displayName: user.display_name,
+    email: user.email,
+    role: user.role,
+    agentId: user.agent_id,
+    queues: queues.map(q => q.queue_id),
+    // NULL for platform accounts, which may work in any tenant
+    homeTenantId: user.tenant_id,
+  };
+}
+
+/**
+ * Check credentials and issue a JWT
+ * @param {string} username
+ * @param {string} password
+ * @returns {Promise<{ token: string, user: Object }>}
+ */
+export async function login(username, password) {
+  if (!username || !password) throw httpError(400, 'username and password are required');
+
+  const [rows] = await pool.execute('SELECT * FROM users WHERE username = ?', [username]);
+  const row = rows[0];
+  // Compare against a dummy hash for unknown users so timing does not leak which usernames exist
+  const ok = await bcrypt.compare(String(password), row ? row.password_hash : DUMMY_HASH);
+  if (!row || !ok || !row.is_active) throw httpError(401, 'Invalid username or password');
+
+  await pool.execute('UPDATE users SET last_login_at = ? WHERE id = ?', [new Date(), row.id]);
+  const token = jwt.sign({ sub: row.id, role: row.role }, jwtSecret(), { expiresIn: JWT_EXPIRES_IN });
+  return { token, user: await loadUser(row.id) };
+}
+
+/**
+ * Create a user account
+ * @param {Object} data { username, password, role, display_name, email, agent_id, queues }
+ * @param {number|null} tenantId Tenant of the account, null for a platform account
+ */
+export async function createUser({ username, password, role, display_name, email, agent_id, queues }, tenantId) {
+  if (!username || !password) throw httpError(400, 'username and password are required');
+  if (String(password).length < 8) throw httpError(400, 'password must be at least 8 characters');
+  if (!ROLES.includes(role)) throw httpError(400, `role must be one of ${ROLES.join(', ')}`);
+
+  const passwordHash = await bcrypt.hash(String(password), 10);
+  let result;
+  try {
+    [result] = await pool.execute(
+      `INSERT INTO users (tenant_id, username, password_hash, role, display_name, email, agent_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [tenantId, username, passwordHash, role, display_name || null, email || null, agent_id || null]
+    );
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') throw httpError(409, `User "${username}" already exists`);
+    throw err;
+  }
+  if (queues) await setUserQueues(result.insertId, queues);
+  return loadUser(result.insertId);
+}
+
+/**
+ * Update a user account of a tenant
+ * @param {number} id
+ * @param {Object} changes { password, role, display_name, email, agent_id, is_active, queues }
+ * @param {number} tenantId
+ */
+export async function updateUser(id, changes, tenantId) {
+  const [rows] = await pool.execute('SELECT * FROM users WHERE id = ? AND tenant_id = ?', [id, tenantId]);
+  if (rows.length === 0) throw httpError(404, 'User not found');
+  const current = rows[0];
+
+  const role = changes.role ?? current.role;
+  if (!ROLES.includes(role)) throw httpError(400, `role must be one of ${ROLES.join(', ')}`);
+  let passwordHash = current.password_hash;
+  if (changes.password !== undefined) {
+    if (String(changes.password).length < 8) throw httpError(400, 'password must be at least 8 characters');
+    passwordHash = await bcrypt.hash(String(changes.password), 10);
+  }
+
+  await pool.execute(
+    `UPDATE users
+        SET password_hash = ?, role = ?, display_name = ?, email = ?, agent_id = ?, is_active = ?
+      WHERE id = ?`,
+    [
+      passwordHash,
+      role,
+      changes.display_name !== undefined ? changes.display_name : current.display_name,
+      changes.email !== undefined ? changes.email : current.email,
+      changes.agent_id !== undefined ? changes.agent_id || null : current.agent_id,
+      changes.is_active !== undefined ? Boolean(changes.is_active) : current.is_active,
+      id,
+    ]
+  );
+  if (changes.queues !== undefined) await setUserQueues(id, changes.queues);
+  // Deactivated users are not loadable any more
+  return (await loadUser(id)) || { id: Number(id), is_active: false };
+}
+
+/**
+ * Replace the queues a supervisor is responsible for
+ * @param {number} userId
+ * @param {string[]} queues queue_id values
+ */
+export async function setUserQueues(userId, queues) {
+  if (!Array.isArray(queues)) throw httpError(400, 'queues must be an array of queue ids');
+  await pool.execute('DELETE FROM user_queues WHERE user_id = ?', [userId]);
+  for (const queueId of new Set(queues.map(String))) {
+    await pool.execute('INSERT INTO user_queues (user_id, queue_id) VALUES (?, ?)', [userId, queueId]);
+  }
+}
+
+/**
+ * Lists a tenant's user accounts (without password hashes)
+ * @param {number} tenantId
+ */
+export async function listUsers(tenantId) {
+  const [rows] = await pool.execute(
+    `SELECT u.id, u.username, u.display_name, u.email, u.role, u.agent_id, u.is_active, u.last_login_at,
+            GROUP_CONCAT(q.queue_id ORDER BY q.queue_id) AS queues
+       FROM users u
+       LEFT JOIN user_queues q ON q.user_id = u.id
+      WHERE u.tenant_id = ?
+      GROUP BY u.id
+      ORDER BY u.username`,
+    [tenantId]
+  );
+  return rows.map(r => ({ ...r, queues: r.queues ? r.queues.split(',') : [] }));
+}
+
+// --- API keys ---------------------------------------------------------------
+
+/**
+ * Issue a new API key. The plain key is only returned here, the DB keeps a hash.
+ * @param {Object} data { name, role }
+ * @param {number|null} tenantId Tenant of the key, null for a platform key
+ */
+export async function createApiKey({ name, role = 'pbx' }, tenantId) {
+  if (!name) throw httpError(400, 'name is required');
+  if (!API_KEY_ROLES.includes(role)) throw httpError(400, `role must be one of ${API_KEY_ROLES.join(', ')}`);
+
+  const key = `spc_${crypto.randomBytes(24).toString('hex')}`;
+  const [result] = await pool.execute(
+    'INSERT INTO api_keys (tenant_id, name, key_hash, role) VALUES (?, ?, ?, ?)',
+    [tenantId, name, hashApiKey(key), role]
+  );
+  return { id: result.insertId, name, role, tenant_id: tenantId, key };
+}
+
+/**
+ * Lists a tenant's API keys (never the keys themselves)
+ * @param {number} tenantId
+ */
+export async function listApiKeys(tenantId) {
+  const [rows] = await pool.execute(
+    'SELECT id, name, role, is_active, last_used_at, created_at FROM api_keys WHERE tenant_id = ? ORDER BY id',
+    [tenantId]
+  );
+  return rows;
+}
+
+/**
+ * Revokes an API key of a tenant
+ * @param {number} id
+ * @param {number} tenantId
+ */
+export async function revokeApiKey(id, tenantId) {
+  const [result] = await pool.execute(
+    'UPDATE api_keys SET is_active = FALSE WHERE id = ? AND tenant_id = ?',
+    [id, tenantId]
+  );
+  if (result.affectedRows === 0) throw httpError(404, 'API key not found');
+}
+
+async function userFromApiKey(key) {
+  const [rows] = await pool.execute(
+    'SELECT id, tenant_id, name, role FROM api_keys WHERE key_hash = ? AND is_active = TRUE',
+    [hashApiKey(key)]
+  );
+  if (rows.length === 0) return null;
+
+  await pool.execute('UPDATE api_keys SET last_used_at = ? WHERE id = ?', [new Date(), rows[0].id]);
+  return {
+    apiKeyId: rows[0].id,
+    username: `api-key:${rows[0].name}`,
+    role: rows[0].role,
+    queues: [],
+    homeTenantId: rows[0].tenant_id,
+  };
+}
+
+// --- Middleware -------------------------------------------------------------
+
+/**
+ * Resolve the caller from a Bearer JWT or an API key in the X-API-Key header.
+ * Keys are never read from the query string, which ends up in access logs.
+ * @returns {Promise<Object|null>} The user, or null when no credentials were sent
+ */
+async function identify(req) {
+  const header = req.get('authorization') || '';
+  if (header.startsWith('Bearer ')) {
+    let claims;
+    try {
+      claims = jwt.verify(header.slice(7), jwtSecret());
+    } catch {
+      throw httpError(401, 'Invalid or expired token');
+    }
+    const user = await loadUser(claims.sub);
+    if (!user) throw httpError(401, 'User is disabled');
+    return user;
+  }
+
+  const apiKey = req.get('x-api-key');
+  if (apiKey) {
+    const user = await userFromApiKey(apiKey);
+    if (!user) throw httpError(401, 'Invalid API key');
+    return user;
+  }
+  return null;
+}
+
+/**
+ * Express middleware requiring an authenticated caller with one of the given roles.
+ * Admins pass every role check. With no roles any authenticated caller is accepted.
+ * Also binds the request to a tenant (see bindTenant in tenants.js): req.tenant
+ * and req.user.tenantId, which every query of the request is scoped to.
+ * @param {...string} roles Allowed roles ('agent', 'supervisor', 'admin', 'pbx')
+ */
+export function requireRole(...roles) {
+  return async (req, res, next) => {
+    try {
+      const user = await identify(req);
+      if (!user) return res.status(401).json({ error: 'Authentication required' });
+      if (roles.length > 0 && user.role !== 'admin' && !roles.includes(user.role)) {
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+      req.tenant = await bindTenant(req, user);
+      req.user = { ...user, tenantId: req.tenant.id };
+      next();
+    } catch (err) {
+      sendError(res, err);
+    }
+  };
+}
+
+/** Any logged-in user or API key */
+export const requireAuth = requireRole();
+
+// --- Form scoping -----------------------------------------------------------
+
+function roleScope(user, alias) {
+  switch (user.role) {
+    case 'admin':
+      return { sql: '1 = 1', params: [] };
+    case 'supervisor':
+      if (user.queues.length === 0) return { sql: '1 = 0', params: [] };
+      return { sql: `${alias}queue_id IN (${user.queues.map(() => '?').join(', ')})`, params: user.queues };
+    case 'agent':
+      if (!user.agentId) return { sql: '1 = 0', params: [] };
+      return { sql: `${alias}agent_id = ?`, params: [user.agentId] };
+    default:
+      return { sql: '1 = 0', params: [] };
+  }
+}
+
+/**
+ * SQL condition restricting forms_new rows to what a user may see: forms of
+ * the request's tenant, and within it agents their own agent_id, supervisors
+ * their queues, admins everything. PBX keys see none: they only open forms
+ * and post dispositions through /webhook (see canDispositionForm).
+ * @param {Object} user req.user
+ * @param {string} [alias] Table alias prefix, e.g. 'f.'
+ * @returns {{ sql: string, params: Array }}
+ */
+export function formScope(user, alias = '') {
+  if (!user || !user.tenantId) return { sql: '1 = 0', params: [] };
+  const scope = roleScope(user, alias);
+  return { sql: `${alias}tenant_id = ? AND ${scope.sql}`, params: [user.tenantId, ...scope.params] };
+}
+
+/**
+ * Whether a user may read/update a form row
+ * @param {Object} user req.user
+ * @param {Object} form forms_new row
+ */
+export function canAccessForm(user, form) {
+  if (!user || !form) return false;
+  if (!user.tenantId || Number(form.tenant_id) !== user.tenantId) return false;
+  if (user.role === 'admin') return true;
+  if (user.role === 'supervisor') return user.queues.includes(String(form.queue_id));
+  if (user.role === 'agent') return Boolean(user.agentId) && String(form.agent_id) === String(user.agentId);
+  return false;
+}
+
+/**
+ * Whether a caller may post the final disposition of a form to /webhook:
+ * those who can access it, and the PBX for any form of its tenant
+ * @param {Object} user req.user
+ * @param {Object} form forms_new row
+ */
+export function canDispositionForm(user, form) {
+  if (user?.role !== 'pbx') return canAccessForm(user, form);
+  return Boolean(form && user.tenantId) && Number(form.tenant_id) === user.tenantId;
+}
+
+// --- Routes -----------------------------------------------------------------
+
+// Accounts are created in the request's tenant; platform admins may create
+// platform accounts with { "platform": true }
+function accountTenant(req) {
+  if ((req.body || {}).platform === true) {
+    if (req.user.homeTenantId !== null) throw httpError(403, 'Only platform admins can create platform accounts');
+    return null;
+  }
+  return req.user.tenantId;
+}
+
+/**
+ * Mount login, current-user and admin user / API key management routes
+ * @param {Object} app Express application
+ */
+export function setupAuthRoutes(app) {
+  app.post('/auth/login', async (req, res) => {
+    try {
+      const { username, password } = req.body || {};
+      res.json(await login(username, password));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  app.get('/auth/me', requireAuth, (req, res) => {
+    res.json(req.user);
+  });
+
+  app.get('/auth/users', requireRole('admin'), async (req, res) => {
+    try {
+      res.json(await listUsers(req.user.tenantId));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  app.post('/auth/users', requireRole('admin'), async (req, res) => {
+    try {
+      res.status(201).json(await createUser(req.body || {}, accountTenant(req)));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  app.patch('/auth/users/:id', requireRole('admin'), async (req, res) => {
+    try {
+      res.json(await updateUser(req.params.id, req.body || {}, req.user.tenantId));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  app.get('/auth/api-keys', requireRole('admin'), async (req, res) => {
+    try {
+      res.json(await listApiKeys(req.user.tenantId));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // The plain key is only shown in this response
+  app.post('/auth/api-keys', requireRole('admin'), async (req, res) => {
+    try {
+      res.status(201).json(await createApiKey(req.body || {}, accountTenant(req)));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  app.delete('/auth/api-keys/:id', requireRole('admin'), async (req, res) => {
+    try {
+      await revokeApiKey(req.params.id, req.user.tenantId);
+      res.sendStatus(204);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  console.log('Auth routes configured');
+}
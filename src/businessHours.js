@@ -0,0 +1,244 @@
+// src/businessHours.js
+
+import dotenv from 'dotenv';
+import { pool } from './form.js';
+import { requireRole } from './auth.js';
+import { httpError, sendError } from './httpError.js';
+import { requirePlatform } from './tenants.js';
+
+dotenv.config();
+
+// UAE working week: Monday (1) to Friday (5)
+const BUSINESS_TIMEZONE = process.env.BUSINESS_TIMEZONE || process.env.ROUTING_TIMEZONE || 'Asia/Dubai';
+const BUSINESS_DAYS = (process.env.BUSINESS_DAYS || '1,2,3,4,5').split(',').map(Number);
+const BUSINESS_HOURS_START = process.env.BUSINESS_HOURS_START || '08:00';
+const BUSINESS_HOURS_END = process.env.BUSINESS_HOURS_END || '17:00';
+const HOLIDAY_CACHE_TTL_MS = 10 * 60 * 1000;
+// Longest stretch searched for business time (guards against an empty calendar)
+const MAX_CALENDAR_DAYS = 3 * 366;
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+let holidayCache = null;
+
+const formatter = new Intl.DateTimeFormat('en-GB', {
+  timeZone: BUSINESS_TIMEZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit',
+  weekday: 'short',
+  hourCycle: 'h23',
+});
+
+function zonedParts(date) {
+  const parts = Object.fromEntries(formatter.formatToParts(date).map(p => [p.type, p.value]));
+  return {
+    day: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: WEEKDAYS.indexOf(parts.weekday) + 1,
+    utcOfWallClock: Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second),
+  };
+}
+
+// Offset of the business time zone from UTC at an instant, in ms
+function zoneOffset(ms) {
+  return zonedParts(new Date(ms)).utcOfWallClock - Math.floor(ms / 1000) * 1000;
+}
+
+// The instant a wall-clock time ('HH:MM') occurs on a local day ('YYYY-MM-DD')
+function zonedTime(day, time) {
+  const [y, m, d] = day.split('-').map(Number);
+  const [h, mi] = time.split(':').map(Number);
+  const wall = Date.UTC(y, m - 1, d, h, mi);
+  // Second pass corrects the offset around DST changes
+  const first = wall - zoneOffset(wall);
+  return wall - zoneOffset(first);
+}
+
+function nextDay(day) {
+  const [y, m, d] = day.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + 1)).toISOString().slice(0, 10);
+}
+
+/**
+ * Public holidays as a set of 'YYYY-MM-DD' dates (cached)
+ * @returns {Promise<Set<string>>}
+ */
+export async function getHolidays() {
+  if (holidayCache && holidayCache.expiresAt > Date.now()) return holidayCache.days;
+  const [rows] = await pool.execute(
+    "SELECT DATE_FORMAT(holiday_date, '%Y-%m-%d') AS day FROM public_holidays"
+  );
+  const days = new Set(rows.map(r => r.day));
+  holidayCache = { days, expiresAt: Date.now() + HOLIDAY_CACHE_TTL_MS };
+  return days;
+}
+
+/**
+ * Whether a local day is a working day
+ * @param {string} day 'YYYY-MM-DD' in the business time zone
+ * @param {number} weekday 1 (Monday) to 7 (Sunday)
+ * @param {Set<string>} holidays
+ */
+function isBusinessDay(day, weekday, holidays) {
+  return BUSINESS_DAYS.includes(weekday) && !holidays.has(day);
+}
+
+/**
+ * The instant `hours` business hours after `start`, skipping nights, weekends
+ * and public holidays. Time before opening on a working day does not count.
+ * @param {Date} start
+ * @param {number} hours Business hours, fractions allowed
+ * @param {Set<string>} [holidays] Defaults to the configured public holidays
+ * @returns {Promise<Date>}
+ */
+export async function addBusinessHours(start, hours, holidays) {
+  const closed = holidays || await getHolidays();
+  let remaining = Math.round(Number(hours) * 3600000);
+  let cursor = start.getTime();
+
+  for (let i = 0; i < MAX_CALENDAR_DAYS; i++) {
+    const { day, weekday } = zonedParts(new Date(cursor));
+    if (isBusinessDay(day, weekday, closed)) {
+      const from = Math.max(cursor, zonedTime(day, BUSINESS_HOURS_START));
+      const until = zonedTime(day, BUSINESS_HOURS_END);
+      if (from < until) {
+        if (remaining <= until - from) return new Date(from + remaining);
+        remaining -= until - from;
+      }
+    }
+    cursor = zonedTime(nextDay(day), '00:00');
+  }
+  throw new Error(`No business time found within ${MAX_CALENDAR_DAYS} days; check BUSINESS_DAYS / BUSINESS_HOURS_*`);
+}
+
+/**
+ * Current calendar settings, for the admin UI
+ */
+export function businessCalendar() {
+  return {
+    timeZone: BUSINESS_TIMEZONE,
+    days: BUSINESS_DAYS,
+    start: BUSINESS_HOURS_START,
+    end: BUSINESS_HOURS_END,
+  };
+}
+
+// --- Public holiday admin ---------------------------------------------------
+
+/**
+ * Lists holidays, optionally for one year
+ * @param {string|number} [year]
+ */
+export async function listHolidays(year) {
+  const [rows] = year
+    ? await pool.execute(
+      "SELECT DATE_FORMAT(holiday_date, '%Y-%m-%d') AS date, name FROM public_holidays WHERE YEAR(holiday_date) = ? ORDER BY holiday_date",
+      [Number(year)]
+    )
+    : await pool.execute(
+      "SELECT DATE_FORMAT(holiday_date, '%Y-%m-%d') AS date, name FROM public_holidays ORDER BY holiday_date"
+    );
+  return rows;
+}
+
+/**
+ * Adds a holiday, or a range of days such as Eid (end_date inclusive).
+ * Re-adding a date renames it.
+ * @param {Object} data { date, end_date, name }
+ * @returns {Promise<number>} Days saved
+ */
+export async function addHoliday({ date, end_date, name }) {
+  if (!DATE_RE.test(date || '')) throw httpError(400, 'date must be YYYY-MM-DD');
+  if (end_date !== undefined && end_date !== null && !DATE_RE.test(end_date)) {
+    throw httpError(400, 'end_date must be YYYY-MM-DD');
+  }
+  if (typeof name !== 'string' || name.trim() === '' || name.length > 100) {
+    throw httpError(400, 'name is required (at most 100 characters)');
+  }
+  const last = end_date || date;
+  if (last < date) throw httpError(400, 'end_date must not be before date');
+
+  const days = [];
+  for (let day = date; day <= last; day = nextDay(day)) {
+    days.push(day);
+    if (days.length > 31) throw httpError(400, 'A holiday range can span at most 31 days');
+  }
+  for (const day of days) {
+    await pool.execute(
+      'INSERT INTO public_holidays (holiday_date, name) VALUES (?, ?) ON DUPLICATE KEY UPDATE name = VALUES(name)',
+      [day, name.trim()]
+    );
+  }
+  holidayCache = null;
+  return days.length;
+}
+
+/**
+ * Removes one holiday date
+ * @param {string} date 'YYYY-MM-DD'
+ */
+export async function deleteHoliday(date) {
+  if (!DATE_RE.test(date || '')) throw httpError(400, 'date must be YYYY-MM-DD');
+  const [result] = await pool.execute('DELETE FROM public_holidays WHERE holiday_date = ?', [date]);
+  if (result.affectedRows === 0) throw httpError(404, 'Holiday not found');
+  holidayCache = null;
+}
+
+/**
+ * Mount the business calendar API: holidays (platform admins, the calendar is
+ * shared by every tenant) and an SLA preview
+ * (supervisors) showing when N business hours from a moment run out.
+ * @param {Object} app Express application
+ */
+export function setupBusinessHoursRoutes(app) {
+  const requireAdmin = requireRole('admin');
+  const requireSupervisor = requireRole('supervisor');
+
+  app.get('/business-hours', requireSupervisor, async (req, res) => {
+    try {
+      const calendar = businessCalendar();
+      if (req.query.hours === undefined) return res.json(calendar);
+
+      const hours = Number(req.query.hours);
+      if (!Number.isFinite(hours) || hours <= 0) throw httpError(400, 'hours must be a positive number');
+      const from = req.query.from ? new Date(req.query.from) : new Date();
+      if (Number.isNaN(from.getTime())) throw httpError(400, 'from must be a date');
+      res.json({ ...calendar, from, hours, dueAt: await addBusinessHours(from, hours) });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  app.get('/holidays', requireSupervisor, async (req, res) => {
+    try {
+      res.json(await listHolidays(req.query.year));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Body: { date, end_date?, name }
+  app.post('/holidays', requireAdmin, requirePlatform, async (req, res) => {
+    try {
+      const days = await addHoliday(req.body || {});
+      res.status(201).json({ days });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  app.delete('/holidays/:date', requireAdmin, requirePlatform, async (req, res) => {
+    try {
+      await deleteHoliday(req.params.date);
+      res.sendStatus(204);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  console.log('Business hours routes configured');
+}
@@ -0,0 +1,128 @@
+// src/callers.js
+
+import dotenv from 'dotenv';
+import { pool } from './form.js';
+import { requireRole, canAccessForm } from './auth.js';
+import { normalizePhone } from './phone.js';
+import { httpError, sendError } from './httpError.js';
+import { DEFAULT_TENANT_ID } from './tenants.js';
+
+dotenv.config();
+
+const REPEAT_CALLER_WINDOW_DAYS = Number(process.env.REPEAT_CALLER_WINDOW_DAYS) || 7;
+const COMPLAINT_CALL_TYPE = process.env.COMPLAINT_CALL_TYPE || 'Complaints';
+// Complaints without a ticket (not routed) are counted as open for this long
+const COMPLAINT_OPEN_DAYS = Number(process.env.COMPLAINT_OPEN_DAYS) || 14;
+const HISTORY_LIMIT = 200;
+
+/**
+ * Normalised caller / contact numbers to store alongside a form row
+ * @param {Object} form { caller_id_number, contact_number }
+ * @returns {{ caller_number_normalized: string|null, contact_number_normalized: string|null }}
+ */
+export function normalizedNumbers(form) {
+  return {
+    caller_number_normalized: normalizePhone(form.caller_id_number),
+    contact_number_normalized: normalizePhone(form.contact_number),
+  };
+}
+
+const MATCH_NUMBER = '(caller_number_normalized = ? OR contact_number_normalized = ?)';
+
+/**
+ * Counts that give an agent context about a caller within a tenant
+ * @param {string} number Phone number in any format
+ * @param {Object} [options] { excludeFormId, tenantId } excludeFormId leaves out the call that is landing now
+ * @returns {Promise<Object|null>} null when the number cannot be normalised
+ */
+export async function callerSummary(number, { excludeFormId, tenantId = DEFAULT_TENANT_ID } = {}) {
+  const normalized = normalizePhone(number);
+  if (!normalized) return null;
+
+  const now = Date.now();
+  const [[summary]] = await pool.execute(
+    `SELECT COUNT(*) AS previous_interactions,
+            COUNT(CASE WHEN f.created_at >= ? THEN 1 END) AS recent_interactions,
+            COUNT(CASE WHEN f.call_type = ?
+                        AND (t.status IN ('open', 'acknowledged') OR (t.id IS NULL AND f.created_at >= ?))
+                       THEN 1 END) AS open_complaints,
+            MAX(f.created_at) AS last_interaction_at
+       FROM forms_new f
+       LEFT JOIN tickets t ON t.form_id = f.id
+      WHERE ${MATCH_NUMBER}
+        AND f.tenant_id = ?
+        AND f.deleted_at IS NULL
+        AND f.id <> ?`,
+    [
+      new Date(now - REPEAT_CALLER_WINDOW_DAYS * 86400000),
+      COMPLAINT_CALL_TYPE,
+      new Date(now - COMPLAINT_OPEN_DAYS * 86400000),
+      normalized,
+      normalized,
+      tenantId,
+      excludeFormId || 0,
+    ]
+  );
+
+  return {
+    number: normalized,
+    previousInteractions: summary.previous_interactions,
+    openComplaints: summary.open_complaints,
+    lastInteractionAt: summary.last_interaction_at,
+    // Called before within the repeat window
+    repeatCaller: summary.recent_interactions > 0,
+  };
+}
+
+// Form fields only shown for interactions the user may open themselves
+const SCOPED_FIELDS = ['query', 'company', 'name', 'contact_number'];
+
+/**
+ * Every previous interaction with a caller across all queues of the user's
+ * tenant, newest first. Interactions outside the user's form scope (see
+ * canAccessForm) keep their dates and dispositions for context, without the
+ * query and the caller's details.
+ * @param {string} number Phone number in any format
+ * @param {Object} user req.user
+ */
+export async function callerHistory(number, user) {
+  const normalized = normalizePhone(number);
+  if (!normalized) throw httpError(400, `"${number}" is not a valid phone number`);
+
+  const [rows] = await pool.execute(
+    `SELECT id, tenant_id, created_at, status, call_type, disposition_1, disposition_2, query,
+            company, name, queue_id, queue_name, agent_id, agent_ext,
+            caller_id_number, contact_number
+       FROM forms_new
+      WHERE ${MATCH_NUMBER}
+        AND tenant_id = ?
+        AND deleted_at IS NULL
+      ORDER BY created_at DESC, id DESC
+      LIMIT ${HISTORY_LIMIT}`,
+    [normalized, normalized, user.tenantId]
+  );
+  const interactions = rows.map(({ tenant_id, ...row }) => {
+    if (canAccessForm(user, { ...row, tenant_id })) return { ...row, in_scope: true };
+    for (const field of SCOPED_FIELDS) delete row[field];
+    return { ...row, in_scope: false };
+  });
+  const summary = await callerSummary(normalized, { tenantId: user.tenantId });
+  return { ...summary, interactions };
+}
+
+/**
+ * Mount GET /callers/:number: the caller's interactions across all queues,
+ * so agents have context when the call lands (see callerHistory)
+ * @param {Object} app Express application
+ */
+export function setupCallerRoutes(app) {
+  app.get('/callers/:number', requireRole('agent', 'supervisor'), async (req, res) => {
+    try {
+      res.json(await callerHistory(req.params.number, req.user));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  console.log('Caller routes configured');
+}
@@ -0,0 +1,374 @@
+// src/contacts.js
+
+import { pool } from './form.js';
+import { requireRole } from './auth.js';
+import { normalizePhone } from './phone.js';
+import { httpError, sendError } from './httpError.js';
+import { validateRequest, schemas } from './validation.js';
+
+const IMPORT_BATCH_SIZE = 500;
+
+function normalizeEmail(email) {
+  const value = typeof email === 'string' ? email.trim().toLowerCase() : '';
+  return value || null;
+}
+
+async function loadContact(id, tenantId, connection = pool) {
+  const [[contact]] = await connection.execute('SELECT * FROM contacts WHERE id = ? AND tenant_id = ?', [id, tenantId]);
+  if (!contact) return null;
+  const [numbers] = await connection.execute(
+    'SELECT number FROM contact_numbers WHERE contact_id = ? ORDER BY number',
+    [id]
+  );
+  return { ...contact, numbers: numbers.map(n => n.number) };
+}
+
+/**
+ * Find a tenant's contact by phone number (any format) or email. The number
+ * wins when both are given and match different contacts.
+ * @param {Object} keys { number, email }
+ * @param {number} tenantId
+ * @returns {Promise<Object|null>} Contact with its numbers
+ */
+export async function lookupContact({ number, email } = {}, tenantId) {
+  const normalized = normalizePhone(number);
+  if (normalized) {
+    const [[row]] = await pool.execute(
+      'SELECT contact_id FROM contact_numbers WHERE tenant_id = ? AND number = ?',
+      [tenantId, normalized]
+    );
+    if (row) return loadContact(row.contact_id, tenantId);
+  }
+
+  const address = normalizeEmail(email);
+  if (address) {
+    const [[row]] = await pool.execute(
+      'SELECT id FROM contacts WHERE tenant_id = ? AND email = ? ORDER BY last_seen_at DESC LIMIT 1',
+      [tenantId, address]
+    );
+    if (row) return loadContact(row.id, tenantId);
+  }
+  return null;
+}
+
+/**
+ * Create or refresh the contact behind a form in the form's tenant. The latest
+ * non-empty company, name and email win; both the caller id and the contact
+ * number are linked. Forms without any contact details (webhook placeholders)
+ * are ignored.
+ * @param {Object} form forms_new row
+ * @returns {Promise<number|null>} Contact id
+ */
+export async function upsertContactFromForm(form) {
+  const company = (form.company || '').trim();
+  const name = (form.name || '').trim();
+  const email = normalizeEmail(form.email);
+  if (!company && !name && !email) return null;
+
+  const numbers = [...new Set(
+    [form.caller_id_number, form.contact_number].map(n => normalizePhone(n)).filter(Boolean)
+  )];
+  if (numbers.length === 0 && !email) return null;
+
+  const tenantId = form.tenant_id;
+  let contactId = null;
+  if (numbers.length > 0) {
+    const [rows] = await pool.execute(
+      `SELECT contact_id FROM contact_numbers
+        WHERE tenant_id = ? AND number IN (${numbers.map(() => '?').join(', ')}) LIMIT 1`,
+      [tenantId, ...numbers]
+    );
+    contactId = rows[0]?.contact_id || null;
+  }
+  if (!contactId && email) {
+    const [rows] = await pool.execute(
+      'SELECT id FROM contacts WHERE tenant_id = ? AND email = ? ORDER BY last_seen_at DESC LIMIT 1',
+      [tenantId, email]
+    );
+    contactId = rows[0]?.id || null;
+  }
+
+  const seenAt = form.submitted_at || form.last_activity_at || new Date();
+  if (contactId) {
+    await pool.execute(
+      `UPDATE contacts
+          SET company = COALESCE(NULLIF(?, ''), company),
+              name = COALESCE(NULLIF(?, ''), name),
+              email = COALESCE(?, email),
+              last_form_id = ?, last_seen_at = ?
+        WHERE id = ?`,
+      [company, name, email, form.id, seenAt, contactId]
+    );
+  } else {
+    const [result] = await pool.execute(
+      `INSERT INTO contacts (tenant_id, company, name, email, last_form_id, last_seen_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [tenantId, company, name, email, form.id, seenAt]
+    );
+    contactId = result.insertId;
+  }
+
+  // A number already linked to another contact stays there (see findDuplicates)
+  for (const number of numbers) {
+    await pool.execute(
+      'INSERT IGNORE INTO contact_numbers (tenant_id, number, contact_id) VALUES (?, ?, ?)',
+      [tenantId, number, contactId]
+    );
+  }
+  return contactId;
+}
+
+/**
+ * upsertContactFromForm for the submission paths: the form is already stored,
+ * so a directory failure is only logged.
+ * @param {Object} form forms_new row
+ */
+export async function recordContact(form) {
+  try {
+    await upsertContactFromForm(form);
+  } catch (err) {
+    console.error(`Updating contact for form #${form?.id} failed:`, err.message);
+  }
+}
+
+/**
+ * Build a tenant's directory from past submissions (idempotent, oldest first
+ * so the latest details win). Anonymized and deleted forms are skipped.
+ * @param {number} tenantId
+ * @returns {Promise<{ forms: number }>}
+ */
+export async function importContactsFromForms(tenantId) {
+  let lastId = 0;
+  let forms = 0;
+  for (;;) {
+    const [rows] = await pool.execute(
+      `SELECT * FROM forms_new
+        WHERE id > ? AND tenant_id = ? AND status = 'submitted'
+          AND deleted_at IS NULL AND anonymized_at IS NULL
+        ORDER BY id
+        LIMIT ${IMPORT_BATCH_SIZE}`,
+      [lastId, tenantId]
+    );
+    if (rows.length === 0) break;
+    for (const row of rows) {
+      if (await upsertContactFromForm(row)) forms++;
+    }
+    lastId = rows[rows.length - 1].id;
+  }
+  return { forms };
+}
+
+/**
+ * Groups of a tenant's contacts that look like the same person: the same
+ * email, or the same name at the same company. Most recently seen first
+ * within a group.
+ * @param {number} tenantId
+ * @returns {Promise<Array<{ reason: string, key: string, contacts: Object[] }>>}
+ */
+export async function findDuplicates(tenantId) {
+  const [byEmail] = await pool.execute(
+    `SELECT email AS match_key, GROUP_CONCAT(id ORDER BY last_seen_at DESC, id DESC) AS ids
+       FROM contacts
+      WHERE tenant_id = ? AND email IS NOT NULL
+      GROUP BY email
+     HAVING COUNT(*) > 1`,
+    [tenantId]
+  );
+  const [byName] = await pool.execute(
+    `SELECT CONCAT(LOWER(name), ' @ ', LOWER(company)) AS match_key,
+            GROUP_CONCAT(id ORDER BY last_seen_at DESC, id DESC) AS ids
+       FROM contacts
+      WHERE tenant_id = ? AND name <> ''
+      GROUP BY LOWER(name), LOWER(company)
+     HAVING COUNT(*) > 1`,
+    [tenantId]
+  );
+
+  const groups = [
+    ...byEmail.map(g => ({ reason: 'email', key: g.match_key, ids: g.ids.split(',').map(Number) })),
+    ...byName.map(g => ({ reason: 'name_company', key: g.match_key, ids: g.ids.split(',').map(Number) })),
+  ];
+  for (const group of groups) {
+    group.contacts = await Promise.all(group.ids.map(id => loadContact(id, tenantId)));
+    delete group.ids;
+  }
+  return groups;
+}
+
+/**
+ * Merge contacts of a tenant into one: numbers move to the target, blank
+ * target fields are filled from the most recently seen source, and the
+ * sources are removed.
+ * @param {number} targetId Contact to keep
+ * @param {number[]} sourceIds Contacts merged into it
+ * @param {number} tenantId
+ * @returns {Promise<Object>} The merged contact
+ */
+export async function mergeContacts(targetId, sourceIds, tenantId) {
+  const ids = [...new Set(sourceIds.map(Number))].filter(id => id !== Number(targetId));
+  if (ids.length === 0) throw httpError(400, 'ids must list at least one other contact');
+  const placeholders = ids.map(() => '?').join(', ');
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const [[target]] = await connection.execute(
+      'SELECT * FROM contacts WHERE id = ? AND tenant_id = ? FOR UPDATE',
+      [targetId, tenantId]
+    );
+    if (!target) throw httpError(404, 'Contact not found');
+    const [sources] = await connection.execute(
+      `SELECT * FROM contacts WHERE id IN (${placeholders}) AND tenant_id = ? ORDER BY last_seen_at DESC FOR UPDATE`,
+      [...ids, tenantId]
+    );
+    if (sources.length !== ids.length) throw httpError(404, 'One or more contacts to merge were not found');
+
+    const pick = field => target[field] || sources.find(s => s[field])?.[field] || target[field];
+    const lastSeen = [target, ...sources].reduce((a, b) => (b.last_seen_at > a.last_seen_at ? b : a));
+    await connection.execute(
+      'UPDATE contacts SET company = ?, name = ?, email = ?, last_form_id = ?, last_seen_at = ? WHERE id = ?',
+      [pick('company'), pick('name'), pick('email'), lastSeen.last_form_id, lastSeen.last_seen_at, targetId]
+    );
+    await connection.execute(
+      `UPDATE contact_numbers SET contact_id = ? WHERE contact_id IN (${placeholders})`,
+      [targetId, ...ids]
+    );
+    await connection.execute(`DELETE FROM contacts WHERE id IN (${placeholders})`, ids);
+    await connection.commit();
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
+  return loadContact(targetId, tenantId);
+}
+
+/**
+ * Merge every group of a tenant's contacts sharing an email into its most
+ * recently seen contact. Name/company matches are less certain and left to an admin.
+ * @param {number} tenantId
+ * @returns {Promise<{ groups: number, merged: number }>}
+ */
+export async function deduplicateContacts(tenantId) {
+  const groups = (await findDuplicates(tenantId)).filter(g => g.reason === 'email');
+  let merged = 0;
+  for (const group of groups) {
+    const [keep, ...rest] = group.contacts.filter(Boolean);
+    if (!keep || rest.length === 0) continue;
+    await mergeContacts(keep.id, rest.map(c => c.id), tenantId);
+    merged += rest.length;
+  }
+  return { groups: groups.length, merged };
+}
+
+/**
+ * Delete a tenant's contact together with its numbers
+ * @param {number} id
+ * @param {number} tenantId
+ */
+export async function deleteContact(id, tenantId) {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    await connection.execute(
+      'DELETE FROM contact_numbers WHERE contact_id = ? AND tenant_id = ?',
+      [id, tenantId]
+    );
+    const [result] = await connection.execute(
+      'DELETE FROM contacts WHERE id = ? AND tenant_id = ?',
+      [id, tenantId]
+    );
+    if (result.affectedRows === 0) throw httpError(404, 'Contact not found');
+    await connection.commit();
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Remove contacts not seen since a cutoff (used by the retention policy)
+ * @param {Date} cutoff
+ * @returns {Promise<number>} Contacts removed
+ */
+export async function expireContacts(cutoff) {
+  await pool.execute(
+    `DELETE n FROM contact_numbers n JOIN contacts c ON c.id = n.contact_id WHERE c.last_seen_at < ?`,
+    [cutoff]
+  );
+  const [result] = await pool.execute('DELETE FROM contacts WHERE last_seen_at < ?', [cutoff]);
+  return result.affectedRows;
+}
+
+/**
+ * Mount the contacts directory: lookup for agents / supervisors, maintenance
+ * (import, duplicates, merge, delete) for admins.
+ * @param {Object} app Express application
+ */
+export function setupContactRoutes(app) {
+  const requireAdmin = requireRole('admin');
+
+  app.get('/contacts/lookup', requireRole('agent', 'supervisor'),
+    validateRequest({ query: schemas.contactLookup }), async (req, res) => {
+      try {
+        const { number, email } = req.query;
+        if (!number && !email) throw httpError(400, 'number or email is required');
+        const contact = await lookupContact({ number, email }, req.user.tenantId);
+        if (!contact) throw httpError(404, 'Contact not found');
+        res.json(contact);
+      } catch (err) {
+        sendError(res, err);
+      }
+    });
+
+  app.get('/contacts/duplicates', requireAdmin, async (req, res) => {
+    try {
+      res.json(await findDuplicates(req.user.tenantId));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Body: { ids: [contactId, ...] } merged into :id
+  app.post('/contacts/:id/merge', requireAdmin, async (req, res) => {
+    try {
+      const ids = req.body?.ids;
+      if (!Array.isArray(ids) || !ids.every(id => Number.isInteger(Number(id)) && Number(id) > 0)) {
+        throw httpError(400, 'ids must be an array of contact ids');
+      }
+      res.json(await mergeContacts(Number(req.params.id), ids, req.user.tenantId));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  app.post('/contacts/deduplicate', requireAdmin, async (req, res) => {
+    try {
+      res.json(await deduplicateContacts(req.user.tenantId));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  app.post('/contacts/import', requireAdmin, async (req, res) => {
+    try {
+      res.json(await importContactsFromForms(req.user.tenantId));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  app.delete('/contacts/:id', requireAdmin, async (req, res) => {
+    try {
+      await deleteContact(req.params.id, req.user.tenantId);
+      res.sendStatus(204);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  console.log('Contact routes configured');
+}
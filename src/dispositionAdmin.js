@@ -0,0 +1,415 @@
+// src/dispositionAdmin.js
+
+import { pool, invalidateDispositionHierarchy } from './form.js';
+import { requireRole } from './auth.js';
+import { httpError, sendError } from './httpError.js';
+import { resolveVersionId, resolveEditableVersionId } from './dispositionVersions.js';
+
+// Tree levels in disposition_config, from root to leaf, with their column limits
+const LEVELS = [
+  { column: 'call_type', order: 'call_type_order', max: 50 },
+  { column: 'disposition_1', order: 'disposition_1_order', max: 100 },
+  { column: 'disposition_2', order: 'disposition_2_order', max: 100 },
+];
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function cleanName(value, level) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw httpError(400, `${level.column} is required`);
+  }
+  const name = value.trim();
+  if (name.length > level.max) {
+    throw httpError(400, `${level.column} must be at most ${level.max} characters`);
+  }
+  return name;
+}
+
+function cleanEmail(value) {
+  const email = (value || '').trim();
+  if (email && !EMAIL_RE.test(email)) {
+    throw httpError(400, `email_address "${email}" is not a valid email address`);
+  }
+  return email;
+}
+
+// SLAs of a leaf in business hours; empty means the ticket default (tickets.js)
+function cleanSlaHours(value, field = 'sla_hours') {
+  if (value === undefined || value === null || value === '') return null;
+  const hours = Number(value);
+  if (!Number.isFinite(hours) || hours <= 0 || hours > 8760) {
+    throw httpError(400, `${field} must be a positive number of business hours (at most 8760)`);
+  }
+  return hours;
+}
+
+function cleanEscalationEmail(value) {
+  const email = (value || '').trim();
+  if (email && !EMAIL_RE.test(email)) {
+    throw httpError(400, `escalation_email "${email}" is not a valid email address`);
+  }
+  return email || null;
+}
+
+/**
+ * Turn a { call_type, disposition_1?, disposition_2? } path into a WHERE clause
+ * matching every row under that node within one tree version.
+ * @returns {{ depth: number, where: string, params: Array }}
+ */
+function nodeFilter(versionId, path = {}) {
+  const names = [];
+  for (const level of LEVELS) {
+    if (path[level.column] === undefined || path[level.column] === null) break;
+    names.push(cleanName(path[level.column], level));
+  }
+  if (names.length === 0) throw httpError(400, 'path.call_type is required');
+
+  const where = ['version_id = ?', ...LEVELS.slice(0, names.length).map(l => `${l.column} = ?`)].join(' AND ');
+  return { depth: names.length, where, params: [versionId, ...names] };
+}
+
+function rethrowDuplicate(err) {
+  if (err.code === 'ER_DUP_ENTRY') {
+    throw httpError(409, 'A disposition with this call_type / disposition_1 / disposition_2 path already exists');
+  }
+  throw err;
+}
+
+/**
+ * Lists every disposition_config row of a tree version, including deactivated ones
+ * @param {number} versionId
+ */
+export async function listDispositionConfig(versionId) {
+  const [rows] = await pool.execute(
+    `SELECT * FROM disposition_config
+      WHERE version_id = ?
+      ORDER BY call_type_order, call_type, disposition_1_order, disposition_1, disposition_2_order, disposition_2`,
+    [versionId]
+  );
+  return rows;
+}
+
+/**
+ * Creates a new leaf (call_type → disposition_1 → disposition_2). Missing parent
+ * nodes are created implicitly since the tree is stored one row per leaf.
+ * @param {number} versionId Tree version to add the leaf to
+ * @param {Object} data Leaf definition
+ * @returns {Promise<Object>} The created row
+ */
+export async function createDisposition(versionId, data) {
+  const [callType, disposition1, disposition2] = LEVELS.map(l => cleanName(data[l.column], l));
+  const isCustomInput = Boolean(data.is_custom_input);
+  const emailAddress = cleanEmail(data.email_address);
+  if (!emailAddress && !isCustomInput) {
+    throw httpError(400, 'email_address is required unless is_custom_input is set');
+  }
+
+  // New leaves go last within their parent unless an explicit order is given
+  const [[orders]] = await pool.execute(
+    `SELECT
+       (SELECT MIN(call_type_order) FROM disposition_config
+         WHERE version_id = ? AND call_type = ?) AS call_type_order,
+       (SELECT MIN(disposition_1_order) FROM disposition_config
+         WHERE version_id = ? AND call_type = ? AND disposition_1 = ?) AS disposition_1_order,
+       (SELECT COALESCE(MAX(disposition_2_order) + 1, 0) FROM disposition_config
+         WHERE version_id = ? AND call_type = ? AND disposition_1 = ?) AS disposition_2_order`,
+    [versionId, callType, versionId, callType, disposition1, versionId, callType, disposition1]
+  );
+
+  try {
+    const [result] = await pool.execute(
+      `INSERT INTO disposition_config
+         (version_id, call_type, disposition_1, disposition_2, email_address, is_custom_input,
+          call_type_order, disposition_1_order, disposition_2_order, is_active, sla_hours,
+          ack_sla_hours, escalation_email)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        versionId, callType, disposition1, disposition2, emailAddress, isCustomInput,
+        orders.call_type_order ?? 0,
+        orders.disposition_1_order ?? 0,
+        data.disposition_2_order ?? orders.disposition_2_order,
+        data.is_active === undefined ? true : Boolean(data.is_active),
+        cleanSlaHours(data.sla_hours),
+        cleanSlaHours(data.ack_sla_hours, 'ack_sla_hours'),
+        cleanEscalationEmail(data.escalation_email),
+      ]
+    );
+    invalidateDispositionHierarchy();
+    return getDispositionConfigById(result.insertId);
+  } catch (err) {
+    rethrowDuplicate(err);
+  }
+}
+
+/**
+ * Retrieves a single disposition_config row
+ * @param {number} id Row id
+ * @param {number} [versionId] Restrict the lookup to one tree version
+ */
+export async function getDispositionConfigById(id, versionId) {
+  const [rows] = versionId
+    ? await pool.execute('SELECT * FROM disposition_config WHERE id = ? AND version_id = ?', [id, versionId])
+    : await pool.execute('SELECT * FROM disposition_config WHERE id = ?', [id]);
+  return rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * Updates a single leaf: rename disposition_2, change routing email,
+ * custom-input flag, position, active state, SLAs or escalation address.
+ * @param {number} versionId Tree version the leaf must belong to
+ * @param {number} id Row id
+ * @param {Object} changes Fields to change
+ */
+export async function updateDisposition(versionId, id, changes) {
+  const current = await getDispositionConfigById(id, versionId);
+  if (!current) throw httpError(404, 'Disposition not found');
+
+  const isCustomInput = changes.is_custom_input === undefined
+    ? Boolean(current.is_custom_input)
+    : Boolean(changes.is_custom_input);
+  const emailAddress = changes.email_address === undefined
+    ? current.email_address
+    : cleanEmail(changes.email_address);
+  if (!emailAddress && !isCustomInput) {
+    throw httpError(400, 'email_address is required unless is_custom_input is set');
+  }
+
+  const disposition2 = changes.disposition_2 === undefined
+    ? current.disposition_2
+    : cleanName(changes.disposition_2, LEVELS[2]);
+
+  try {
+    await pool.execute(
+      `UPDATE disposition_config
+          SET disposition_2 = ?, email_address = ?, is_custom_input = ?,
+              disposition_2_order = ?, is_active = ?, sla_hours = ?,
+              ack_sla_hours = ?, escalation_email = ?
+        WHERE id = ?`,
+      [
+        disposition2, emailAddress, isCustomInput,
+        changes.disposition_2_order ?? current.disposition_2_order,
+        changes.is_active === undefined ? current.is_active : Boolean(changes.is_active),
+        changes.sla_hours === undefined ? current.sla_hours : cleanSlaHours(changes.sla_hours),
+        changes.ack_sla_hours === undefined
+          ? current.ack_sla_hours
+          : cleanSlaHours(changes.ack_sla_hours, 'ack_sla_hours'),
+        changes.escalation_email === undefined
+          ? current.escalation_email
+          : cleanEscalationEmail(changes.escalation_email),
+        id,
+      ]
+    );
+  } catch (err) {
+    rethrowDuplicate(err);
+  }
+
+  invalidateDispositionHierarchy();
+  return getDispositionConfigById(id);
+}
+
+/**
+ * Deletes a single leaf
+ * @param {number} versionId Tree version the leaf must belong to
+ * @param {number} id Row id
+ */
+export async function deleteDisposition(versionId, id) {
+  const [result] = await pool.execute(
+    'DELETE FROM disposition_config WHERE id = ? AND version_id = ?',
+    [id, versionId]
+  );
+  if (result.affectedRows === 0) throw httpError(404, 'Disposition not found');
+  invalidateDispositionHierarchy();
+}
+
+/**
+ * Renames and/or (de)activates a node at any level together with everything below it.
+ * @param {number} versionId Tree version to edit
+ * @param {Object} path { call_type, disposition_1?, disposition_2? } identifying the node
+ * @param {Object} changes { name?, is_active?, email_address? }
+ * @returns {Promise<number>} Number of leaves affected
+ */
+export async function updateDispositionNode(versionId, path, changes = {}) {
+  const { depth, where, params } = nodeFilter(versionId, path);
+  const level = LEVELS[depth - 1];
+
+  const sets = [];
+  const values = [];
+  if (changes.name !== undefined) {
+    sets.push(`${level.column} = ?`);
+    values.push(cleanName(changes.name, level));
+  }
+  if (changes.is_active !== undefined) {
+    sets.push('is_active = ?');
+    values.push(Boolean(changes.is_active));
+  }
+  if (changes.email_address !== undefined) {
+    // Only meaningful for nodes whose leaves are not free-text "Others" options
+    const email = cleanEmail(changes.email_address);
+    if (!email) throw httpError(400, 'email_address cannot be blank for a whole node');
+    sets.push('email_address = ?');
+    values.push(email);
+  }
+  if (sets.length === 0) throw httpError(400, 'Nothing to update: provide name, is_active or email_address');
+
+  let result;
+  try {
+    [result] = await pool.execute(
+      `UPDATE disposition_config SET ${sets.join(', ')} WHERE ${where}`,
+      [...values, ...params]
+    );
+  } catch (err) {
+    rethrowDuplicate(err);
+  }
+  if (result.affectedRows === 0) throw httpError(404, 'Disposition node not found');
+
+  invalidateDispositionHierarchy();
+  return result.affectedRows;
+}
+
+/**
+ * Deletes a node at any level together with everything below it.
+ * @param {number} versionId Tree version to edit
+ * @param {Object} path { call_type, disposition_1?, disposition_2? }
+ * @returns {Promise<number>} Number of leaves deleted
+ */
+export async function deleteDispositionNode(versionId, path) {
+  const { where, params } = nodeFilter(versionId, path);
+  const [result] = await pool.execute(`DELETE FROM disposition_config WHERE ${where}`, params);
+  if (result.affectedRows === 0) throw httpError(404, 'Disposition node not found');
+
+  invalidateDispositionHierarchy();
+  return result.affectedRows;
+}
+
+/**
+ * Reorders the children of a node. `order` lists the child names in their new order;
+ * children not listed keep their relative position after the listed ones.
+ * @param {number} versionId Tree version to edit
+ * @param {Object} parent {} for call types, { call_type } or { call_type, disposition_1 }
+ * @param {string[]} order Child names in display order
+ */
+export async function reorderDispositionNodes(versionId, parent = {}, order) {
+  if (!Array.isArray(order) || order.length === 0) {
+    throw httpError(400, 'order must be a non-empty array of names');
+  }
+
+  let depth = 0;
+  let where = 'version_id = ?';
+  let params = [versionId];
+  if (parent.call_type !== undefined) {
+    ({ depth, where, params } = nodeFilter(versionId, parent));
+  }
+  if (depth >= LEVELS.length) throw httpError(400, 'Leaves have no children to reorder');
+  const level = LEVELS[depth];
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    // Push everything to the back first so unlisted children keep their relative order
+    await connection.execute(
+      `UPDATE disposition_config SET ${level.order} = ${level.order} + ? WHERE ${where}`,
+      [order.length, ...params]
+    );
+    for (const [index, name] of order.entries()) {
+      await connection.execute(
+        `UPDATE disposition_config SET ${level.order} = ? WHERE ${where} AND ${level.column} = ?`,
+        [index, ...params, cleanName(name, level)]
+      );
+    }
+    await connection.commit();
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
+
+  invalidateDispositionHierarchy();
+}
+
+/**
+ * Mount the disposition admin API. Every route requires the supervisor role and
+ * accepts ?version=draft|<id> to edit a tree other than the live one.
+ * @param {Object} app Express application
+ */
+export function setupDispositionAdminRoutes(app) {
+  const requireSupervisor = requireRole('supervisor');
+
+  // List every configured leaf, including deactivated ones
+  app.get('/dispositions', requireSupervisor, async (req, res) => {
+    try {
+      res.json(await listDispositionConfig(await resolveVersionId(req.query.version, req.user.tenantId)));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Create a new leaf (and implicitly its parents)
+  app.post('/dispositions', requireSupervisor, async (req, res) => {
+    try {
+      const versionId = await resolveEditableVersionId(req.query.version, req.user.tenantId);
+      const row = await createDisposition(versionId, req.body || {});
+      res.status(201).json(row);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Rename / (de)activate a call type or disposition_1 node and its subtree
+  app.patch('/dispositions/nodes', requireSupervisor, async (req, res) => {
+    try {
+      const { path, ...changes } = req.body || {};
+      const versionId = await resolveEditableVersionId(req.query.version, req.user.tenantId);
+      const affected = await updateDispositionNode(versionId, path, changes);
+      res.json({ updated: affected });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Delete a node and its subtree
+  app.delete('/dispositions/nodes', requireSupervisor, async (req, res) => {
+    try {
+      const versionId = await resolveEditableVersionId(req.query.version, req.user.tenantId);
+      const affected = await deleteDispositionNode(versionId, (req.body || {}).path);
+      res.json({ deleted: affected });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Reorder the children of a node
+  app.put('/dispositions/order', requireSupervisor, async (req, res) => {
+    try {
+      const { parent, order } = req.body || {};
+      const versionId = await resolveEditableVersionId(req.query.version, req.user.tenantId);
+      await reorderDispositionNodes(versionId, parent, order);
+      res.sendStatus(204);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Update a single leaf
+  app.patch('/dispositions/:id', requireSupervisor, async (req, res) => {
+    try {
+      const versionId = await resolveEditableVersionId(req.query.version, req.user.tenantId);
+      res.json(await updateDisposition(versionId, req.params.id, req.body || {}));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Delete a single leaf
+  app.delete('/dispositions/:id', requireSupervisor, async (req, res) => {
+    try {
+      const versionId = await resolveEditableVersionId(req.query.version, req.user.tenantId);
+      await deleteDisposition(versionId, req.params.id);
+      res.sendStatus(204);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  console.log('Disposition admin routes configured');
+}
@@ -0,0 +1,419 @@
+// src/dispositionVersions.js
+
+import { pool, invalidateDispositionHierarchy } from './form.js';
+import { requireRole } from './auth.js';
+import { httpError, sendError } from './httpError.js';
+import { startJob } from './jobs.js';
+
+const PUBLISH_CHECK_INTERVAL_MS = Number(process.env.DISPOSITION_PUBLISH_INTERVAL_MS) || 30000;
+
+// Columns copied when a tree version is cloned into a new draft
+const TREE_COLUMNS = `call_type, disposition_1, disposition_2, email_address, is_custom_input,
+  call_type_order, disposition_1_order, disposition_2_order, is_active, sla_hours,
+  ack_sla_hours, escalation_email`;
+
+// Live version id per tenant id
+const liveVersionIds = new Map();
+
+/**
+ * Forget the cached live version ids (called after publish / rollback)
+ */
+export function invalidateLiveVersion() {
+  liveVersionIds.clear();
+}
+
+/**
+ * Id of a tenant's currently published disposition tree
+ * @param {number} tenantId
+ * @returns {Promise<number>}
+ */
+export async function getLiveVersionId(tenantId) {
+  if (liveVersionIds.has(tenantId)) return liveVersionIds.get(tenantId);
+
+  const [rows] = await pool.execute(
+    `SELECT id FROM disposition_versions
+      WHERE tenant_id = ? AND status = 'published'
+      ORDER BY published_at DESC, id DESC
+      LIMIT 1`,
+    [tenantId]
+  );
+  if (rows.length === 0) throw new Error(`No published disposition tree version found for tenant ${tenantId}`);
+
+  liveVersionIds.set(tenantId, rows[0].id);
+  return rows[0].id;
+}
+
+/**
+ * Resolve a version selector from a query string into a disposition_versions id
+ * of the tenant. Other tenants' versions are reported as not found.
+ * @param {string|number} [version] 'live' (default), 'draft' or a numeric id
+ * @param {number} tenantId
+ * @returns {Promise<number>}
+ */
+export async function resolveVersionId(version, tenantId) {
+  if (version === undefined || version === null || version === '' || version === 'live') {
+    return getLiveVersionId(tenantId);
+  }
+
+  if (version === 'draft') {
+    const [rows] = await pool.execute(
+      `SELECT id FROM disposition_versions
+        WHERE tenant_id = ? AND status IN ('draft', 'scheduled')
+        ORDER BY id DESC
+        LIMIT 1`,
+      [tenantId]
+    );
+    if (rows.length === 0) throw httpError(404, 'There is no draft disposition tree');
+    return rows[0].id;
+  }
+
+  const id = Number(version);
+  if (!Number.isInteger(id) || id <= 0) {
+    throw httpError(400, 'version must be "live", "draft" or a numeric version id');
+  }
+  const found = await getVersion(id, tenantId);
+  if (!found) throw httpError(404, `Disposition tree version ${id} not found`);
+  return id;
+}
+
+/**
+ * Like resolveVersionId() but only for drafts. The live and archived trees
+ * must stay untouched so forms keep pointing at the tree they were filed
+ * against, and a scheduled one goes live as it was reviewed.
+ * @param {string|number} [version]
+ * @param {number} tenantId
+ */
+export async function resolveEditableVersionId(version, tenantId) {
+  const id = await resolveVersionId(version, tenantId);
+  const { status } = await getVersion(id, tenantId);
+  if (status === 'scheduled') {
+    throw httpError(409, 'Scheduled disposition tree versions are read-only; unschedule it to edit it');
+  }
+  if (status !== 'draft') {
+    throw httpError(409, `The ${status === 'published' ? 'live' : 'archived'} disposition tree is read-only; create a draft from it and edit that (?version=draft)`);
+  }
+  return id;
+}
+
+/**
+ * Retrieves a version row, optionally only when it belongs to a tenant
+ * @param {number} id
+ * @param {number} [tenantId]
+ */
+export async function getVersion(id, tenantId) {
+  const [rows] = tenantId === undefined
+    ? await pool.execute('SELECT * FROM disposition_versions WHERE id = ?', [id])
+    : await pool.execute('SELECT * FROM disposition_versions WHERE id = ? AND tenant_id = ?', [id, tenantId]);
+  return rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * Lists every version of a tenant with its leaf count, newest first
+ * @param {number} tenantId
+ */
+export async function listVersions(tenantId) {
+  const [rows] = await pool.execute(
+    `SELECT v.*, COUNT(dc.id) AS leaf_count
+       FROM disposition_versions v
+       LEFT JOIN disposition_config dc ON dc.version_id = v.id
+      WHERE v.tenant_id = ?
+      GROUP BY v.id
+      ORDER BY v.id DESC`,
+    [tenantId]
+  );
+  return rows;
+}
+
+/**
+ * Creates a new draft by copying an existing tree. Only one draft per tenant may exist at a time.
+ * @param {Object} options { label, from } where `from` is a version selector (default live)
+ * @param {number} tenantId
+ * @returns {Promise<Object>} The new version row
+ */
+export async function createDraft({ label, from } = {}, tenantId) {
+  const sourceId = await resolveVersionId(from, tenantId);
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [existing] = await connection.execute(
+      `SELECT id FROM disposition_versions WHERE tenant_id = ? AND status IN ('draft', 'scheduled') FOR UPDATE`,
+      [tenantId]
+    );
+    if (existing.length > 0) {
+      throw httpError(409, `Draft version ${existing[0].id} already exists; publish or discard it first`);
+    }
+
+    const [result] = await connection.execute(
+      `INSERT INTO disposition_versions (tenant_id, label, status, based_on_version_id) VALUES (?, ?, 'draft', ?)`,
+      [tenantId, label || null, sourceId]
+    );
+    const draftId = result.insertId;
+
+    await connection.execute(
+      `INSERT INTO disposition_config (version_id, ${TREE_COLUMNS})
+       SELECT ?, ${TREE_COLUMNS} FROM disposition_config WHERE version_id = ?`,
+      [draftId, sourceId]
+    );
+
+    await connection.commit();
+    return getVersion(draftId);
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Gives a new tenant its first, published tree: a copy of another tenant's
+ * live tree, or empty until dispositions are added to it
+ * @param {number} tenantId
+ * @param {number} [fromTenantId] Tenant whose live tree is copied
+ * @returns {Promise<number>} Version id
+ */
+export async function createInitialVersion(tenantId, fromTenantId) {
+  const sourceId = fromTenantId ? await getLiveVersionId(fromTenantId) : null;
+  const [result] = await pool.execute(
+    `INSERT INTO disposition_versions (tenant_id, label, status, based_on_version_id, published_at)
+     VALUES (?, 'Initial tree', 'published', ?, ?)`,
+    [tenantId, sourceId, new Date()]
+  );
+  if (sourceId) {
+    await pool.execute(
+      `INSERT INTO disposition_config (version_id, ${TREE_COLUMNS})
+       SELECT ?, ${TREE_COLUMNS} FROM disposition_config WHERE version_id = ?`,
+      [result.insertId, sourceId]
+    );
+  }
+  invalidateLiveVersion();
+  return result.insertId;
+}
+
+/**
+ * Makes a version the live tree of its tenant, archiving the one currently
+ * published. Publishing an archived version is a rollback.
+ * @param {number} id Version to publish
+ */
+export async function publishVersion(id) {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [rows] = await connection.execute(
+      'SELECT * FROM disposition_versions WHERE id = ? FOR UPDATE',
+      [id]
+    );
+    if (rows.length === 0) throw httpError(404, 'Disposition tree version not found');
+    if (rows[0].status === 'published') throw httpError(409, 'This version is already live');
+
+    const [[{ leaves }]] = await connection.execute(
+      'SELECT COUNT(*) AS leaves FROM disposition_config WHERE version_id = ? AND is_active = TRUE',
+      [id]
+    );
+    if (leaves === 0) throw httpError(409, 'Cannot publish a disposition tree with no active dispositions');
+
+    await connection.execute(
+      `UPDATE disposition_versions SET status = 'archived' WHERE tenant_id = ? AND status = 'published'`,
+      [rows[0].tenant_id]
+    );
+    await connection.execute(
+      `UPDATE disposition_versions
+          SET status = 'published', published_at = ?, publish_at = NULL
+        WHERE id = ?`,
+      [new Date(), id]
+    );
+
+    await connection.commit();
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
+
+  invalidateDispositionHierarchy();
+  console.log(`[${new Date().toISOString()}] Disposition tree version ${id} is now live`);
+  return getVersion(id);
+}
+
+/**
+ * Schedules a draft to go live at a given time
+ * @param {number} id Draft version id
+ * @param {string|Date} publishAt When to publish
+ * @param {number} tenantId
+ */
+export async function schedulePublish(id, publishAt, tenantId) {
+  const when = new Date(publishAt);
+  if (!publishAt || Number.isNaN(when.getTime())) {
+    throw httpError(400, 'publish_at must be a valid date/time');
+  }
+  if (when <= new Date()) throw httpError(400, 'publish_at must be in the future');
+
+  const [result] = await pool.execute(
+    `UPDATE disposition_versions SET status = 'scheduled', publish_at = ?
+      WHERE id = ? AND tenant_id = ? AND status IN ('draft', 'scheduled')`,
+    [when, id, tenantId]
+  );
+  if (result.affectedRows === 0) throw httpError(409, 'Only draft versions can be scheduled');
+  return getVersion(id);
+}
+
+/**
+ * Returns a scheduled version to draft
+ * @param {number} id
+ * @param {number} tenantId
+ */
+export async function unschedule(id, tenantId) {
+  const [result] = await pool.execute(
+    `UPDATE disposition_versions SET status = 'draft', publish_at = NULL
+      WHERE id = ? AND tenant_id = ? AND status = 'scheduled'`,
+    [id, tenantId]
+  );
+  if (result.affectedRows === 0) throw httpError(409, 'Version is not scheduled');
+  return getVersion(id);
+}
+
+/**
+ * Discards a draft and its dispositions
+ * @param {number} id
+ * @param {number} tenantId
+ */
+export async function discardDraft(id, tenantId) {
+  const version = await getVersion(id, tenantId);
+  if (!version) throw httpError(404, 'Disposition tree version not found');
+  if (!['draft', 'scheduled'].includes(version.status)) {
+    throw httpError(409, 'Only draft versions can be discarded');
+  }
+
+  await pool.execute('DELETE FROM disposition_config WHERE version_id = ?', [id]);
+  await pool.execute('DELETE FROM disposition_versions WHERE id = ?', [id]);
+  invalidateDispositionHierarchy();
+}
+
+/**
+ * Publishes scheduled versions whose publish time has passed. A version that
+ * cannot be published (e.g. it has no active dispositions) goes back to draft;
+ * other failures are retried on the next check. Either way the remaining
+ * versions are still published.
+ */
+export async function publishDueVersions() {
+  const [due] = await pool.execute(
+    `SELECT id, tenant_id FROM disposition_versions
+      WHERE status = 'scheduled' AND publish_at <= ?
+      ORDER BY publish_at`,
+    [new Date()]
+  );
+  for (const { id, tenant_id: tenantId } of due) {
+    try {
+      await publishVersion(id);
+    } catch (err) {
+      if (!err.status) {
+        console.error(`Scheduled publish of disposition tree version ${id} failed, retrying:`, err.message);
+        continue;
+      }
+      console.error(`Scheduled publish of disposition tree version ${id} failed, returned to draft:`, err.message);
+      try {
+        await unschedule(id, tenantId);
+      } catch (unscheduleErr) {
+        console.error(`Could not unschedule disposition tree version ${id}:`, unscheduleErr.message);
+      }
+    }
+  }
+}
+
+/**
+ * Starts the background check that publishes scheduled versions
+ */
+export function startDispositionPublishScheduler() {
+  return startJob('disposition-publish', PUBLISH_CHECK_INTERVAL_MS, publishDueVersions);
+}
+
+/**
+ * Mount the disposition version API. Every route requires the supervisor role.
+ * @param {Object} app Express application
+ */
+export function setupDispositionVersionRoutes(app) {
+  const requireSupervisor = requireRole('supervisor');
+
+  app.get('/disposition-versions', requireSupervisor, async (req, res) => {
+    try {
+      res.json(await listVersions(req.user.tenantId));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Start a new draft, copied from the live tree unless `from` is given
+  app.post('/disposition-versions', requireSupervisor, async (req, res) => {
+    try {
+      res.status(201).json(await createDraft(req.body || {}, req.user.tenantId));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  app.get('/disposition-versions/:id', requireSupervisor, async (req, res) => {
+    try {
+      const version = await getVersion(req.params.id, req.user.tenantId);
+      if (!version) return res.status(404).json({ error: 'Disposition tree version not found' });
+      res.json(version);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  app.post('/disposition-versions/:id/schedule', requireSupervisor, async (req, res) => {
+    try {
+      res.json(await schedulePublish(req.params.id, (req.body || {}).publish_at, req.user.tenantId));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  app.post('/disposition-versions/:id/unschedule', requireSupervisor, async (req, res) => {
+    try {
+      res.json(await unschedule(req.params.id, req.user.tenantId));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Publish immediately
+  app.post('/disposition-versions/:id/publish', requireSupervisor, async (req, res) => {
+    try {
+      const version = await getVersion(req.params.id, req.user.tenantId);
+      if (!version) return res.status(404).json({ error: 'Disposition tree version not found' });
+      res.json(await publishVersion(version.id));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Roll back to an earlier (archived) version
+  app.post('/disposition-versions/:id/rollback', requireSupervisor, async (req, res) => {
+    try {
+      const version = await getVersion(req.params.id, req.user.tenantId);
+      if (!version) return res.status(404).json({ error: 'Disposition tree version not found' });
+      if (version.status !== 'archived') {
+        return res.status(409).json({ error: 'Only previously published versions can be rolled back to' });
+      }
+      res.json(await publishVersion(version.id));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  app.delete('/disposition-versions/:id', requireSupervisor, async (req, res) => {
+    try {
+      await discardDraft(req.params.id, req.user.tenantId);
+      res.sendStatus(204);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  console.log('Disposition version routes configured');
+}
@@ -170,3 +170,604 @@ SELECT DISTINCT
   is_custom_input
 FROM disposition_config
 ORDER BY call_type, disposition_1, disposition_2;
+
+-- Admin-managed ordering and activation of disposition nodes
+-- (ordering is denormalized per level, like the hierarchy itself)
+ALTER TABLE disposition_config
+  ADD COLUMN call_type_order INT NOT NULL DEFAULT 0,
+  ADD COLUMN disposition_1_order INT NOT NULL DEFAULT 0,
+  ADD COLUMN disposition_2_order INT NOT NULL DEFAULT 0,
+  ADD COLUMN is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  ADD COLUMN updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP;
+
+-- Versioned disposition trees: every disposition_config row belongs to a version,
+-- exactly one version is published (live) at a time
+CREATE TABLE IF NOT EXISTS disposition_versions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  label VARCHAR(100) NULL,
+  status ENUM('draft', 'scheduled', 'published', 'archived') NOT NULL DEFAULT 'draft',
+  based_on_version_id INT NULL,
+  publish_at TIMESTAMP NULL,   -- when a scheduled draft goes live
+  published_at TIMESTAMP NULL, -- when it last went live
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  INDEX idx_status (status)
+);
+
+-- The tree that existed before versioning becomes version 1
+INSERT INTO disposition_versions (id, label, status, published_at)
+VALUES (1, 'Initial tree', 'published', CURRENT_TIMESTAMP);
+
+ALTER TABLE disposition_config
+  ADD COLUMN version_id INT NOT NULL DEFAULT 1 AFTER id,
+  ADD INDEX idx_version (version_id);
+
+ALTER TABLE disposition_config
+  DROP INDEX unique_disposition,
+  ADD UNIQUE KEY unique_disposition (version_id, call_type, disposition_1, disposition_2);
+
+-- Tree version each form was dispositioned against
+ALTER TABLE forms_new
+  ADD COLUMN disposition_version_id INT NULL,
+  ADD INDEX idx_disposition_version (disposition_version_id);
+
+UPDATE forms_new SET disposition_version_id = 1
+WHERE disposition_version_id IS NULL AND call_type <> '';
+
+-- Keep the legacy view pointed at the live tree only
+CREATE OR REPLACE VIEW disposition_hierarchy AS
+SELECT DISTINCT
+  dc.call_type,
+  dc.disposition_1,
+  dc.disposition_2,
+  dc.email_address,
+  dc.is_custom_input
+FROM disposition_config dc
+JOIN disposition_versions v ON v.id = dc.version_id AND v.status = 'published'
+WHERE dc.is_active = TRUE
+ORDER BY dc.call_type, dc.disposition_1, dc.disposition_2;
+
+-- Departments receiving routed notifications (replaces the hard-coded departmentMap)
+CREATE TABLE IF NOT EXISTS departments (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  email_address VARCHAR(255) NULL, -- default mailbox of the department
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  UNIQUE KEY unique_department_name (name),
+  INDEX idx_department_email (email_address)
+);
+
+INSERT INTO departments (name, email_address) VALUES
+('Customer Experience Team', 'cx@spcfz.ae'),
+('Customer Support Team', 'cp.support@spcfz.ae'),
+('Services Team', 'services@spcfz.ae'),
+('Accounts Team', 'accounts@spcfz.ae'),
+('General Support Team', 'info@spcfz.ae');
+
+-- Ordered routing rules. Disposition levels and queue/agent/company conditions
+-- accept '*' wildcards (NULL = any), the first active matching rule wins.
+CREATE TABLE IF NOT EXISTS routing_rules (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  priority INT NOT NULL DEFAULT 100, -- lower runs first
+
+  call_type VARCHAR(50) NOT NULL DEFAULT '*',
+  disposition_1 VARCHAR(100) NOT NULL DEFAULT '*',
+  disposition_2 VARCHAR(100) NOT NULL DEFAULT '*',
+  queue_id VARCHAR(100) NULL,
+  queue_name VARCHAR(100) NULL,
+  agent_id VARCHAR(100) NULL,
+  company_pattern VARCHAR(200) NULL,
+  time_from TIME NULL,            -- local time window (ROUTING_TIMEZONE)
+  time_to TIME NULL,
+  days_of_week VARCHAR(20) NULL,  -- e.g. '1,2,3,4,5' (1 = Monday)
+
+  to_addresses TEXT NULL,         -- comma-separated
+  cc_addresses TEXT NULL,
+  bcc_addresses TEXT NULL,
+  use_disposition_email BOOLEAN NOT NULL DEFAULT FALSE, -- also send to disposition_config.email_address
+  department_id INT NULL,
+
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  INDEX idx_priority (priority),
+  FOREIGN KEY (department_id) REFERENCES departments(id)
+);
+
+-- Notification email templates. NULL selectors match anything; the most specific
+-- active template wins (disposition over department), falling back to the built-in one.
+CREATE TABLE IF NOT EXISTS email_templates (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  department_id INT NULL,
+  call_type VARCHAR(50) NULL,
+  disposition_1 VARCHAR(100) NULL,
+  disposition_2 VARCHAR(100) NULL,
+  language VARCHAR(10) NOT NULL DEFAULT 'en',
+  subject VARCHAR(255) NOT NULL,
+  body_html TEXT NOT NULL,
+  body_text TEXT NULL, -- plain-text alternative, derived from body_html when empty
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  INDEX idx_template_department (department_id),
+  INDEX idx_template_disposition (call_type, disposition_1, disposition_2),
+  FOREIGN KEY (department_id) REFERENCES departments(id)
+);
+
+-- Outbound email queue: notifications are queued here and sent by the
+-- notification worker with exponential backoff, dead-lettered after max_attempts
+CREATE TABLE IF NOT EXISTS email_outbox (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  form_id INT NULL,
+  kind VARCHAR(50) NOT NULL DEFAULT 'generic', -- e.g. call_notification
+  from_address VARCHAR(255) NULL,
+  to_addresses TEXT NOT NULL,
+  cc_addresses TEXT NULL,
+  bcc_addresses TEXT NULL,
+  subject VARCHAR(255) NOT NULL,
+  body_html MEDIUMTEXT NULL,
+  body_text MEDIUMTEXT NULL,
+
+  status ENUM('pending', 'sending', 'sent', 'dead') NOT NULL DEFAULT 'pending',
+  attempts INT NOT NULL DEFAULT 0,
+  max_attempts INT NOT NULL DEFAULT 8,
+  next_attempt_at TIMESTAMP NULL,
+  last_error TEXT NULL,
+  message_id VARCHAR(255) NULL, -- SMTP Message-ID once sent
+  locked_at TIMESTAMP NULL,
+  lock_token CHAR(36) NULL,
+  sent_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  INDEX idx_outbox_due (status, next_attempt_at),
+  INDEX idx_outbox_form (form_id),
+  INDEX idx_outbox_lock (lock_token)
+);
+
+-- External destinations (CRM feed etc.) receiving final submission data
+CREATE TABLE IF NOT EXISTS integration_destinations (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  url VARCHAR(500) NOT NULL,
+  auth_type ENUM('none', 'header', 'bearer', 'hmac') NOT NULL DEFAULT 'none',
+  auth_header_name VARCHAR(100) NULL, -- header for 'header' auth / signature header for 'hmac'
+  auth_secret VARCHAR(500) NULL,      -- header value, bearer token or HMAC key
+  field_mapping JSON NULL,            -- { "targetField": "source.path" }, NULL = full payload
+  timeout_ms INT NULL,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Persistent retry queue of deliveries, one per destination and form event
+CREATE TABLE IF NOT EXISTS integration_deliveries (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  destination_id INT NOT NULL,
+  form_id INT NOT NULL,
+  event VARCHAR(50) NOT NULL,              -- e.g. submitted
+  idempotency_key VARCHAR(100) NOT NULL,   -- form-<id>-<event>, sent as Idempotency-Key
+  payload JSON NOT NULL,
+
+  status ENUM('pending', 'sending', 'delivered', 'dead') NOT NULL DEFAULT 'pending',
+  attempts INT NOT NULL DEFAULT 0,
+  max_attempts INT NOT NULL DEFAULT 10,
+  next_attempt_at TIMESTAMP NULL,
+  response_status INT NULL,
+  last_error TEXT NULL,
+  locked_at TIMESTAMP NULL,
+  lock_token CHAR(36) NULL,
+  delivered_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  UNIQUE KEY unique_delivery (destination_id, idempotency_key),
+  INDEX idx_delivery_due (status, next_attempt_at),
+  INDEX idx_delivery_form (form_id),
+  INDEX idx_delivery_lock (lock_token),
+  FOREIGN KEY (destination_id) REFERENCES integration_destinations(id)
+);
+
+-- Agent / supervisor / admin accounts for JWT login
+CREATE TABLE IF NOT EXISTS users (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  username VARCHAR(100) NOT NULL UNIQUE,
+  password_hash VARCHAR(100) NOT NULL,      -- bcrypt
+  display_name VARCHAR(255) NULL,
+  email VARCHAR(255) NULL,
+  role ENUM('agent', 'supervisor', 'admin') NOT NULL DEFAULT 'agent',
+  agent_id VARCHAR(100) NULL,               -- matches forms_new.agent_id for agents
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  last_login_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  INDEX idx_users_agent (agent_id)
+);
+
+-- Queues a supervisor is responsible for
+CREATE TABLE IF NOT EXISTS user_queues (
+  user_id INT NOT NULL,
+  queue_id VARCHAR(100) NOT NULL,
+  PRIMARY KEY (user_id, queue_id),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- API keys for machine callers (the PBX opening /webhook, admin scripts)
+CREATE TABLE IF NOT EXISTS api_keys (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  key_hash CHAR(64) NOT NULL UNIQUE,        -- sha256 of the key, the key itself is never stored
+  role ENUM('pbx', 'admin') NOT NULL DEFAULT 'pbx',
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  last_used_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Shared secrets the call center signs /webhook calls with (tenant NULL = any tenant)
+CREATE TABLE IF NOT EXISTS webhook_secrets (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  tenant VARCHAR(100) NULL,
+  secret VARCHAR(255) NOT NULL,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  INDEX idx_webhook_secret_tenant (tenant, is_active)
+);
+
+-- Audit trail of webhook calls rejected by signature verification
+CREATE TABLE IF NOT EXISTS webhook_rejections (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  tenant VARCHAR(100) NULL,
+  reason VARCHAR(50) NOT NULL,     -- missing_signature, stale_timestamp, bad_signature, replayed ...
+  ip_address VARCHAR(64) NULL,
+  method VARCHAR(10) NOT NULL,
+  params JSON NULL,                -- query parameters without sig/token
+  user_agent VARCHAR(255) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  INDEX idx_webhook_rejection_created (created_at),
+  INDEX idx_webhook_rejection_tenant (tenant, created_at)
+);
+
+-- Indexes backing GET /forms filters, sorting and full-text search
+-- (one statement each so a re-run skips only the ones already present)
+ALTER TABLE forms_new ADD INDEX idx_forms_queue_created (queue_id, created_at);
+ALTER TABLE forms_new ADD INDEX idx_forms_agent_created (agent_id, created_at);
+ALTER TABLE forms_new ADD INDEX idx_forms_caller (caller_id_number);
+ALTER TABLE forms_new ADD INDEX idx_forms_contact (contact_number);
+ALTER TABLE forms_new ADD INDEX idx_forms_company (company);
+ALTER TABLE forms_new ADD FULLTEXT INDEX idx_forms_search (name, email, query);
+
+-- How a form row was created: 'webhook' rows are call screen pops the agent
+-- still has to complete, 'form' rows were submitted directly
+ALTER TABLE forms_new
+  ADD COLUMN created_via ENUM('form', 'webhook') NOT NULL DEFAULT 'form';
+
+ALTER TABLE forms_new ADD INDEX idx_forms_created_via (created_via, created_at);
+
+-- Form lifecycle: opened (webhook screen pop) -> in_progress (partial save)
+-- -> submitted, or abandoned by the sweeper after FORM_ABANDON_TIMEOUT_MINUTES
+ALTER TABLE forms_new
+  ADD COLUMN status ENUM('opened', 'in_progress', 'submitted', 'abandoned') NOT NULL DEFAULT 'submitted',
+  ADD COLUMN last_activity_at TIMESTAMP NULL,
+  ADD COLUMN submitted_at TIMESTAMP NULL,
+  ADD COLUMN abandoned_at TIMESTAMP NULL;
+
+ALTER TABLE forms_new ADD INDEX idx_forms_status (status, last_activity_at);
+
+-- Existing rows: completed ones were submitted when created, old placeholders
+-- are abandoned right away (without notifying anyone)
+UPDATE forms_new SET submitted_at = created_at
+WHERE status = 'submitted' AND submitted_at IS NULL AND call_type <> '';
+
+UPDATE forms_new SET status = 'abandoned', abandoned_at = created_at
+WHERE status = 'submitted' AND call_type = '';
+
+-- Append-only audit trail of form creates / updates with field-level before/after values
+CREATE TABLE IF NOT EXISTS form_history (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  form_id INT NOT NULL,
+  action VARCHAR(20) NOT NULL,                         -- create, update, abandon ...
+  source ENUM('ui', 'webhook', 'api', 'system') NOT NULL,
+  actor_user_id INT NULL,
+  actor_api_key_id INT NULL,
+  actor_name VARCHAR(255) NULL,                        -- kept even if the account is removed
+  changes JSON NOT NULL,                               -- { "field": { "from": ..., "to": ... } }
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  INDEX idx_form_history_form (form_id, id)
+);
+
+-- Soft delete and retention bookkeeping
+ALTER TABLE forms_new
+  ADD COLUMN deleted_at TIMESTAMP NULL,
+  ADD COLUMN deleted_by VARCHAR(100) NULL,
+  ADD COLUMN anonymized_at TIMESTAMP NULL;
+
+ALTER TABLE forms_new ADD INDEX idx_forms_deleted (deleted_at);
+
+-- Caller / contact numbers normalised to E.164 for caller history lookups
+-- (existing rows: node backfill-phones.js)
+ALTER TABLE forms_new
+  ADD COLUMN caller_number_normalized VARCHAR(20) NULL,
+  ADD COLUMN contact_number_normalized VARCHAR(20) NULL;
+
+ALTER TABLE forms_new ADD INDEX idx_forms_caller_normalized (caller_number_normalized, created_at);
+ALTER TABLE forms_new ADD INDEX idx_forms_contact_normalized (contact_number_normalized, created_at);
+
+-- Contacts directory built from submissions, used to pre-fill webhook forms
+CREATE TABLE IF NOT EXISTS contacts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  company VARCHAR(200) NOT NULL DEFAULT '',
+  name VARCHAR(100) NOT NULL DEFAULT '',
+  email VARCHAR(100) NULL,                             -- lower-cased
+  last_form_id INT NULL,
+  last_seen_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  INDEX idx_contacts_email (email),
+  INDEX idx_contacts_name (name, company),
+  INDEX idx_contacts_last_seen (last_seen_at)
+);
+
+-- E.164 numbers of a contact (a number belongs to one contact)
+CREATE TABLE IF NOT EXISTS contact_numbers (
+  number VARCHAR(20) PRIMARY KEY,
+  contact_id INT NOT NULL,
+
+  INDEX idx_contact_numbers_contact (contact_id)
+);
+
+-- Resolution SLA per disposition leaf in hours (NULL = TICKET_DEFAULT_SLA_HOURS)
+ALTER TABLE disposition_config ADD COLUMN sla_hours INT NULL;
+
+-- Routed submissions become tickets for the receiving department
+CREATE TABLE IF NOT EXISTS tickets (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  form_id INT NOT NULL,
+  department_id INT NULL,
+  department_name VARCHAR(100) NULL,
+  routed_to TEXT NULL,                                 -- recipients of the notification
+  status ENUM('open', 'acknowledged', 'resolved') NOT NULL DEFAULT 'open',
+  assignee VARCHAR(255) NULL,
+  sla_hours INT NOT NULL,
+  opened_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  due_at TIMESTAMP NULL,
+  acknowledged_at TIMESTAMP NULL,
+  resolved_at TIMESTAMP NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  UNIQUE KEY unique_ticket_form (form_id),
+  INDEX idx_tickets_status_due (status, due_at),
+  INDEX idx_tickets_department (department_id, status)
+);
+
+-- Ticket thread: comments and status changes
+CREATE TABLE IF NOT EXISTS ticket_comments (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  ticket_id INT NOT NULL,
+  kind ENUM('comment', 'status') NOT NULL DEFAULT 'comment',
+  author VARCHAR(255) NULL,
+  source ENUM('ui', 'email', 'api', 'system') NOT NULL DEFAULT 'ui',
+  body TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  INDEX idx_ticket_comments_ticket (ticket_id, id)
+);
+
+-- Acknowledgement SLA and second-level escalation address per disposition leaf.
+-- All SLA hours (sla_hours too) are business hours: BUSINESS_DAYS / BUSINESS_HOURS_*
+-- in BUSINESS_TIMEZONE, excluding public_holidays.
+ALTER TABLE disposition_config
+  MODIFY COLUMN sla_hours DECIMAL(7,2) NULL,
+  ADD COLUMN ack_sla_hours DECIMAL(7,2) NULL,
+  ADD COLUMN escalation_email VARCHAR(255) NULL;
+
+UPDATE disposition_config SET ack_sla_hours = 4
+WHERE call_type = 'Complaints' AND disposition_1 = 'CallBack Not Rcvd' AND ack_sla_hours IS NULL;
+
+ALTER TABLE tickets
+  MODIFY COLUMN sla_hours DECIMAL(7,2) NOT NULL,
+  ADD COLUMN ack_sla_hours DECIMAL(7,2) NULL,
+  ADD COLUMN ack_due_at TIMESTAMP NULL,
+  ADD COLUMN escalate_to VARCHAR(255) NULL,
+  ADD COLUMN escalated_at TIMESTAMP NULL;
+
+ALTER TABLE tickets ADD INDEX idx_tickets_ack_due (status, escalated_at, ack_due_at);
+
+ALTER TABLE ticket_comments
+  MODIFY COLUMN kind ENUM('comment', 'status', 'escalation') NOT NULL DEFAULT 'comment';
+
+-- Public holidays skipped by SLA timers (one row per day)
+CREATE TABLE IF NOT EXISTS public_holidays (
+  holiday_date DATE PRIMARY KEY,
+  name VARCHAR(100) NOT NULL
+);
+
+-- Reply-To of outgoing form emails (message_id is now set before sending)
+ALTER TABLE email_outbox ADD COLUMN reply_to VARCHAR(255) NULL;
+
+ALTER TABLE email_outbox ADD INDEX idx_outbox_message_id (message_id);
+
+-- Notes on a form: department email replies threaded back by inboundMail.js
+CREATE TABLE IF NOT EXISTS form_notes (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  form_id INT NOT NULL,
+  source ENUM('email') NOT NULL DEFAULT 'email',
+  from_address VARCHAR(255) NULL,
+  from_name VARCHAR(255) NULL,
+  subject VARCHAR(255) NOT NULL DEFAULT '',
+  body TEXT NOT NULL,
+  message_id VARCHAR(255) NULL,                        -- inbound Message-ID, ignores re-deliveries
+  received_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  UNIQUE KEY unique_form_note_message (message_id),
+  INDEX idx_form_notes_form (form_id, received_at)
+);
+
+-- Free text typed for "Others" dispositions (written by the webhook POST and forms API)
+ALTER TABLE forms_new ADD COLUMN disposition_2_custom VARCHAR(255) NULL AFTER disposition_2;
+
+-- VoiceMeetMe campaign call the form belongs to (webhook tenant / callId)
+ALTER TABLE forms_new
+  ADD COLUMN vmm_tenant VARCHAR(100) NULL,
+  ADD COLUMN vmm_call_id VARCHAR(100) NULL;
+
+-- Retry queue pushing final dispositions to VoiceMeetMe, one row per form
+CREATE TABLE IF NOT EXISTS vmm_dispositions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  form_id INT NOT NULL,
+  tenant VARCHAR(100) NOT NULL,
+  call_id VARCHAR(100) NOT NULL,
+  value VARCHAR(500) NOT NULL,                         -- disposition text sent
+
+  status ENUM('pending', 'sending', 'synced', 'failed') NOT NULL DEFAULT 'pending',
+  attempts INT NOT NULL DEFAULT 0,
+  max_attempts INT NOT NULL DEFAULT 8,
+  next_attempt_at TIMESTAMP NULL,
+  last_error TEXT NULL,
+  locked_at TIMESTAMP NULL,
+  lock_token CHAR(36) NULL,
+  synced_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  UNIQUE KEY unique_vmm_form (form_id),
+  INDEX idx_vmm_due (status, next_attempt_at),
+  INDEX idx_vmm_lock (lock_token)
+);
+
+-- Disposition list of each VoiceMeetMe tenant, as last pulled from the portal
+CREATE TABLE IF NOT EXISTS vmm_tenant_dispositions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  tenant VARCHAR(100) NOT NULL,
+  vmm_id VARCHAR(100) NOT NULL,                        -- portal disposition id
+  code VARCHAR(100) NULL,
+  name VARCHAR(255) NOT NULL,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,             -- FALSE once gone from the portal
+  synced_at TIMESTAMP NULL,
+
+  UNIQUE KEY unique_vmm_tenant_disposition (tenant, vmm_id)
+);
+
+-- Local disposition path (any tree version) to the tenant disposition sent for it
+CREATE TABLE IF NOT EXISTS vmm_disposition_mappings (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  tenant VARCHAR(100) NOT NULL,
+  call_type VARCHAR(50) NOT NULL,
+  disposition_1 VARCHAR(100) NOT NULL,
+  disposition_2 VARCHAR(100) NOT NULL,
+  vmm_disposition VARCHAR(100) NOT NULL,               -- id or code sent as the disposition value
+  updated_by VARCHAR(255) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  UNIQUE KEY unique_vmm_mapping (tenant, call_type, disposition_1, disposition_2)
+);
+
+-- Tenants sharing this installation. The slug is the VoiceMeetMe domain
+-- (webhook `tenant` parameter); settings left NULL fall back to the environment.
+CREATE TABLE IF NOT EXISTS tenants (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  slug VARCHAR(100) NOT NULL,
+  name VARCHAR(200) NOT NULL,
+  subdomain VARCHAR(100) NULL,                         -- <subdomain>.example.com selects the tenant
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+
+  fallback_email VARCHAR(255) NULL,                    -- routing fallback (ROUTING_FALLBACK_EMAIL)
+  smtp_host VARCHAR(255) NULL,                         -- own mail server, NULL = SMTP_HOST
+  smtp_port INT NULL,
+  smtp_secure BOOLEAN NOT NULL DEFAULT FALSE,
+  smtp_user VARCHAR(255) NULL,
+  smtp_password VARCHAR(500) NULL,
+  mail_from VARCHAR(255) NULL,
+  portal_base_url VARCHAR(500) NULL,                   -- VoiceMeetMe portal, NULL = BASE_URL
+  portal_username VARCHAR(255) NULL,
+  portal_password VARCHAR(500) NULL,
+
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  UNIQUE KEY unique_tenant_slug (slug),
+  UNIQUE KEY unique_tenant_subdomain (subdomain)
+);
+
+-- Everything that existed before tenants belongs to tenant 1
+INSERT INTO tenants (id, slug, name) VALUES (1, 'default', 'Default');
+
+-- Users and API keys belong to one tenant; NULL = platform account that may
+-- pick any tenant (X-Tenant header / subdomain)
+ALTER TABLE users ADD COLUMN tenant_id INT NULL DEFAULT 1 AFTER id;
+ALTER TABLE api_keys ADD COLUMN tenant_id INT NULL DEFAULT 1 AFTER id;
+
+ALTER TABLE forms_new ADD COLUMN tenant_id INT NOT NULL DEFAULT 1 AFTER id;
+ALTER TABLE forms_new ADD INDEX idx_forms_tenant (tenant_id, created_at);
+
+-- Each tenant has its own disposition trees (disposition_config rows follow their version)
+ALTER TABLE disposition_versions ADD COLUMN tenant_id INT NOT NULL DEFAULT 1 AFTER id;
+ALTER TABLE disposition_versions ADD INDEX idx_versions_tenant (tenant_id, status);
+
+ALTER TABLE departments ADD COLUMN tenant_id INT NOT NULL DEFAULT 1 AFTER id;
+ALTER TABLE departments
+  DROP INDEX unique_department_name,
+  ADD UNIQUE KEY unique_department_name (tenant_id, name);
+
+ALTER TABLE routing_rules ADD COLUMN tenant_id INT NOT NULL DEFAULT 1 AFTER id;
+ALTER TABLE routing_rules ADD INDEX idx_routing_tenant (tenant_id, priority);
+
+ALTER TABLE email_templates ADD COLUMN tenant_id INT NOT NULL DEFAULT 1 AFTER id;
+ALTER TABLE email_templates ADD INDEX idx_template_tenant (tenant_id);
+
+-- Picks the tenant's mail server when sending
+ALTER TABLE email_outbox ADD COLUMN tenant_id INT NOT NULL DEFAULT 1 AFTER id;
+
+ALTER TABLE integration_destinations ADD COLUMN tenant_id INT NOT NULL DEFAULT 1 AFTER id;
+ALTER TABLE integration_destinations ADD INDEX idx_destinations_tenant (tenant_id);
+
+ALTER TABLE contacts ADD COLUMN tenant_id INT NOT NULL DEFAULT 1 AFTER id;
+ALTER TABLE contacts ADD INDEX idx_contacts_tenant_email (tenant_id, email);
+
+-- A number belongs to one contact per tenant
+ALTER TABLE contact_numbers ADD COLUMN tenant_id INT NOT NULL DEFAULT 1 FIRST;
+ALTER TABLE contact_numbers
+  DROP PRIMARY KEY,
+  ADD PRIMARY KEY (tenant_id, number);
+
+-- The legacy view shows the default tenant's live tree
+CREATE OR REPLACE VIEW disposition_hierarchy AS
+SELECT DISTINCT
+  dc.call_type,
+  dc.disposition_1,
+  dc.disposition_2,
+  dc.email_address,
+  dc.is_custom_input
+FROM disposition_config dc
+JOIN disposition_versions v ON v.id = dc.version_id AND v.status = 'published' AND v.tenant_id = 1
+WHERE dc.is_active = TRUE
+ORDER BY dc.call_type, dc.disposition_1, dc.disposition_2;
+
+-- VoiceMeetMe domains a tenant dispositions calls for, besides its slug.
+-- Domains listed nowhere belong to the default tenant.
+CREATE TABLE IF NOT EXISTS tenant_vmm_domains (
+  domain VARCHAR(100) NOT NULL PRIMARY KEY,
+  tenant_id INT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  INDEX idx_vmm_domains_tenant (tenant_id)
+);
+
+-- Webhook calls accepted inside the timestamp window, shared by every instance
+-- so a replayed URL is refused after a restart or on another server
+CREATE TABLE IF NOT EXISTS webhook_replays (
+  call_key VARCHAR(80) NOT NULL PRIMARY KEY,
+  expires_at TIMESTAMP NOT NULL,
+
+  INDEX idx_webhook_replays_expires (expires_at)
+);
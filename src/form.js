@@ -1,11 +1,59 @@
 // src/form.js
 
 import mysql from 'mysql2/promise';
-import nodemailer from 'nodemailer';
 import dotenv from 'dotenv';
 import { setupWebhookRoutes } from './webhook.js';
+import { setupWebhookSignatureRoutes } from './webhookSignature.js';
+import { setupDispositionAdminRoutes } from './dispositionAdmin.js';
+import {
+  setupDispositionVersionRoutes,
+  startDispositionPublishScheduler,
+  resolveVersionId,
+  getLiveVersionId,
+  invalidateLiveVersion,
+} from './dispositionVersions.js';
 import express from 'express';
 import cors from 'cors';
+import { httpError, sendError } from './httpError.js';
+import { setupRoutingRoutes, resolveRouting, findDepartmentByEmail } from './routing.js';
+import { setupTemplateRoutes, renderNotification } from './templates.js';
+import { verifyMailTransport } from './mailer.js';
+import { setupNotificationRoutes, startNotificationWorker, enqueueEmail } from './notifications.js';
+import { setupIntegrationRoutes, startIntegrationWorker, enqueueDeliveries } from './integrations.js';
+import {
+  setupAuthRoutes,
+  requireRole,
+  requireAuth,
+  formScope,
+  canAccessForm,
+  corsOptions,
+} from './auth.js';
+import { queryForms } from './formQuery.js';
+import { setupExportRoutes } from './formExport.js';
+import { setupReportRoutes } from './reports.js';
+import { statusForDisposition, startAbandonSweeper } from './formStatus.js';
+import { recordFormChange, changeContext, getFormHistory } from './formHistory.js';
+import { setupFormRetentionRoutes, startRetentionJob } from './formRetention.js';
+import { validate, validateRequest, assertValid, checkDispositionPath, schemas } from './validation.js';
+import { normalizePhone } from './phone.js';
+import { normalizedNumbers, setupCallerRoutes } from './callers.js';
+import { setupContactRoutes, recordContact } from './contacts.js';
+import {
+  setupTicketRoutes,
+  startTicketEscalationJob,
+  openTicket,
+  ticketTemplateContext,
+} from './tickets.js';
+import { setupBusinessHoursRoutes } from './businessHours.js';
+import { setupInboundMailRoutes, startInboundMailReceiver, getFormNotes } from './inboundMail.js';
+import {
+  setupDispositionSyncRoutes,
+  startDispositionSyncWorker,
+  queueDispositionSync,
+  getDispositionSync,
+} from './voicemeetmeSync.js';
+import { setupDispositionMappingRoutes } from './voicemeetmeMapping.js';
+import { setupTenantRoutes, tenantFallbackEmail, assertTenantDomain, DEFAULT_TENANT_ID } from './tenants.js';
 
 dotenv.config();
 
@@ -20,69 +68,47 @@ export const pool = mysql.createPool({
   connectionLimit: 10,
 });
 
-// 2. Mail transport -------------------------------------------------
-// Primary configuration for Office365
-const transporter = nodemailer.createTransport({
-  host: 'smtp.office365.com',
-  port: 587,
-  secure: false, // true for 465, false for other ports
-  auth: {
-    user: process.env.EMAIL_USER || 'noreply-multycomm@spcfz.ae',
-    pass: process.env.EMAIL_PASSWORD || 'wwsbfysyndyqqgmt',
-  },
-  tls: {
-    ciphers: 'SSLv3',
-    rejectUnauthorized: false
-  },
-  debug: true, // Enable debug output
-  logger: true // Log to console
-});
+// Cached hierarchies keyed by tree version, dropped whenever disposition_config
+// or the published version changes through the admin API
+const HIERARCHY_CACHE_TTL_MS = Number(process.env.DISPOSITION_CACHE_TTL_MS) || 60000;
+const hierarchyCache = new Map();
 
-// Alternative Gmail configuration (uncomment if Office365 fails)
-// const transporter = nodemailer.createTransport({
-//   service: 'gmail',
-//   auth: {
-//     user: 'your-gmail@gmail.com',
-//     pass: 'your-app-password', // Gmail app password
-//   },
-// });
-
-// Test SMTP connection
-transporter.verify((error, success) => {
-  if (error) {
-    console.log("❌ SMTP Error:", error.message);
-    console.log("\n📧 SMTP Configuration:");
-    console.log("- Host: smtp.office365.com");
-    console.log("- Port: 587");
-    console.log("- User:", process.env.EMAIL_USER || 'noreply-multycomm@spcfz.ae');
-    console.log("- Password length:", (process.env.EMAIL_PASSWORD || 'wwsbfysyndyqqgmt').length);
-    console.log("\n🔧 Troubleshooting suggestions:");
-    console.log("1. Verify the email account exists and is active");
-    console.log("2. Check if 2FA is enabled - you may need an app password");
-    console.log("3. Ensure SMTP is enabled for this account");
-    console.log("4. Try using the account's full credentials");
-    console.log("5. Contact IT admin to verify account permissions");
-  } else {
-    console.log("✅ SMTP connection successful!");
-  }
-});
+/**
+ * Drop the cached disposition hierarchies so the next request reloads them from the DB
+ */
+export function invalidateDispositionHierarchy() {
+  hierarchyCache.clear();
+  invalidateLiveVersion();
+}
 
 /**
  * Get disposition hierarchy for cascading dropdowns
+ * @param {string|number} [version] 'live' (default), 'draft' or a disposition_versions id
+ * @param {number} tenantId Tenant whose tree is read
  */
-export async function getDispositionHierarchy() {
+export async function getDispositionHierarchy(version, tenantId) {
+  const versionId = await resolveVersionId(version, tenantId);
+  const cached = hierarchyCache.get(versionId);
+  if (cached && Date.now() < cached.expiresAt) {
+    return cached.hierarchy;
+  }
+
   const sql = `
     SELECT DISTINCT 
       call_type,
       disposition_1,
       disposition_2,
       email_address,
-      is_custom_input
+      is_custom_input,
+      call_type_order,
+      disposition_1_order,
+      disposition_2_order
     FROM disposition_config
-    ORDER BY call_type, disposition_1, disposition_2
+    WHERE version_id = ? AND is_active = TRUE
+    ORDER BY call_type_order, call_type, disposition_1_order, disposition_1, disposition_2_order, disposition_2
   `;
   
-  const [rows] = await pool.execute(sql);
+  const [rows] = await pool.execute(sql, [versionId]);
   
   // Structure data for frontend cascading dropdowns
   const hierarchy = {};
@@ -105,51 +131,58 @@ export async function getDispositionHierarchy() {
     });
   });
   
+  hierarchyCache.set(versionId, { hierarchy, expiresAt: Date.now() + HIERARCHY_CACHE_TTL_MS });
   return hierarchy;
 }
 
 /**
  * Get email address for a specific disposition combination
+ * @param {number} tenantId
+ * @param {number} [versionId] Tree version to look in, defaults to the tenant's live one
  */
-export async function getDispositionEmail(callType, disposition1, disposition2) {
+export async function getDispositionEmail(callType, disposition1, disposition2, tenantId, versionId) {
   const sql = `
-    SELECT email_address, is_custom_input 
+    SELECT email_address, is_custom_input, sla_hours, ack_sla_hours, escalation_email
     FROM disposition_config 
-    WHERE call_type = ? AND disposition_1 = ? AND disposition_2 = ?
+    WHERE version_id = ? AND call_type = ? AND disposition_1 = ? AND disposition_2 = ?
   `;
   
-  const [rows] = await pool.execute(sql, [callType, disposition1, disposition2]);
+  const [rows] = await pool.execute(sql, [
+    versionId || await getLiveVersionId(tenantId), callType, disposition1, disposition2
+  ]);
   
   if (rows.length === 0) {
-    return { email: 'info@spcfz.ae', isCustomInput: false }; // fallback email
+    // fallback email for paths missing from the tree
+    return { email: await tenantFallbackEmail(tenantId), isCustomInput: false, found: false,
+      slaHours: null, ackSlaHours: null, escalationEmail: null };
   }
   
   return {
     email: rows[0].email_address,
-    isCustomInput: rows[0].is_custom_input
+    isCustomInput: rows[0].is_custom_input,
+    found: true,
+    slaHours: rows[0].sla_hours === null ? null : Number(rows[0].sla_hours),
+    ackSlaHours: rows[0].ack_sla_hours === null ? null : Number(rows[0].ack_sla_hours),
+    escalationEmail: rows[0].escalation_email
   };
 }
 
 /**
- * Get department name based on email address
+ * Get department name based on email address (from the tenant's departments)
  */
-export async function getDepartmentByEmail(emailAddress) {
-  const departmentMap = {
-    'cx@spcfz.ae': 'Customer Experience Team',
-    'cp.support@spcfz.ae': 'Customer Support Team', 
-    'services@spcfz.ae': 'Services Team',
-    'accounts@spcfz.ae': 'Accounts Team',
-    'info@spcfz.ae': 'General Support Team'
-  };
-  
-  return departmentMap[emailAddress] || 'Support Team';
+export async function getDepartmentByEmail(emailAddress, tenantId) {
+  const department = await findDepartmentByEmail(emailAddress, tenantId);
+  return department ? department.name : 'Support Team';
 }
 
 /**
  * Inserts a new form submission & triggers notification email.
  * @param {Object} data Form submission data
+ * @param {Object} [context] Actor, source and tenant of the change (see changeContext);
+ *   scripts without a tenant file into the default one
  */
-export async function handleFormSubmission(data) {
+export async function handleFormSubmission(data, context = {}) {
+  const tenantId = context.tenantId ?? DEFAULT_TENANT_ID;
   const {
     company,
     name,
@@ -158,6 +191,7 @@ export async function handleFormSubmission(data) {
     call_type,
     disposition_1,
     disposition_2,
+    disposition_2_custom,
     query,
     queue_id,
     queue_name,
@@ -165,86 +199,110 @@ export async function handleFormSubmission(data) {
     agent_ext,
     caller_id_name,
     caller_id_number,
+    tenant,
+    callId,
   } = data;
 
-  // Validate required fields
-  if (!company || !name || !contact_number || !email || !call_type || !disposition_1 || !disposition_2) {
-    throw new Error('Missing required fields: company, name, contact_number, email, call_type, disposition_1, disposition_2');
-  }
+  // Validate fields and the disposition path (routes validate too, this covers direct callers)
+  const { errors } = validate(schemas.createForm, data);
+  assertValid(errors);
+  await assertTenantDomain(tenant, tenantId);
+
+  // Dispositions are recorded against the tree version that is live right now
+  const dispositionVersionId = await getLiveVersionId(tenantId);
+  assertValid(await checkDispositionPath(data, dispositionVersionId, tenantId));
 
-  // Get email configuration for this disposition
-  const { email: targetEmail, isCustomInput } = await getDispositionEmail(call_type, disposition_1, disposition_2);
-  const departmentName = await getDepartmentByEmail(targetEmail);
+  // Work out recipients for this disposition
+  const routing = await resolveRouting(data, { tenantId, versionId: dispositionVersionId });
 
   // ---- Store in DB ----
   const sql = `INSERT INTO forms_new (
-    company, name, contact_number, email, call_type, disposition_1, disposition_2, 
+    tenant_id, company, name, contact_number, email, call_type, disposition_1, disposition_2, 
     query, queue_id, queue_name, agent_id, agent_ext, 
-    caller_id_name, caller_id_number
-  ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+    caller_id_name, caller_id_number, disposition_version_id,
+    status, submitted_at, last_activity_at,
+    caller_number_normalized, contact_number_normalized, vmm_tenant, vmm_call_id,
+    disposition_2_custom
+  ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'submitted', ?, ?, ?, ?, ?, ?, ?)`;
   
-  await pool.execute(sql, [
-    company, name, contact_number, email, call_type, disposition_1, disposition_2,
+  const now = new Date();
+  const numbers = normalizedNumbers({ caller_id_number, contact_number });
+  const [result] = await pool.execute(sql, [
+    tenantId, company, name, contact_number, email, call_type, disposition_1, disposition_2,
     query || null, queue_id || null, queue_name || null, 
-    agent_id || null, agent_ext || null, caller_id_name || null, caller_id_number || null
+    agent_id || null, agent_ext || null, caller_id_name || null, caller_id_number || null,
+    dispositionVersionId, now, now,
+    numbers.caller_number_normalized, numbers.contact_number_normalized,
+    tenant || null, callId || null,
+    disposition_2_custom || null
   ]);
+  const formId = result.insertId;
+  const created = await getFormById(formId);
+  await recordFormChange(formId, 'create', null, created, context);
+  await recordContact(created);
+  await queueDispositionSync(created);
 
   // Send final submission data to external database/API
-  await sendFinalSubmissionData(data, caller_id_number);
+  await sendFinalSubmissionData(created, data, caller_id_number, routing);
 
   // ---- Send email ----
   // Skip email if it's a custom input without email or empty email
-  if (!targetEmail || targetEmail === '') {
+  if (routing.to.length === 0) {
     const timestamp = new Date().toISOString();
     console.log(`[${timestamp}] Form submission stored (no email sent for custom input)`);
     return;
   }
 
-  // Prepare email content
-  const disposition2Display = disposition_2;
-
-  const mailOptions = {
-    from: process.env.EMAIL_USER,
-    to: targetEmail,
-    subject: 'Call Notification',
-    html: `
-      <p>Hi, Good Day!</p>
-      <p>We received a call with the following details. Kindly take the necessary action:</p>
-      <br/>
-      <p><strong>Ticket raised for: </strong>${departmentName}</p>
-      <p><strong>Company:</strong> ${company}</p>
-      <p><strong>Client/Caller Name:</strong> ${name}</p>
-      <p><strong>Email:</strong> ${email}</p>
-      <p><strong>Contact:</strong> ${contact_number}</p>
-      <p><strong>Call Type:</strong> ${call_type}</p>
-      <p><strong>Disposition 1:</strong> ${disposition_1}</p>
-      <p><strong>Disposition 2:</strong> ${disposition2Display}</p>
-      ${query ? `<p><strong>Query/Details:</strong> ${query}</p>` : ''}
-      <br/>
-      <p>Thank you, and have a great day!</p>
-    `,
-  };
+  // Routed submissions become tickets the department works through
+  const ticket = await openTicket(created, routing);
+  await sendCallNotification(
+    { ...data, id: formId, tenant_id: tenantId, ticket: ticketTemplateContext(ticket) }, routing, 'Email'
+  );
+}
 
+/**
+ * Render the department's notification template for a form and queue it for the routed recipients.
+ * @param {Object} form Form fields (including id)
+ * @param {Object} routing Result of resolveRouting()
+ * @param {string} label Log prefix, e.g. 'Email' or 'Update notification email'
+ */
+async function sendCallNotification(form, routing, label) {
   try {
-    await transporter.sendMail(mailOptions);
+    const { subject, html, text } = await renderNotification(form, routing);
+    const outboxId = await enqueueEmail({
+      tenantId: form.tenant_id,
+      formId: form.id,
+      kind: 'call_notification',
+      to: routing.to,
+      cc: routing.cc,
+      bcc: routing.bcc,
+      subject,
+      html,
+      text,
+    });
     const timestamp = new Date().toISOString();
-    console.log(`[${timestamp}] Email sent to ${targetEmail} for ${call_type} - ${disposition_1} - ${disposition_2}`);
+    console.log(`[${timestamp}] ${label} queued (outbox #${outboxId}) for ${routing.to.join(', ')} - ${form.call_type} - ${form.disposition_1} - ${form.disposition_2}`);
   } catch (error) {
-    console.error('Error sending email:', error);
+    console.error('Error rendering or queueing email:', error);
     // Don't throw error - form submission should still succeed even if email fails
   }
 }
 
 /**
- * Send final submission data to external database/API
- * This function is triggered automatically when a form is submitted
+ * Send final submission data to the configured external destinations (CRM feed etc.)
+ * This function is triggered automatically when a form is submitted; the payload is
+ * queued per destination and delivered by the integration worker.
+ * @param {Object} form - Stored forms_new row (id for the idempotency key, tenant for the destinations)
  * @param {Object} submissionData - Complete form submission data
  * @param {string} cidnum - Caller ID number parameter
+ * @param {Object} routing - Result of resolveRouting() for this submission
  */
-async function sendFinalSubmissionData(submissionData, cidnum) {
+async function sendFinalSubmissionData(form, submissionData, cidnum, routing) {
   try {
     // Prepare the final submission payload
     const finalSubmissionPayload = {
+      form_id: form.id,
+
       // Basic form data
       company: submissionData.company,
       name: submissionData.name,
@@ -268,41 +326,20 @@ async function sendFinalSubmissionData(submissionData, cidnum) {
       // Additional metadata
       submission_timestamp: new Date().toISOString(),
       
-      // Get the email routing information
-      target_email: await getDispositionEmail(submissionData.call_type, submissionData.disposition_1, submissionData.disposition_2),
-      department: await getDepartmentByEmail((await getDispositionEmail(submissionData.call_type, submissionData.disposition_1, submissionData.disposition_2)).email)
+      // Email routing information
+      target_email: routing.to,
+      cc_email: routing.cc,
+      routing_rule: routing.rule ? routing.rule.name : null,
+      department: routing.departmentName
     };
 
-    // Log the final submission data
-    console.log('Final Submission Data:', JSON.stringify(finalSubmissionPayload, null, 2));
-
-    // TODO: Replace this with your actual external API endpoint
-    // Example: Send to external database/API
-    /*
-    const response = await fetch('YOUR_EXTERNAL_API_ENDPOINT', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': 'Bearer YOUR_API_TOKEN' // if needed
-      },
-      body: JSON.stringify(finalSubmissionPayload)
-    });
-
-    if (!response.ok) {
-      throw new Error(`External API error: ${response.status} ${response.statusText}`);
-    }
-
-    const result = await response.json();
-    console.log('Successfully sent to external API:', result);
-    */
-
-    // For now, just log success
-    console.log(`[${new Date().toISOString()}] Final submission data prepared for cidnum: ${cidnum}`);
+    const queued = await enqueueDeliveries(form, 'submitted', finalSubmissionPayload);
+    console.log(`[${new Date().toISOString()}] Final submission data queued for ${queued} destination(s), cidnum: ${cidnum}`);
     
     return finalSubmissionPayload;
     
   } catch (error) {
-    console.error('Error sending final submission data:', error);
+    console.error('Error queueing final submission data:', error);
     // Don't throw error - form submission should still succeed even if external API fails
     return null;
   }
@@ -312,11 +349,12 @@ async function sendFinalSubmissionData(submissionData, cidnum) {
  * Updates an existing form submission & triggers notification email.
  * @param {number} id The ID of the form to update
  * @param {Object} data Updated form data
+ * @param {Object} [context] Actor and source for the form history (see changeContext)
  */
-export async function updateFormSubmission(id, data) {
+export async function updateFormSubmission(id, data, context = {}) {
   // fetch existing row to keep not-null columns intact
   const current = await getFormById(id);
-  if (!current) throw new Error(`Form with id ${id} not found`);
+  if (!current) throw httpError(404, `Form with id ${id} not found`);
 
   const {
     company = current.company,
@@ -326,6 +364,7 @@ export async function updateFormSubmission(id, data) {
     call_type = current.call_type,
     disposition_1 = current.disposition_1,
     disposition_2 = current.disposition_2,
+    disposition_2_custom = current.disposition_2_custom,
     query = current.query,
     queue_id = current.queue_id,
     queue_name = current.queue_name,
@@ -333,21 +372,68 @@ export async function updateFormSubmission(id, data) {
     agent_ext = current.agent_ext,
     caller_id_name = current.caller_id_name,
     caller_id_number = current.caller_id_number,
+    tenant = current.vmm_tenant,
+    callId = current.vmm_call_id,
   } = data;
 
+  // Re-dispositioning moves the form onto the live tree version,
+  // otherwise it stays on the version it was originally dispositioned against
+  if (tenant !== current.vmm_tenant) await assertTenantDomain(tenant, current.tenant_id);
+
+  const dispositionChanged = ['call_type', 'disposition_1', 'disposition_2']
+    .some(k => data[k] !== undefined && data[k] !== current[k]);
+  const dispositionVersionId = dispositionChanged || !current.disposition_version_id
+    ? await getLiveVersionId(current.tenant_id)
+    : current.disposition_version_id;
+  if (dispositionChanged) {
+    assertValid(await checkDispositionPath(
+      { call_type, disposition_1, disposition_2 }, dispositionVersionId, current.tenant_id
+    ));
+  }
+
   // ---- update in DB ----
   const sql = `UPDATE forms_new SET 
     company = ?, name = ?, contact_number = ?, email = ?, 
     call_type = ?, disposition_1 = ?, disposition_2 = ?, 
     query = ?, queue_id = ?, queue_name = ?,
-    agent_id = ?, agent_ext = ?, caller_id_name = ?, caller_id_number = ?
+    agent_id = ?, agent_ext = ?, caller_id_name = ?, caller_id_number = ?,
+    disposition_version_id = ?,
+    caller_number_normalized = ?, contact_number_normalized = ?,
+    vmm_tenant = ?, vmm_call_id = ?, disposition_2_custom = ?,
+    submitted_at = IF(? = 'submitted', COALESCE(submitted_at, ?), submitted_at),
+    status = ?, last_activity_at = ?
     WHERE id = ?`;
   
+  // A fully dispositioned form is submitted (also when it had been abandoned),
+  // a partial save keeps it in progress
+  const status = statusForDisposition({ call_type, disposition_1, disposition_2 });
+  const now = new Date();
+  const numbers = normalizedNumbers({ caller_id_number, contact_number });
   await pool.execute(sql, [
     company, name, contact_number, email, call_type, disposition_1, disposition_2,
     query, queue_id, queue_name, agent_id, agent_ext, 
-    caller_id_name, caller_id_number, id
+    caller_id_name, caller_id_number, dispositionVersionId,
+    numbers.caller_number_normalized, numbers.contact_number_normalized,
+    tenant || null, callId || null, disposition_2_custom || null,
+    status, now, status, now, id
   ]);
+  const updated = await getFormById(id);
+  await recordFormChange(id, 'update', current, updated, context);
+  await recordContact(updated);
+  // Submitted campaign calls push their final disposition to VoiceMeetMe
+  await queueDispositionSync(updated);
+
+  // Work out recipients for this disposition
+  const routing = await resolveRouting(
+    { company, call_type, disposition_1, disposition_2, queue_id, queue_name, agent_id },
+    { tenantId: current.tenant_id, versionId: dispositionVersionId }
+  );
+
+  // A form completed by an update (e.g. the placeholder GET /webhook opened)
+  // goes to the external destinations just like a direct submission
+  if (updated.status === 'submitted' && current.status !== 'submitted') {
+    await sendFinalSubmissionData(updated, updated, updated.caller_id_number, routing);
+  }
 
   // ---- decide whether an email is required ----
   const payloadKeys = Object.keys(data).filter(k => data[k] !== undefined);
@@ -363,50 +449,22 @@ export async function updateFormSubmission(id, data) {
     return;
   }
 
-  // Get email configuration for this disposition
-  const { email: targetEmail, isCustomInput } = await getDispositionEmail(call_type, disposition_1, disposition_2);
-  const departmentName = await getDepartmentByEmail(targetEmail);
-
   // Skip email if it's a custom input without email or empty email
-  if (!targetEmail || targetEmail === '') {
+  if (routing.to.length === 0) {
     const timestamp = new Date().toISOString();
     console.log(`[${timestamp}] Form update stored (no email sent for custom input)`);
     return;
   }
 
-  // Prepare email content
-  const disposition2Display = disposition_2;
-
-  const mailOptions = {
-    from: process.env.EMAIL_USER,
-    to: targetEmail,
-    subject: 'Call Notification',
-    html: `
-      <p>Hi, Good Day!</p>
-      <p>We received a call with the following details. Kindly take the necessary action:</p>
-      <br/>
-      <p><strong>Ticket raised for: </strong>${departmentName}</p>
-      <p><strong>Company:</strong> ${company}</p>
-      <p><strong>Client/Caller Name:</strong> ${name}</p>
-      <p><strong>Email:</strong> ${email}</p>
-      <p><strong>Contact:</strong> ${contact_number}</p>
-      <p><strong>Call Type:</strong> ${call_type}</p>
-      <p><strong>Disposition 1:</strong> ${disposition_1}</p>
-      <p><strong>Disposition 2:</strong> ${disposition2Display}</p>
-      ${query ? `<p><strong>Query/Details:</strong> ${query}</p>` : ''}
-      <br/>
-      <p>Thank you, and have a great day!</p>
-    `,
-  };
-
-  try {
-    await transporter.sendMail(mailOptions);
-    const timestamp = new Date().toISOString();
-    console.log(`[${timestamp}] Update notification email sent to ${targetEmail} for ${call_type} - ${disposition_1} - ${disposition_2}`);
-  } catch (error) {
-    console.error('Error sending email:', error);
-    // Don't throw error - form submission should still succeed even if email fails
-  }
+  const ticket = await openTicket(updated, routing);
+  await sendCallNotification(
+    { id, tenant_id: current.tenant_id, company, name, contact_number, email,
+      call_type, disposition_1, disposition_2, query,
+      queue_id, queue_name, agent_id, agent_ext, caller_id_name, caller_id_number,
+      ticket: ticketTemplateContext(ticket) },
+    routing,
+    'Update notification email'
+  );
 }
 
 /**
@@ -419,28 +477,34 @@ export async function getFormById(id) {
 }
 
 /**
- * Retrieves all form submissions ordered by newest first
+ * Retrieves one page of the form submissions visible to a user
+ * @param {Object} user req.user (see formScope in auth.js)
+ * @param {Object} [query] Filters, sort and paging (see queryForms in formQuery.js)
+ * @returns {Promise<{ data: Object[], pagination: Object }>}
  */
-export async function listForms() {
-  const [rows] = await pool.execute('SELECT * FROM forms_new ORDER BY created_at DESC');
-  return rows;
+export async function listForms(user, query = {}) {
+  return queryForms(pool, query, user);
 }
 
 /**
  * Finds the most recent form submission that matches a queue + caller-number pair.
  * @param {string} queueId  The queue_id received from the Web-Socket invite event
  * @param {string} callerNumber  Raw caller number as provided by the call-center
+ * @param {Object} user  req.user; only forms visible to this user are considered
  * @returns {Promise<Object|null>}  The matching form row or null if none found
  */
-export async function findFormByQueueAndCaller(queueId, callerNumber) {
+export async function findFormByQueueAndCaller(queueId, callerNumber, user) {
+  const scope = formScope(user);
   const [rows] = await pool.execute(
     `SELECT *
        FROM forms_new
       WHERE queue_id = ?
-        AND caller_id_number = ?
+        AND (caller_id_number = ? OR caller_number_normalized = ?)
+        AND deleted_at IS NULL
+        AND ${scope.sql}
       ORDER BY created_at DESC
       LIMIT 1`,
-    [queueId, callerNumber]
+    [queueId, callerNumber, normalizePhone(callerNumber), ...scope.params]
   );
 
   return rows.length > 0 ? rows[0] : null;
@@ -452,113 +516,181 @@ const PORT = process.env.PORT || 8989;
 const HOST = process.env.HOST || '0.0.0.0';
 const PUBLIC_URL = process.env.PUBLIC_URL || `http://${HOST}:${PORT}`;
 
-console.log(`🚀 Server will start on: ${PUBLIC_URL}`);
-
 const app = express();
-app.use(cors());
+app.use(cors(corsOptions()));
 app.use(express.json());
 
-// Create a new form
-app.post('/forms', async (req, res) => {
+setupAuthRoutes(app);
+setupTenantRoutes(app);
+// Static /forms/* paths go before /forms/:id
+setupExportRoutes(app);
+
+// Create a new form. Agents always file under their own agent_id,
+// supervisors only for their queues.
+app.post('/forms', requireRole('agent', 'supervisor'), validateRequest({ body: schemas.createForm }), async (req, res) => {
   try {
-    await handleFormSubmission(req.body);
+    const data = { ...req.body, tenant_id: req.user.tenantId };
+    if (req.user.role === 'agent') data.agent_id = req.user.agentId;
+    if (!canAccessForm(req.user, data)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    await handleFormSubmission(data, changeContext(req));
     res.sendStatus(201);
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Internal Server Error' });
+    sendError(res, err);
+  }
+});
+
+// Search for an existing form by queueId & caller number.
+// Registered before /forms/:id, which would otherwise capture "search" as an id.
+app.get('/forms/search', requireAuth, validateRequest({ query: schemas.searchForms }), async (req, res) => {
+  const { queueId, callerNumber } = req.query;
+
+  try {
+    const form = await findFormByQueueAndCaller(queueId, callerNumber, req.user);
+    if (!form) {
+      return res.status(404).json({ error: 'Form not found' });
+    }
+    res.json(form);
+  } catch (err) {
+    sendError(res, err);
   }
 });
 
 // Get a specific form by ID
-app.get('/forms/:id', async (req, res) => {
+app.get('/forms/:id', requireAuth, async (req, res) => {
   try {
     const id = req.params.id;
     const form = await getFormById(id);
     
-    if (!form) {
+    if (!form || form.deleted_at) {
       return res.status(404).json({ error: 'Form not found' });
     }
+    if (!canAccessForm(req.user, form)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
     
-    res.json(form);
+    // Email replies from departments are attached as notes
+    res.json({
+      ...form,
+      notes: await getFormNotes(form.id),
+      voicemeetme: await getDispositionSync(form.id),
+    });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Internal Server Error' });
+    sendError(res, err);
   }
 });
 
 // Update an existing form
-app.put('/forms/:id', async (req, res) => {
+app.put('/forms/:id', requireRole('agent', 'supervisor'), validateRequest({ body: schemas.updateForm }), async (req, res) => {
   try {
     const id = req.params.id;
     const form = await getFormById(id);
     
-    if (!form) {
+    if (!form || form.deleted_at) {
       return res.status(404).json({ error: 'Form not found' });
     }
-    
-    await updateFormSubmission(id, req.body);
+    if (!canAccessForm(req.user, form)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    // A form cannot be handed to an agent or queue outside the caller's scope
+    const data = { ...req.body };
+    if (req.user.role === 'agent') delete data.agent_id;
+    if (!canAccessForm(req.user, { ...form, ...data })) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    await updateFormSubmission(id, data, changeContext(req));
     res.sendStatus(200);
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Internal Server Error' });
+    sendError(res, err);
   }
 });
 
-// Get all forms
-app.get('/forms', async (_req, res) => {
+// Change timeline of a form: who changed which fields, when and through which channel
+app.get('/forms/:id/history', requireAuth, async (req, res) => {
   try {
-    const rows = await listForms();
-    res.json(rows);
+    const form = await getFormById(req.params.id);
+    if (!form) {
+      return res.status(404).json({ error: 'Form not found' });
+    }
+    if (!canAccessForm(req.user, form)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    res.json(await getFormHistory(form.id));
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Internal Server Error' });
+    sendError(res, err);
   }
 });
 
-// Get disposition hierarchy for cascading dropdowns
-app.get('/disposition-hierarchy', async (_req, res) => {
+// List forms, e.g. ?from=2025-01-01&to=2025-01-31&call_type=Complaints&q=refund&sort=-created_at&limit=50
+// Page with ?offset= / ?page= or the returned pagination.nextCursor as ?cursor=
+app.get('/forms', requireAuth, validateRequest({ query: schemas.listForms }), async (req, res) => {
   try {
-    const hierarchy = await getDispositionHierarchy();
-    res.json(hierarchy);
+    res.json(await listForms(req.user, req.query));
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Internal Server Error' });
+    sendError(res, err);
   }
 });
 
-// Search for an existing form by queueId & caller number
-app.get('/forms/search', async (req, res) => {
-  const { queueId, callerNumber } = req.query;
-
-  if (!queueId || !callerNumber) {
-    return res.status(400).json({ error: 'queueId and callerNumber are required' });
-  }
-
+// Get disposition hierarchy for cascading dropdowns (?version=draft|<id> to preview)
+app.get('/disposition-hierarchy', requireAuth, async (req, res) => {
   try {
-    const form = await findFormByQueueAndCaller(queueId, callerNumber);
-    if (!form) {
-      return res.status(404).json({ error: 'Form not found' });
-    }
-    res.json(form);
+    const hierarchy = await getDispositionHierarchy(req.query.version, req.user.tenantId);
+    res.json(hierarchy);
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Internal Server Error' });
+    sendError(res, err);
   }
 });
 
 setupWebhookRoutes(app);
+setupWebhookSignatureRoutes(app);
+setupDispositionAdminRoutes(app);
+setupDispositionVersionRoutes(app);
+setupRoutingRoutes(app);
+setupTemplateRoutes(app);
+setupNotificationRoutes(app);
+setupIntegrationRoutes(app);
+setupReportRoutes(app);
+setupFormRetentionRoutes(app);
+setupCallerRoutes(app);
+setupContactRoutes(app);
+setupTicketRoutes(app);
+setupBusinessHoursRoutes(app);
+setupInboundMailRoutes(app);
+setupDispositionSyncRoutes(app);
+setupDispositionMappingRoutes(app);
+
+// The mail check, background workers and listener only run when this module
+// is the entry point (npm start); scripts and tests import it for its functions
+if (import.meta.url === `file://${process.argv[1]}`) {
+  console.log(`🚀 Server will start on: ${PUBLIC_URL}`);
+  // Notifications are queued in email_outbox and sent by the notification worker
+  verifyMailTransport();
+  startNotificationWorker();
+  startIntegrationWorker();
+  startAbandonSweeper();
+  startTicketEscalationJob();
+  startInboundMailReceiver();
+  startDispositionSyncWorker();
+  startRetentionJob();
+  startDispositionPublishScheduler();
+
+  const server = app.listen(PORT, HOST, () => {
+    console.log(`🌐 HTTP server running at ${PUBLIC_URL}`);
+    console.log(`📡 Server accessible on all network interfaces (${HOST}:${PORT})`);
+  });
 
-const server = app.listen(PORT, HOST, () => {
-  console.log(`🌐 HTTP server running at ${PUBLIC_URL}`);
-  console.log(`📡 Server accessible on all network interfaces (${HOST}:${PORT})`);
-});
-
-server.on('error', (err) => {
-  console.error('❌ HTTP Server error:', err);
-  if (err.code === 'EADDRINUSE') {
-    console.error(`  Port ${PORT} is already in use. Try a different port.`);
-  } else if (err.code === 'EACCES') {
-    console.error(`  Permission denied. Port ${PORT} might require sudo privileges.`);
-  }
-  process.exit(1);
-});
\ No newline at end of file
+  server.on('error', (err) => {
+    console.error('❌ HTTP Server error:', err);
+    if (err.code === 'EADDRINUSE') {
+      console.error(`  Port ${PORT} is already in use. Try a different port.`);
+    } else if (err.code === 'EACCES') {
+      console.error(`  Permission denied. Port ${PORT} might require sudo privileges.`);
+    }
+    process.exit(1);
+  });
+}
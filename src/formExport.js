@@ -0,0 +1,212 @@
+// src/formExport.js
+
+import ExcelJS from 'exceljs';
+import dotenv from 'dotenv';
+import { pool } from './form.js';
+import { buildFormFilter, parseSort } from './formQuery.js';
+import { requireRole } from './auth.js';
+import { validateRequest, schemas } from './validation.js';
+import { httpError, sendError } from './httpError.js';
+
+dotenv.config();
+
+const EXPORT_TIMEZONE = process.env.EXPORT_TIMEZONE || 'Asia/Dubai';
+const FORMATS = ['csv', 'xlsx'];
+
+// Exportable columns in their default order. `source` lists the forms_new
+// columns a value is built from, `value` formats it for the report.
+const COLUMNS = {
+  id: { label: 'ID', width: 8 },
+  created_at: { label: 'Created', width: 20, date: true },
+  company: { label: 'Company', width: 30 },
+  name: { label: 'Name', width: 25 },
+  contact_number: { label: 'Contact Number', width: 18 },
+  email: { label: 'Email', width: 30 },
+  call_type: { label: 'Call Type', width: 18 },
+  disposition_1: { label: 'Disposition 1', width: 25 },
+  disposition_2: { label: 'Disposition 2', width: 25 },
+  disposition_path: {
+    label: 'Disposition',
+    width: 50,
+    source: ['call_type', 'disposition_1', 'disposition_2'],
+    value: row => [row.call_type, row.disposition_1, row.disposition_2].filter(Boolean).join(' › '),
+  },
+  query: { label: 'Query', width: 60 },
+  queue_id: { label: 'Queue ID', width: 12 },
+  queue_name: { label: 'Queue', width: 20 },
+  agent_id: { label: 'Agent ID', width: 12 },
+  agent_ext: { label: 'Agent Ext', width: 10 },
+  caller_id_name: { label: 'Caller Name', width: 20 },
+  caller_id_number: { label: 'Caller Number', width: 18 },
+  status: { label: 'Status', width: 12 },
+  submitted_at: { label: 'Submitted', width: 20, date: true },
+};
+
+const DEFAULT_COLUMNS = [
+  'id', 'created_at', 'company', 'name', 'contact_number', 'email',
+  'disposition_path', 'query', 'queue_name', 'agent_id', 'caller_id_number',
+];
+
+/**
+ * Parse ?columns=id,created_at,... against the exportable columns
+ * @param {string} [value]
+ * @returns {string[]}
+ */
+export function parseColumns(value) {
+  if (!value) return DEFAULT_COLUMNS;
+  const columns = String(value).split(',').map(c => c.trim()).filter(Boolean);
+  const unknown = columns.filter(c => !COLUMNS[c]);
+  if (unknown.length > 0) {
+    throw httpError(400, `Unknown columns: ${unknown.join(', ')}. Available: ${Object.keys(COLUMNS).join(', ')}`);
+  }
+  if (columns.length === 0) throw httpError(400, 'columns must list at least one column');
+  return columns;
+}
+
+function timestampFormatter(timeZone) {
+  let format;
+  try {
+    format = new Intl.DateTimeFormat('en-GB', {
+      timeZone,
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit',
+      hourCycle: 'h23',
+    });
+  } catch {
+    throw httpError(400, `Unknown time zone "${timeZone}"`);
+  }
+  // YYYY-MM-DD HH:mm:ss in the report time zone
+  return (date) => {
+    if (!(date instanceof Date)) return date ?? '';
+    const p = Object.fromEntries(format.formatToParts(date).map(part => [part.type, part.value]));
+    return `${p.year}-${p.month}-${p.day} ${p.hour}:${p.minute}:${p.second}`;
+  };
+}
+
+function rowFormatter(columns, timeZone) {
+  const formatTimestamp = timestampFormatter(timeZone);
+  return row => columns.map((key) => {
+    const column = COLUMNS[key];
+    if (column.value) return column.value(row);
+    if (column.date) return formatTimestamp(row[key]);
+    return row[key] ?? '';
+  });
+}
+
+// Resolves once the response can take more data, or the client went away
+function drained(res) {
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+// Quote for CSV and neutralise values a spreadsheet would run as formulas
+function csvCell(value) {
+  let text = String(value ?? '');
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Stream the forms matching `query` (same filters and sort as GET /forms) to `res`
+ * as CSV or XLSX. Rows are read from MySQL with a streaming query, so the result
+ * set is never held in memory.
+ * @param {Object} res Express response
+ * @param {Object} query req.query: filters, sort, format, columns, tz
+ * @param {Object} user req.user
+ */
+export async function exportForms(res, query, user) {
+  const format = String(query.format || 'csv').toLowerCase();
+  if (!FORMATS.includes(format)) throw httpError(400, `format must be one of ${FORMATS.join(', ')}`);
+  const columns = parseColumns(query.columns);
+  const formatRow = rowFormatter(columns, query.tz || EXPORT_TIMEZONE);
+  const filter = buildFormFilter(query, user);
+  const sort = parseSort(query);
+
+  const selected = new Set(['id']);
+  for (const key of columns) {
+    for (const source of COLUMNS[key].source || [key]) selected.add(source);
+  }
+  if (COLUMNS[sort.column]) selected.add(sort.column);
+
+  const connection = await pool.getConnection();
+  let aborted = false;
+  let completed = false;
+  const onClose = () => { aborted = !res.writableFinished; };
+  res.on('close', onClose);
+
+  try {
+    const rows = connection.connection
+      .query(
+        `SELECT ${[...selected].map(c => `f.${c}`).join(', ')}
+           FROM forms_new f
+          WHERE ${filter.sql}
+          ORDER BY ${sort.expression} ${sort.direction}, f.id ${sort.direction}`,
+        filter.params
+      )
+      .stream({ highWaterMark: 100 });
+
+    const stamp = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    res.setHeader('Content-Disposition', `attachment; filename="forms-${stamp}.${format}"`);
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      // BOM so Excel opens the file as UTF-8
+      res.write(`\ufeff${columns.map(key => csvCell(COLUMNS[key].label)).join(',')}\r\n`);
+      for await (const row of rows) {
+        if (aborted) break;
+        if (!res.write(`${formatRow(row).map(csvCell).join(',')}\r\n`)) await drained(res);
+      }
+      res.end();
+    } else {
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+      const sheet = workbook.addWorksheet('Forms');
+      sheet.columns = columns.map(key => ({ header: COLUMNS[key].label, width: COLUMNS[key].width }));
+      sheet.getRow(1).font = { bold: true };
+      sheet.getRow(1).commit();
+      for await (const row of rows) {
+        if (aborted) break;
+        sheet.addRow(formatRow(row)).commit();
+      }
+      await sheet.commit();
+      await workbook.commit();
+    }
+    completed = !aborted;
+  } finally {
+    res.off('close', onClose);
+    // A half-read streaming query leaves the connection unusable
+    if (completed) connection.release();
+    else connection.destroy();
+  }
+}
+
+/**
+ * Mount GET /forms/export for supervisors and admins.
+ * Must be registered before GET /forms/:id.
+ * @param {Object} app Express application
+ */
+export function setupExportRoutes(app) {
+  // ?format=csv|xlsx&columns=id,created_at,disposition_path&tz=Asia/Dubai plus any GET /forms filter
+  app.get('/forms/export', requireRole('supervisor'), validateRequest({ query: schemas.listForms }), async (req, res) => {
+    try {
+      await exportForms(res, req.query, req.user);
+    } catch (err) {
+      if (res.headersSent) {
+        // Too late for a JSON error, cut the download short instead
+        console.error('Form export failed:', err);
+        res.destroy(err);
+      } else {
+        sendError(res, err);
+      }
+    }
+  });
+
+  console.log('Export routes configured');
+}
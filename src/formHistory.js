@@ -0,0 +1,105 @@
+// src/formHistory.js
+
+import { pool } from './form.js';
+
+// Columns whose changes are recorded. Bookkeeping columns (last_activity_at, ...) are not.
+const TRACKED_FIELDS = [
+  'company', 'name', 'contact_number', 'email',
+  'call_type', 'disposition_1', 'disposition_2', 'disposition_2_custom', 'query',
+  'queue_id', 'queue_name', 'agent_id', 'agent_ext', 'caller_id_name', 'caller_id_number',
+  'disposition_version_id', 'status', 'deleted_at',
+];
+
+export const HISTORY_SOURCES = ['ui', 'webhook', 'api', 'system'];
+
+function normalize(value) {
+  if (value === undefined || value === null || value === '') return null;
+  return value instanceof Date ? value.toISOString() : value;
+}
+
+/**
+ * Field-level differences between two versions of a form row
+ * @param {Object|null} before Row before the change (null on create)
+ * @param {Object|null} after Row after the change
+ * @returns {Object} { field: { from, to } } for every changed tracked field
+ */
+export function diffForm(before, after) {
+  const changes = {};
+  for (const field of TRACKED_FIELDS) {
+    const from = normalize(before?.[field]);
+    const to = normalize(after?.[field]);
+    if (String(from) !== String(to)) changes[field] = { from, to };
+  }
+  return changes;
+}
+
+/**
+ * Who made a change and through which channel, derived from the request.
+ * Logged-in users work through the UI, API keys are integrations.
+ * @param {Object} req Express request (req.user set by auth middleware)
+ * @param {string} [source] Force a source, e.g. 'webhook'
+ * @returns {{ source: string, actor: Object|null, tenantId: number|undefined }}
+ */
+export function changeContext(req, source) {
+  const user = req?.user || null;
+  return {
+    source: source || (user?.apiKeyId ? 'api' : 'ui'),
+    actor: user,
+    tenantId: user?.tenantId,
+  };
+}
+
+/**
+ * Append one entry to a form's history. Updates that change no tracked field
+ * are not recorded. The history table is append-only; only the retention
+ * policy (formRetention.js) redacts or removes entries.
+ * @param {number} formId
+ * @param {string} action create | update | ... (free-form verb)
+ * @param {Object|null} before Row before the change
+ * @param {Object|null} after Row after the change
+ * @param {Object} [context] { source, actor } (see changeContext)
+ */
+export async function recordFormChange(formId, action, before, after, context = {}) {
+  const changes = diffForm(before, after);
+  if (action === 'update' && Object.keys(changes).length === 0) return;
+
+  const actor = context.actor || null;
+  await pool.execute(
+    `INSERT INTO form_history (form_id, action, source, actor_user_id, actor_api_key_id, actor_name, changes)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      formId,
+      action,
+      HISTORY_SOURCES.includes(context.source) ? context.source : 'system',
+      actor?.apiKeyId ? null : actor?.id || null,
+      actor?.apiKeyId || null,
+      actor ? actor.displayName || actor.username : null,
+      JSON.stringify(changes),
+    ]
+  );
+}
+
+/**
+ * A form's change timeline, oldest first
+ * @param {number} formId
+ * @returns {Promise<Object[]>} [{ id, action, source, actor, at, changes: [{ field, from, to }] }]
+ */
+export async function getFormHistory(formId) {
+  const [rows] = await pool.execute(
+    'SELECT * FROM form_history WHERE form_id = ? ORDER BY id',
+    [formId]
+  );
+  return rows.map((row) => {
+    const changes = typeof row.changes === 'string' ? JSON.parse(row.changes) : row.changes || {};
+    return {
+      id: row.id,
+      action: row.action,
+      source: row.source,
+      actor: row.actor_name
+        ? { userId: row.actor_user_id, apiKeyId: row.actor_api_key_id, name: row.actor_name }
+        : null,
+      at: row.created_at,
+      changes: Object.entries(changes).map(([field, { from, to }]) => ({ field, from, to })),
+    };
+  });
+}
@@ -0,0 +1,220 @@
+// src/formQuery.js
+
+import { formScope } from './auth.js';
+import { httpError } from './httpError.js';
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// Exact-match filters: query parameter → column
+const EXACT_FILTERS = {
+  call_type: 'call_type',
+  disposition_1: 'disposition_1',
+  disposition_2: 'disposition_2',
+  queue_id: 'queue_id',
+  agent_id: 'agent_id',
+  status: 'status',
+};
+
+// Sortable columns. Nullable ones are coalesced so keyset cursors compare correctly.
+const SORT_COLUMNS = {
+  id: 'f.id',
+  created_at: 'f.created_at',
+  company: 'f.company',
+  name: 'f.name',
+  call_type: 'f.call_type',
+  disposition_1: 'f.disposition_1',
+  disposition_2: 'f.disposition_2',
+  queue_id: "COALESCE(f.queue_id, '')",
+  agent_id: "COALESCE(f.agent_id, '')",
+  status: 'f.status',
+};
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+function parseDate(value, name) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw httpError(400, `${name} must be a date (YYYY-MM-DD) or ISO timestamp`);
+  return date;
+}
+
+// Boolean-mode FULLTEXT query: every word required, prefix matched.
+// Operator characters are stripped so user input cannot change the query shape.
+function fullTextQuery(text) {
+  return String(text)
+    .replace(/[+\-<>()~*"@]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(word => `+${word}*`)
+    .join(' ');
+}
+
+/**
+ * Build the WHERE clause for forms_new (aliased `f`) from request query filters,
+ * restricted to what the user may see.
+ *
+ * Filters: from, to (created_at range; a date-only `to` includes that whole day),
+ * call_type, disposition_1, disposition_2, queue_id, agent_id, status, company (substring),
+ * caller (caller or contact number substring), q (full-text over name/email/query),
+ * deleted (exclude by default; 'include' or 'only' for supervisors and admins).
+ *
+ * @param {Object} query req.query
+ * @param {Object} user req.user
+ * @returns {{ sql: string, params: Array }} Conditions joined with AND (never empty)
+ */
+export function buildFormFilter(query = {}, user) {
+  const scope = formScope(user, 'f.');
+  const where = [scope.sql];
+  const params = [...scope.params];
+
+  const deleted = user?.role === 'agent' ? 'exclude' : query.deleted || 'exclude';
+  if (deleted === 'exclude') where.push('f.deleted_at IS NULL');
+  else if (deleted === 'only') where.push('f.deleted_at IS NOT NULL');
+  else if (deleted !== 'include') throw httpError(400, 'deleted must be exclude, include or only');
+
+  if (query.from) {
+    where.push('f.created_at >= ?');
+    params.push(DATE_ONLY.test(query.from) ? query.from : parseDate(query.from, 'from'));
+  }
+  if (query.to) {
+    if (DATE_ONLY.test(query.to)) {
+      where.push('f.created_at < DATE_ADD(?, INTERVAL 1 DAY)');
+      params.push(query.to);
+    } else {
+      where.push('f.created_at <= ?');
+      params.push(parseDate(query.to, 'to'));
+    }
+  }
+
+  for (const [param, column] of Object.entries(EXACT_FILTERS)) {
+    if (query[param]) {
+      where.push(`f.${column} = ?`);
+      params.push(String(query[param]));
+    }
+  }
+
+  if (query.company) {
+    where.push('f.company LIKE ?');
+    params.push(`%${query.company}%`);
+  }
+  if (query.caller) {
+    where.push('(f.caller_id_number LIKE ? OR f.contact_number LIKE ?)');
+    params.push(`%${query.caller}%`, `%${query.caller}%`);
+  }
+  if (query.q) {
+    const search = fullTextQuery(query.q);
+    if (search) {
+      where.push('MATCH(f.name, f.email, f.query) AGAINST (? IN BOOLEAN MODE)');
+      params.push(search);
+    }
+  }
+
+  return { sql: where.join(' AND '), params };
+}
+
+/**
+ * Parse ?sort=created_at&order=desc (or ?sort=-created_at)
+ * @param {Object} query req.query
+ * @returns {{ column: string, expression: string, direction: 'ASC'|'DESC' }}
+ */
+export function parseSort(query = {}) {
+  let column = query.sort || 'created_at';
+  if (typeof column !== 'string' || (query.order !== undefined && typeof query.order !== 'string')) {
+    throw httpError(400, 'sort and order must be given once');
+  }
+  let direction = (query.order || 'desc').toUpperCase();
+  if (column.startsWith('-')) {
+    column = column.slice(1);
+    direction = 'DESC';
+  }
+  if (!SORT_COLUMNS[column]) {
+    throw httpError(400, `sort must be one of ${Object.keys(SORT_COLUMNS).join(', ')}`);
+  }
+  if (direction !== 'ASC' && direction !== 'DESC') throw httpError(400, 'order must be asc or desc');
+  return { column, expression: SORT_COLUMNS[column], direction };
+}
+
+// Cursors are opaque base64url JSON: sort column, last sort value and last id
+function encodeCursor(sort, row) {
+  const value = row[sort.column];
+  const cursor = {
+    s: sort.column,
+    v: value instanceof Date ? value.toISOString() : value ?? '',
+    d: value instanceof Date,
+    id: row.id,
+  };
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeCursor(token, sort) {
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+  } catch {
+    throw httpError(400, 'Invalid cursor');
+  }
+  if (!cursor || cursor.s !== sort.column || cursor.id === undefined) {
+    throw httpError(400, 'Cursor does not match the requested sort');
+  }
+  return { value: cursor.d ? new Date(cursor.v) : cursor.v, id: cursor.id };
+}
+
+/**
+ * One page of forms_new rows with the total number of matches.
+ *
+ * Offset paging: ?limit=50&offset=100 (or ?page=3). Cursor paging: pass the
+ * `nextCursor` of the previous page as ?cursor= - stable while rows are added.
+ *
+ * @param {Object} pool mysql2 pool
+ * @param {Object} query req.query (filters, sort, paging)
+ * @param {Object} user req.user
+ * @returns {Promise<{ data: Object[], pagination: Object }>}
+ */
+export async function queryForms(pool, query = {}, user) {
+  const filter = buildFormFilter(query, user);
+  const sort = parseSort(query);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  const where = [filter.sql];
+  const params = [...filter.params];
+  let offset = 0;
+
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor, sort);
+    const cmp = sort.direction === 'DESC' ? '<' : '>';
+    where.push(`(${sort.expression} ${cmp} ? OR (${sort.expression} = ? AND f.id ${cmp} ?))`);
+    params.push(cursor.value, cursor.value, cursor.id);
+  } else if (query.offset !== undefined || query.page !== undefined) {
+    offset = query.offset !== undefined
+      ? Math.max(parseInt(query.offset, 10) || 0, 0)
+      : (Math.max(parseInt(query.page, 10) || 1, 1) - 1) * limit;
+  }
+
+  // One extra row tells whether there is a next page
+  const [rows] = await pool.execute(
+    `SELECT f.*
+       FROM forms_new f
+      WHERE ${where.join(' AND ')}
+      ORDER BY ${sort.expression} ${sort.direction}, f.id ${sort.direction}
+      LIMIT ${limit + 1} OFFSET ${offset}`,
+    params
+  );
+  const hasMore = rows.length > limit;
+  const data = hasMore ? rows.slice(0, limit) : rows;
+
+  const [[{ total }]] = await pool.execute(
+    `SELECT COUNT(*) AS total FROM forms_new f WHERE ${filter.sql}`,
+    filter.params
+  );
+
+  return {
+    data,
+    pagination: {
+      total,
+      limit,
+      offset: query.cursor ? null : offset,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(sort, data[data.length - 1]) : null,
+    },
+  };
+}
@@ -0,0 +1,338 @@
+// src/formRetention.js
+
+import dotenv from 'dotenv';
+import { pool, getFormById } from './form.js';
+import { requireRole, canAccessForm } from './auth.js';
+import { recordFormChange, changeContext } from './formHistory.js';
+import { httpError, sendError } from './httpError.js';
+import { startJob } from './jobs.js';
+import { expireContacts } from './contacts.js';
+import { requirePlatform } from './tenants.js';
+
+dotenv.config();
+
+// 'off' (default), 'anonymize' (blank caller PII) or 'purge' (delete the rows)
+const RETENTION_MODE = process.env.RETENTION_MODE || 'off';
+const RETENTION_DAYS = Number(process.env.RETENTION_DAYS) || 365;
+const RETENTION_INTERVAL_MS = Number(process.env.RETENTION_INTERVAL_MS) || 6 * 60 * 60 * 1000;
+const RETENTION_BATCH_SIZE = 1000;
+const MODES = ['off', 'anonymize', 'purge'];
+
+// Caller PII blanked by anonymization (NOT NULL columns become '')
+const PII_FIELDS = {
+  name: '',
+  email: '',
+  contact_number: '',
+  caller_id_name: null,
+  caller_id_number: null,
+  caller_number_normalized: null,
+  contact_number_normalized: null,
+};
+
+// --- Soft delete / restore / purge -----------------------------------------
+
+/**
+ * Soft delete a form: it disappears from lists, search, reports and exports
+ * but can be restored.
+ * @param {number} id
+ * @param {Object} context { source, actor } (see changeContext)
+ */
+export async function softDeleteForm(id, context = {}) {
+  const form = await getFormById(id);
+  if (!form) throw httpError(404, 'Form not found');
+  if (form.deleted_at) throw httpError(409, 'Form is already deleted');
+
+  await pool.execute(
+    'UPDATE forms_new SET deleted_at = ?, deleted_by = ? WHERE id = ? AND deleted_at IS NULL',
+    [new Date(), context.actor?.username || null, id]
+  );
+  await recordFormChange(form.id, 'delete', form, await getFormById(id), context);
+}
+
+/**
+ * Undo a soft delete
+ * @param {number} id
+ * @param {Object} context { source, actor }
+ */
+export async function restoreForm(id, context = {}) {
+  const form = await getFormById(id);
+  if (!form) throw httpError(404, 'Form not found');
+  if (!form.deleted_at) throw httpError(409, 'Form is not deleted');
+
+  await pool.execute('UPDATE forms_new SET deleted_at = NULL, deleted_by = NULL WHERE id = ?', [id]);
+  const restored = await getFormById(id);
+  await recordFormChange(form.id, 'restore', form, restored, context);
+  return restored;
+}
+
+/**
+ * Permanently remove forms together with their history, queued notifications,
+ * deliveries, tickets and email notes, which all carry copies of the caller's details.
+ * @param {number[]} ids
+ * @returns {Promise<number>} Forms removed
+ */
+async function purgeForms(ids) {
+  if (ids.length === 0) return 0;
+  const placeholders = ids.map(() => '?').join(', ');
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    await connection.execute(`DELETE FROM form_history WHERE form_id IN (${placeholders})`, ids);
+    await connection.execute(`DELETE FROM email_outbox WHERE form_id IN (${placeholders})`, ids);
+    await connection.execute(`DELETE FROM integration_deliveries WHERE form_id IN (${placeholders})`, ids);
+    await connection.execute(
+      `DELETE c FROM ticket_comments c JOIN tickets t ON t.id = c.ticket_id WHERE t.form_id IN (${placeholders})`,
+      ids
+    );
+    await connection.execute(`DELETE FROM tickets WHERE form_id IN (${placeholders})`, ids);
+    await connection.execute(`DELETE FROM form_notes WHERE form_id IN (${placeholders})`, ids);
+    await connection.execute(`DELETE FROM vmm_dispositions WHERE form_id IN (${placeholders})`, ids);
+    const [result] = await connection.execute(`DELETE FROM forms_new WHERE id IN (${placeholders})`, ids);
+    await connection.commit();
+    return result.affectedRows;
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Hard delete one form (admin only). Irreversible.
+ * @param {number} id
+ * @param {Object} context { actor }
+ */
+export async function purgeForm(id, context = {}) {
+  const form = await getFormById(id);
+  if (!form) throw httpError(404, 'Form not found');
+
+  await purgeForms([form.id]);
+  console.log(`Form #${form.id} purged by ${context.actor?.username || 'system'}`);
+}
+
+// --- Retention policy ------------------------------------------------------
+
+/**
+ * Current retention settings
+ * @param {Object} [overrides] { mode, days } for a what-if dry run
+ */
+export function retentionPolicy(overrides = {}) {
+  const mode = overrides.mode || RETENTION_MODE;
+  if (!MODES.includes(mode)) throw httpError(400, `mode must be one of ${MODES.join(', ')}`);
+  const days = overrides.days !== undefined ? parseInt(overrides.days, 10) : RETENTION_DAYS;
+  if (!Number.isInteger(days) || days < 1) throw httpError(400, 'days must be a positive integer');
+  return { mode, days, cutoff: new Date(Date.now() - days * 86400000) };
+}
+
+function retentionCondition(policy) {
+  // Anonymized rows are left alone by a later anonymize run, but still purged
+  return policy.mode === 'anonymize'
+    ? { sql: 'created_at < ? AND anonymized_at IS NULL', params: [policy.cutoff] }
+    : { sql: 'created_at < ?', params: [policy.cutoff] };
+}
+
+/**
+ * What the retention policy would do right now, without changing anything
+ * @param {Object} [overrides] { mode, days }
+ */
+export async function retentionReport(overrides = {}) {
+  const policy = retentionPolicy(overrides);
+  if (policy.mode === 'off') return { ...policy, affected: 0, dryRun: true };
+
+  const condition = retentionCondition(policy);
+  const [[summary]] = await pool.execute(
+    `SELECT COUNT(*) AS affected, MIN(created_at) AS oldest, MAX(created_at) AS newest,
+            COUNT(CASE WHEN deleted_at IS NOT NULL THEN 1 END) AS soft_deleted
+       FROM forms_new
+      WHERE ${condition.sql}`,
+    condition.params
+  );
+  const [sample] = await pool.execute(
+    `SELECT id FROM forms_new WHERE ${condition.sql} ORDER BY id LIMIT 20`,
+    condition.params
+  );
+  return { ...policy, ...summary, sampleIds: sample.map(r => r.id), dryRun: true };
+}
+
+const REMOVED = '[removed by retention policy]';
+
+/**
+ * Blank the caller's details of forms and of every copy made from them: the
+ * form history, email notes, queued and sent emails (notifications and ticket
+ * escalations) and integration payloads. Anything still waiting to be sent is
+ * given up.
+ * @param {number[]} ids
+ */
+async function anonymizeForms(ids) {
+  const placeholders = ids.map(() => '?').join(', ');
+  const fields = Object.keys(PII_FIELDS);
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    await connection.execute(
+      `UPDATE forms_new
+          SET ${fields.map(f => `${f} = ?`).join(', ')}, anonymized_at = ?
+        WHERE id IN (${placeholders})`,
+      [...Object.values(PII_FIELDS), new Date(), ...ids]
+    );
+    await connection.execute(
+      `UPDATE form_history
+          SET changes = JSON_REMOVE(changes, ${fields.map(f => `'$.${f}'`).join(', ')})
+        WHERE form_id IN (${placeholders})`,
+      ids
+    );
+    // Department replies quote the caller's details freely, so their text goes entirely
+    await connection.execute(
+      `UPDATE form_notes SET subject = '', body = ? WHERE form_id IN (${placeholders})`,
+      [REMOVED, ...ids]
+    );
+    // Unsent copies are given up; last_error comes before status because
+    // MySQL assigns left to right
+    await connection.execute(
+      `UPDATE email_outbox
+          SET subject = ?, body_html = NULL, body_text = ?,
+              last_error = IF(status IN ('pending', 'sending'), ?, last_error),
+              status = IF(status IN ('pending', 'sending'), 'dead', status), lock_token = NULL
+        WHERE form_id IN (${placeholders})`,
+      [REMOVED, REMOVED, REMOVED, ...ids]
+    );
+    await connection.execute(
+      `UPDATE integration_deliveries
+          SET payload = JSON_OBJECT('form_id', form_id, 'anonymized', TRUE),
+              last_error = IF(status IN ('pending', 'sending'), ?, last_error),
+              status = IF(status IN ('pending', 'sending'), 'dead', status), lock_token = NULL
+        WHERE form_id IN (${placeholders})`,
+      [REMOVED, ...ids]
+    );
+    await connection.execute(
+      `UPDATE ticket_comments c JOIN tickets t ON t.id = c.ticket_id
+          SET c.body = ?
+        WHERE t.form_id IN (${placeholders}) AND c.kind = 'comment' AND c.source <> 'system'`,
+      [REMOVED, ...ids]
+    );
+    await connection.commit();
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Apply the retention policy to one batch of forms older than the cutoff.
+ * Anonymizing also strips the caller's details from every copy of them (see
+ * anonymizeForms).
+ * @returns {Promise<{ mode: string, processed: number }>}
+ */
+export async function applyRetention() {
+  const policy = retentionPolicy();
+  if (policy.mode === 'off') return { mode: 'off', processed: 0 };
+
+  // Directory entries for callers not heard from since the cutoff go as well
+  const contacts = await expireContacts(policy.cutoff);
+  if (contacts > 0) console.log(`Retention removed ${contacts} contact(s) not seen for ${policy.days} days`);
+
+  const condition = retentionCondition(policy);
+  const [rows] = await pool.execute(
+    `SELECT id FROM forms_new WHERE ${condition.sql} ORDER BY id LIMIT ${RETENTION_BATCH_SIZE}`,
+    condition.params
+  );
+  const ids = rows.map(r => r.id);
+  if (ids.length === 0) return { mode: policy.mode, processed: 0 };
+
+  if (policy.mode === 'purge') {
+    const processed = await purgeForms(ids);
+    console.log(`Retention purged ${processed} form(s) older than ${policy.days} days`);
+    return { mode: policy.mode, processed };
+  }
+
+  await anonymizeForms(ids);
+  for (const id of ids) {
+    await recordFormChange(id, 'anonymize', null, null, { source: 'system' });
+  }
+  console.log(`Retention anonymized ${ids.length} form(s) older than ${policy.days} days`);
+  return { mode: policy.mode, processed: ids.length };
+}
+
+/**
+ * Starts the retention job (a no-op while RETENTION_MODE is off)
+ */
+export function startRetentionJob() {
+  if (RETENTION_MODE === 'off') return () => {};
+  console.log(`Retention policy: ${RETENTION_MODE} forms older than ${RETENTION_DAYS} days`);
+  return startJob('form-retention', RETENTION_INTERVAL_MS, applyRetention);
+}
+
+// --- Routes ----------------------------------------------------------------
+
+/**
+ * Mount soft delete / restore (supervisors, within their scope), hard purge
+ * (admins) and the retention API (platform admins: the policy spans every tenant).
+ * @param {Object} app Express application
+ */
+export function setupFormRetentionRoutes(app) {
+  const requireSupervisor = requireRole('supervisor');
+  const requireAdmin = requireRole('admin');
+
+  // Load the form and check the caller may touch it
+  const loadForm = async (req) => {
+    const form = await getFormById(req.params.id);
+    if (!form) throw httpError(404, 'Form not found');
+    if (!canAccessForm(req.user, form)) throw httpError(403, 'Forbidden');
+    return form;
+  };
+
+  app.delete('/forms/:id', requireSupervisor, async (req, res) => {
+    try {
+      const form = await loadForm(req);
+      await softDeleteForm(form.id, changeContext(req));
+      res.sendStatus(204);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  app.post('/forms/:id/restore', requireSupervisor, async (req, res) => {
+    try {
+      const form = await loadForm(req);
+      res.json(await restoreForm(form.id, changeContext(req)));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  app.delete('/forms/:id/purge', requireAdmin, async (req, res) => {
+    try {
+      const form = await loadForm(req);
+      await purgeForm(form.id, changeContext(req));
+      res.sendStatus(204);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Dry run: ?mode=anonymize|purge&days=N to try other settings
+  app.get('/retention/report', requireAdmin, requirePlatform, async (req, res) => {
+    try {
+      res.json(await retentionReport(req.query));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Run one batch now with the configured policy (?dryRun=true only reports)
+  app.post('/retention/run', requireAdmin, requirePlatform, async (req, res) => {
+    try {
+      if (req.query.dryRun === 'true') return res.json(await retentionReport());
+      res.json(await applyRetention());
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  console.log('Form retention routes configured');
+}
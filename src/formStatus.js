@@ -0,0 +1,173 @@
+// src/formStatus.js
+
+import dotenv from 'dotenv';
+import { pool } from './form.js';
+import { enqueueEmail } from './notifications.js';
+import { escapeHtml } from './templates.js';
+import { startJob } from './jobs.js';
+import { recordFormChange } from './formHistory.js';
+
+dotenv.config();
+
+// opened: screen pop created by the webhook, in_progress: saved without a full
+// disposition, submitted: fully dispositioned, abandoned: left unsubmitted too long
+export const FORM_STATUSES = ['opened', 'in_progress', 'submitted', 'abandoned'];
+
+const ABANDON_TIMEOUT_MINUTES = Number(process.env.FORM_ABANDON_TIMEOUT_MINUTES) || 30;
+const SWEEP_INTERVAL_MS = Number(process.env.FORM_ABANDON_SWEEP_INTERVAL_MS) || 60000;
+const SWEEP_BATCH_SIZE = 500;
+
+/**
+ * Status a form gets when it is saved with these disposition values
+ * @param {Object} fields { call_type, disposition_1, disposition_2 }
+ * @returns {'submitted'|'in_progress'}
+ */
+export function statusForDisposition({ call_type, disposition_1, disposition_2 }) {
+  return call_type && disposition_1 && disposition_2 ? 'submitted' : 'in_progress';
+}
+
+/**
+ * A tenant's supervisors responsible for the given queues, by email address
+ * @param {string[]} queueIds
+ * @param {number} tenantId
+ * @returns {Promise<Map<string, { name: string, queues: Set<string> }>>}
+ */
+async function supervisorsForQueues(queueIds, tenantId) {
+  const supervisors = new Map();
+  if (queueIds.length === 0) return supervisors;
+
+  const [rows] = await pool.execute(
+    `SELECT u.email, u.display_name, u.username, q.queue_id
+       FROM users u
+       JOIN user_queues q ON q.user_id = u.id
+      WHERE u.role = 'supervisor' AND u.is_active = TRUE AND u.email IS NOT NULL AND u.email <> ''
+        AND u.tenant_id = ?
+        AND q.queue_id IN (${queueIds.map(() => '?').join(', ')})`,
+    [tenantId, ...queueIds]
+  );
+  for (const row of rows) {
+    const entry = supervisors.get(row.email) || { name: row.display_name || row.username, queues: new Set() };
+    entry.queues.add(row.queue_id);
+    supervisors.set(row.email, entry);
+  }
+  return supervisors;
+}
+
+function renderDigest(name, forms) {
+  const clientURL = process.env.CLIENT_URL || 'http://localhost:3000';
+  const rows = forms.map(f => `
+        <tr>
+          <td><a href="${escapeHtml(`${clientURL}/?id=${f.id}`)}">#${f.id}</a></td>
+          <td>${escapeHtml(f.created_at instanceof Date ? f.created_at.toISOString() : f.created_at)}</td>
+          <td>${escapeHtml(f.queue_name || f.queue_id || '')}</td>
+          <td>${escapeHtml(f.agent_id || '')}${f.agent_ext ? ` (ext ${escapeHtml(f.agent_ext)})` : ''}</td>
+          <td>${escapeHtml(f.caller_id_name || '')} ${escapeHtml(f.caller_id_number || '')}</td>
+        </tr>`).join('');
+
+  return {
+    subject: `${forms.length} unsubmitted call form${forms.length === 1 ? '' : 's'} in your queues`,
+    html: `
+      <p>Hello ${escapeHtml(name)},</p>
+      <p>The following calls were not dispositioned within ${ABANDON_TIMEOUT_MINUTES} minutes and have been marked abandoned:</p>
+      <table border="1" cellpadding="6" cellspacing="0" style="border-collapse: collapse;">
+        <tr><th>Form</th><th>Created (UTC)</th><th>Queue</th><th>Agent</th><th>Caller</th></tr>${rows}
+      </table>`,
+    text: [
+      `Hello ${name},`,
+      '',
+      `The following calls were not dispositioned within ${ABANDON_TIMEOUT_MINUTES} minutes and have been marked abandoned:`,
+      ...forms.map(f => `- #${f.id} queue ${f.queue_name || f.queue_id || '-'}, agent ${f.agent_id || '-'}, caller ${f.caller_id_number || '-'}: ${clientURL}/?id=${f.id}`),
+    ].join('\n'),
+  };
+}
+
+/**
+ * Email every supervisor one digest of the newly abandoned forms in their queues.
+ * Forms in queues without a supervisor go to ABANDONED_FORMS_EMAIL when set.
+ * @param {Object[]} forms forms_new rows
+ */
+export async function notifySupervisors(forms) {
+  const byTenant = new Map();
+  for (const form of forms) {
+    byTenant.set(form.tenant_id, [...(byTenant.get(form.tenant_id) || []), form]);
+  }
+  for (const [tenantId, tenantForms] of byTenant) {
+    await notifyTenantSupervisors(tenantId, tenantForms);
+  }
+}
+
+async function notifyTenantSupervisors(tenantId, forms) {
+  const queueIds = [...new Set(forms.map(f => f.queue_id).filter(Boolean))];
+  const supervisors = await supervisorsForQueues(queueIds, tenantId);
+
+  const covered = new Set();
+  for (const [email, supervisor] of supervisors) {
+    const theirs = forms.filter(f => supervisor.queues.has(f.queue_id));
+    theirs.forEach(f => covered.add(f.id));
+    const digest = renderDigest(supervisor.name, theirs);
+    await enqueueEmail({ tenantId, kind: 'abandoned_digest', to: email, ...digest });
+  }
+
+  const uncovered = forms.filter(f => !covered.has(f.id));
+  if (uncovered.length > 0) {
+    if (process.env.ABANDONED_FORMS_EMAIL) {
+      const digest = renderDigest('team', uncovered);
+      await enqueueEmail({ tenantId, kind: 'abandoned_digest', to: process.env.ABANDONED_FORMS_EMAIL, ...digest });
+    } else {
+      console.warn(`${uncovered.length} abandoned form(s) have no supervisor to notify:`, uncovered.map(f => f.id));
+    }
+  }
+}
+
+/**
+ * Mark forms abandoned that stayed opened / in progress for longer than
+ * FORM_ABANDON_TIMEOUT_MINUTES and notify supervisors. Returns the number marked.
+ */
+export async function sweepAbandonedForms() {
+  // Whole seconds: abandoned_at is read back by equality to find this sweep's rows
+  const now = new Date(Math.floor(Date.now() / 1000) * 1000);
+  const cutoff = new Date(now.getTime() - ABANDON_TIMEOUT_MINUTES * 60000);
+
+  const [candidates] = await pool.execute(
+    `SELECT id, status FROM forms_new
+      WHERE status IN ('opened', 'in_progress')
+        AND COALESCE(last_activity_at, created_at) < ?
+        AND deleted_at IS NULL
+      ORDER BY id
+      LIMIT ${SWEEP_BATCH_SIZE}`,
+    [cutoff]
+  );
+  if (candidates.length === 0) return 0;
+
+  const ids = candidates.map(c => c.id);
+  const placeholders = ids.map(() => '?').join(', ');
+  // Re-check the status so a form submitted meanwhile is left alone
+  await pool.execute(
+    `UPDATE forms_new SET status = 'abandoned', abandoned_at = ?
+      WHERE id IN (${placeholders})
+        AND status IN ('opened', 'in_progress')
+        AND COALESCE(last_activity_at, created_at) < ?`,
+    [now, ...ids, cutoff]
+  );
+  const [abandoned] = await pool.execute(
+    `SELECT * FROM forms_new WHERE id IN (${placeholders}) AND status = 'abandoned' AND abandoned_at = ?`,
+    [...ids, now]
+  );
+  if (abandoned.length === 0) return 0;
+
+  const previousStatus = new Map(candidates.map(c => [c.id, c.status]));
+  for (const form of abandoned) {
+    await recordFormChange(form.id, 'abandon', { ...form, status: previousStatus.get(form.id) }, form, { source: 'system' });
+  }
+
+  console.log(`[${now.toISOString()}] Marked ${abandoned.length} form(s) abandoned`);
+  await notifySupervisors(abandoned);
+  return abandoned.length;
+}
+
+/**
+ * Starts the background job that sweeps abandoned forms
+ */
+export function startAbandonSweeper() {
+  return startJob('form-abandon-sweeper', SWEEP_INTERVAL_MS, sweepAbandonedForms);
+}
@@ -0,0 +1,29 @@
+// src/httpError.js
+
+/**
+ * Create an Error carrying an HTTP status so route handlers can surface
+ * client errors (400/404/409...) instead of a generic 500.
+ * @param {number} status HTTP status code
+ * @param {string} message Message returned to the client
+ * @param {Object} [extra] Additional fields merged into the JSON response
+ */
+export function httpError(status, message, extra) {
+  const err = new Error(message);
+  err.status = status;
+  if (extra) err.extra = extra;
+  return err;
+}
+
+/**
+ * Send an error produced by a route handler. Errors created with httpError()
+ * are returned as-is, anything else is logged and reported as a 500.
+ * @param {Object} res Express response object
+ * @param {Error} err The caught error
+ */
+export function sendError(res, err) {
+  if (err.status) {
+    return res.status(err.status).json({ error: err.message, ...(err.extra || {}) });
+  }
+  console.error(err);
+  res.status(500).json({ error: 'Internal Server Error' });
+}
@@ -0,0 +1,177 @@
+// src/inboundMail.js
+
+import express from 'express';
+import dotenv from 'dotenv';
+import { SMTPServer } from 'smtp-server';
+import { simpleParser } from 'mailparser';
+import { pool, getFormById } from './form.js';
+import { requireRole } from './auth.js';
+import { httpError, sendError } from './httpError.js';
+import { formIdFromThread, stripQuotedReply } from './mailThreading.js';
+
+dotenv.config();
+
+// Local SMTP receiver for replies; off unless a port is set. The mail server
+// forwards the reply mailbox (INBOUND_REPLY_ADDRESS) here.
+const INBOUND_SMTP_PORT = Number(process.env.INBOUND_SMTP_PORT) || 0;
+const INBOUND_SMTP_HOST = process.env.INBOUND_SMTP_HOST || '0.0.0.0';
+// Comma-separated IPs allowed to deliver (empty = any)
+const INBOUND_SMTP_ALLOWED_IPS = (process.env.INBOUND_SMTP_ALLOWED_IPS || '')
+  .split(',').map(ip => ip.trim()).filter(Boolean);
+const INBOUND_MAX_BYTES = Number(process.env.INBOUND_MAX_BYTES) || 10 * 1024 * 1024;
+const NOTE_MAX_LENGTH = 20000;
+
+function headerValues(parsed) {
+  const references = parsed.references || [];
+  return [parsed.inReplyTo, ...(Array.isArray(references) ? references : [references])];
+}
+
+function addresses(field) {
+  const list = Array.isArray(field) ? field : (field ? [field] : []);
+  return list.flatMap(f => f.value || []).map(a => a.address).filter(Boolean);
+}
+
+// Out-of-office and other automatic replies are not part of the conversation
+function isAutoReply(parsed) {
+  const autoSubmitted = parsed.headers.get('auto-submitted');
+  return Boolean(
+    (autoSubmitted && String(autoSubmitted).toLowerCase() !== 'no')
+    || parsed.headers.get('x-autoreply')
+    || parsed.headers.get('x-autorespond')
+  );
+}
+
+/**
+ * Attach an inbound email to the form it replies to as a note.
+ * Matching uses the signed token in In-Reply-To / References or the
+ * recipient address (see mailThreading.js). Re-delivered messages are ignored.
+ * @param {Buffer|string} raw RFC 822 message
+ * @param {Object} [envelope] { rcptTo: string[] } SMTP envelope recipients
+ * @returns {Promise<Object>} { status: 'attached'|'duplicate'|'unmatched'|'ignored', formId, noteId }
+ */
+export async function processInboundEmail(raw, { rcptTo = [] } = {}) {
+  const parsed = await simpleParser(raw);
+  const messageId = parsed.messageId || null;
+  if (isAutoReply(parsed)) {
+    console.log(`Inbound email ${messageId || ''} ignored (automatic reply)`);
+    return { status: 'ignored' };
+  }
+
+  const formId = formIdFromThread([
+    ...headerValues(parsed),
+    ...rcptTo,
+    ...addresses(parsed.to),
+    ...addresses(parsed.cc),
+  ]);
+  const form = formId ? await getFormById(formId) : null;
+  if (!form || form.deleted_at) {
+    console.log(`Inbound email ${messageId || ''} from ${parsed.from?.text || 'unknown'} did not match a form`);
+    return { status: 'unmatched' };
+  }
+
+  const sender = parsed.from?.value?.[0] || {};
+  const body = stripQuotedReply(parsed.text || '') || '(no text)';
+  const [result] = await pool.execute(
+    `INSERT IGNORE INTO form_notes (form_id, source, from_address, from_name, subject, body, message_id, received_at)
+     VALUES (?, 'email', ?, ?, ?, ?, ?, ?)`,
+    [
+      form.id,
+      sender.address || null,
+      sender.name || null,
+      (parsed.subject || '').slice(0, 255),
+      body.slice(0, NOTE_MAX_LENGTH),
+      messageId,
+      parsed.date || new Date(),
+    ]
+  );
+  if (result.affectedRows === 0) return { status: 'duplicate', formId: form.id };
+
+  console.log(`Inbound email from ${sender.address || 'unknown'} attached to form #${form.id}`);
+  return { status: 'attached', formId: form.id, noteId: result.insertId };
+}
+
+/**
+ * Notes on a form (email replies), oldest first
+ * @param {number} formId
+ */
+export async function getFormNotes(formId) {
+  const [rows] = await pool.execute(
+    `SELECT id, source, from_address, from_name, subject, body, received_at
+       FROM form_notes
+      WHERE form_id = ?
+      ORDER BY received_at, id`,
+    [formId]
+  );
+  return rows;
+}
+
+/**
+ * Starts the SMTP receiver when INBOUND_SMTP_PORT is set
+ * @returns {Function} Stops the receiver
+ */
+export function startInboundMailReceiver() {
+  if (!INBOUND_SMTP_PORT) return () => {};
+
+  const server = new SMTPServer({
+    authOptional: true,
+    disabledCommands: ['AUTH', 'STARTTLS'],
+    size: INBOUND_MAX_BYTES,
+    logger: false,
+    onConnect(session, callback) {
+      if (INBOUND_SMTP_ALLOWED_IPS.length > 0 && !INBOUND_SMTP_ALLOWED_IPS.includes(session.remoteAddress)) {
+        return callback(new Error(`Relay from ${session.remoteAddress} is not allowed`));
+      }
+      callback();
+    },
+    onData(stream, session, callback) {
+      const chunks = [];
+      stream.on('data', chunk => chunks.push(chunk));
+      stream.on('end', () => {
+        if (stream.sizeExceeded) {
+          const err = new Error('Message exceeds the maximum size');
+          err.responseCode = 552;
+          return callback(err);
+        }
+        const rcptTo = session.envelope.rcptTo.map(r => r.address);
+        processInboundEmail(Buffer.concat(chunks), { rcptTo })
+          .then(() => callback())
+          .catch((err) => {
+            console.error('Processing inbound email failed:', err.message);
+            // Temporary failure: the sending server retries later
+            const failure = new Error('Temporary failure, try again later');
+            failure.responseCode = 451;
+            callback(failure);
+          });
+      });
+    },
+  });
+
+  server.on('error', err => console.error('Inbound SMTP receiver error:', err.message));
+  server.listen(INBOUND_SMTP_PORT, INBOUND_SMTP_HOST, () => {
+    console.log(`📨 Inbound mail receiver listening on ${INBOUND_SMTP_HOST}:${INBOUND_SMTP_PORT}`);
+  });
+  return () => server.close();
+}
+
+/**
+ * Mount POST /inbound-email: the same processing over HTTP for mail relays
+ * that post raw messages, and for testing without an SMTP client.
+ * @param {Object} app Express application
+ */
+export function setupInboundMailRoutes(app) {
+  const rawMessage = express.raw({ type: ['message/rfc822', 'text/plain'], limit: INBOUND_MAX_BYTES });
+
+  app.post('/inbound-email', requireRole('admin'), rawMessage, async (req, res) => {
+    try {
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        throw httpError(400, 'Send the raw message with Content-Type: message/rfc822');
+      }
+      const rcptTo = String(req.query.rcpt || '').split(',').map(a => a.trim()).filter(Boolean);
+      res.json(await processInboundEmail(req.body, { rcptTo }));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  console.log('Inbound mail routes configured');
+}
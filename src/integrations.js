@@ -0,0 +1,403 @@
+// src/integrations.js
+
+import crypto from 'crypto';
+import axios from 'axios';
+import { pool } from './form.js';
+import { requireRole } from './auth.js';
+import { httpError, sendError } from './httpError.js';
+import { startJob, backoffDelay, claimDueRows } from './jobs.js';
+
+const WORKER_INTERVAL_MS = Number(process.env.INTEGRATION_POLL_INTERVAL_MS) || 5000;
+const BATCH_SIZE = Number(process.env.INTEGRATION_BATCH_SIZE) || 10;
+const MAX_ATTEMPTS = Number(process.env.INTEGRATION_MAX_ATTEMPTS) || 10;
+const BACKOFF_BASE_MS = Number(process.env.INTEGRATION_BACKOFF_BASE_MS) || 30000;
+const DEFAULT_TIMEOUT_MS = 10000;
+
+const AUTH_TYPES = ['none', 'header', 'bearer', 'hmac'];
+// Shown instead of auth_secret by the API
+const SECRET_MASK = '********';
+const DELIVERY_STATUSES = ['pending', 'sending', 'delivered', 'dead'];
+const DESTINATION_COLUMNS = [
+  'name', 'url', 'auth_type', 'auth_header_name', 'auth_secret',
+  'field_mapping', 'timeout_ms', 'is_active',
+];
+
+/**
+ * Idempotency key sent with every delivery of a form event. Receivers can use it
+ * to drop duplicates caused by retries or manual replays.
+ */
+export function idempotencyKey(formId, event) {
+  return `form-${formId}-${event}`;
+}
+
+function lookup(source, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), source);
+}
+
+/**
+ * Reshape the submission payload for a destination. The mapping is an object of
+ * { targetField: 'source.path' } or { targetField: { from, default } } / { value }
+ * entries; without a mapping the payload is sent unchanged.
+ * @param {Object} payload Final submission payload
+ * @param {Object|string|null} mapping Destination field_mapping
+ */
+export function applyFieldMapping(payload, mapping) {
+  const rules = typeof mapping === 'string' ? JSON.parse(mapping) : mapping;
+  if (!rules || Object.keys(rules).length === 0) return payload;
+
+  const mapped = {};
+  for (const [target, rule] of Object.entries(rules)) {
+    if (typeof rule === 'string') {
+      mapped[target] = lookup(payload, rule) ?? null;
+    } else if (rule && 'value' in rule) {
+      mapped[target] = rule.value;
+    } else if (rule && rule.from) {
+      mapped[target] = lookup(payload, rule.from) ?? rule.default ?? null;
+    }
+  }
+  return mapped;
+}
+
+function authHeaders(destination, body) {
+  switch (destination.auth_type) {
+    case 'header':
+      return { [destination.auth_header_name || 'X-API-Key']: destination.auth_secret };
+    case 'bearer':
+      return { Authorization: `Bearer ${destination.auth_secret}` };
+    case 'hmac': {
+      // Receivers recompute HMAC-SHA256(secret, `${timestamp}.${body}`) to verify
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      const signature = crypto.createHmac('sha256', destination.auth_secret).update(`${timestamp}.${body}`).digest('hex');
+      return {
+        [destination.auth_header_name || 'X-Signature']: `sha256=${signature}`,
+        'X-Signature-Timestamp': timestamp,
+      };
+    }
+    default:
+      return {};
+  }
+}
+
+/**
+ * Queue a form event for every active destination of the form's tenant.
+ * Re-queuing the same form/event for a destination is a no-op thanks to the
+ * idempotency key.
+ * @param {Object} form forms_new row ({ id, tenant_id })
+ * @param {string} event e.g. 'submitted'
+ * @param {Object} payload Final submission payload
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+export async function enqueueDeliveries(form, event, payload) {
+  const formId = form.id;
+  const [destinations] = await pool.execute(
+    'SELECT id FROM integration_destinations WHERE tenant_id = ? AND is_active = TRUE',
+    [form.tenant_id]
+  );
+  let queued = 0;
+  for (const { id } of destinations) {
+    const [result] = await pool.execute(
+      `INSERT IGNORE INTO integration_deliveries
+         (destination_id, form_id, event, idempotency_key, payload, max_attempts, next_attempt_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [id, formId, event, idempotencyKey(formId, event), JSON.stringify(payload), MAX_ATTEMPTS, new Date()]
+    );
+    queued += result.affectedRows;
+  }
+  return queued;
+}
+
+async function deliver(delivery) {
+  const [[destination]] = await pool.execute(
+    'SELECT * FROM integration_destinations WHERE id = ?',
+    [delivery.destination_id]
+  );
+
+  try {
+    if (!destination) throw Object.assign(new Error('Destination no longer exists'), { permanent: true });
+    if (!destination.is_active) throw Object.assign(new Error('Destination is deactivated'), { permanent: true });
+
+    const payload = typeof delivery.payload === 'string' ? JSON.parse(delivery.payload) : delivery.payload;
+    const body = JSON.stringify(applyFieldMapping(payload, destination.field_mapping));
+    const response = await axios.post(destination.url, body, {
+      timeout: destination.timeout_ms || DEFAULT_TIMEOUT_MS,
+      headers: {
+        'Content-Type': 'application/json',
+        'Idempotency-Key': delivery.idempotency_key,
+        ...authHeaders(destination, body),
+      },
+    });
+
+    await pool.execute(
+      `UPDATE integration_deliveries
+          SET status = 'delivered', attempts = attempts + 1, response_status = ?,
+              last_error = NULL, delivered_at = ?, lock_token = NULL
+        WHERE id = ? AND lock_token = ?`,
+      [response.status, new Date(), delivery.id, delivery.lock_token]
+    );
+    console.log(`[${new Date().toISOString()}] Delivery #${delivery.id} (${delivery.idempotency_key}) sent to ${destination.name}`);
+  } catch (error) {
+    const status = error.response?.status || null;
+    // 4xx responses other than timeouts / rate limiting will not succeed on retry
+    const permanent = error.permanent || (status >= 400 && status < 500 && ![408, 429].includes(status));
+    const attempts = delivery.attempts + 1;
+    const dead = permanent || attempts >= delivery.max_attempts;
+
+    // Rows reclaimed by another worker or requeued meanwhile are left to that claim
+    await pool.execute(
+      `UPDATE integration_deliveries
+          SET status = ?, attempts = ?, response_status = ?, last_error = ?, next_attempt_at = ?, lock_token = NULL
+        WHERE id = ? AND lock_token = ?`,
+      [
+        dead ? 'dead' : 'pending',
+        attempts,
+        status,
+        String(error.message || error).slice(0, 1000),
+        new Date(Date.now() + backoffDelay(attempts, { baseMs: BACKOFF_BASE_MS })),
+        delivery.id,
+        delivery.lock_token,
+      ]
+    );
+    console.error(
+      `Delivery #${delivery.id} attempt ${attempts}/${delivery.max_attempts} failed${dead ? ' – dead-lettered' : ''}:`,
+      error.message
+    );
+  }
+}
+
+/**
+ * Send every delivery that is due. Returns the number processed.
+ */
+export async function processDeliveries() {
+  const batch = await claimDueRows(pool, 'integration_deliveries', { batchSize: BATCH_SIZE });
+  for (const delivery of batch) {
+    await deliver(delivery);
+  }
+  return batch.length;
+}
+
+/**
+ * Starts the background worker sending integration deliveries
+ */
+export function startIntegrationWorker() {
+  return startJob('integration-deliveries', WORKER_INTERVAL_MS, processDeliveries);
+}
+
+// --- Admin API --------------------------------------------------------------
+
+// Never echo secrets back through the API
+function maskDestination(destination) {
+  if (!destination) return destination;
+  return { ...destination, auth_secret: destination.auth_secret ? SECRET_MASK : null };
+}
+
+function cleanDestination(data, current = {}) {
+  const destination = { ...current };
+  for (const column of DESTINATION_COLUMNS) {
+    if (data[column] === undefined) continue;
+    // The masked placeholder sent back unchanged keeps the stored secret
+    if (column === 'auth_secret' && data[column] === SECRET_MASK) continue;
+    destination[column] = data[column] === '' ? null : data[column];
+  }
+
+  if (!destination.name) throw httpError(400, 'name is required');
+  try {
+    const url = new URL(destination.url);
+    if (!['http:', 'https:'].includes(url.protocol)) throw new Error('bad protocol');
+  } catch {
+    throw httpError(400, 'url must be an absolute http(s) URL');
+  }
+
+  destination.auth_type = destination.auth_type || 'none';
+  if (!AUTH_TYPES.includes(destination.auth_type)) {
+    throw httpError(400, `auth_type must be one of ${AUTH_TYPES.join(', ')}`);
+  }
+  if (destination.auth_type !== 'none' && !destination.auth_secret) {
+    throw httpError(400, `auth_secret is required for auth_type "${destination.auth_type}"`);
+  }
+
+  if (destination.field_mapping) {
+    let mapping = destination.field_mapping;
+    if (typeof mapping === 'string') {
+      try {
+        mapping = JSON.parse(mapping);
+      } catch {
+        throw httpError(400, 'field_mapping must be valid JSON');
+      }
+    }
+    if (typeof mapping !== 'object' || Array.isArray(mapping)) {
+      throw httpError(400, 'field_mapping must be an object of { targetField: sourcePath }');
+    }
+    destination.field_mapping = JSON.stringify(mapping);
+  }
+
+  destination.timeout_ms = destination.timeout_ms ? Number(destination.timeout_ms) : null;
+  destination.is_active = destination.is_active === undefined || destination.is_active === null
+    ? true
+    : Boolean(destination.is_active);
+  return destination;
+}
+
+async function getDestination(id, tenantId) {
+  const [rows] = await pool.execute(
+    'SELECT * FROM integration_destinations WHERE id = ? AND tenant_id = ?',
+    [id, tenantId]
+  );
+  return rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * Lists a tenant's destinations with secrets masked
+ * @param {number} tenantId
+ */
+export async function listDestinations(tenantId) {
+  const [rows] = await pool.execute(
+    'SELECT * FROM integration_destinations WHERE tenant_id = ? ORDER BY name',
+    [tenantId]
+  );
+  return rows.map(maskDestination);
+}
+
+/**
+ * Creates or updates a destination of a tenant
+ * @param {number|null} id Existing destination id, or null to create
+ * @param {Object} data Destination fields
+ * @param {number} tenantId
+ */
+export async function saveDestination(id, data, tenantId) {
+  const current = id ? await getDestination(id, tenantId) : {};
+  if (!current) throw httpError(404, 'Destination not found');
+  const destination = cleanDestination(data, current);
+  const values = DESTINATION_COLUMNS.map(c => destination[c] ?? null);
+
+  if (id) {
+    await pool.execute(
+      `UPDATE integration_destinations SET ${DESTINATION_COLUMNS.map(c => `${c} = ?`).join(', ')} WHERE id = ?`,
+      [...values, id]
+    );
+    return maskDestination(await getDestination(id, tenantId));
+  }
+  const [result] = await pool.execute(
+    `INSERT INTO integration_destinations (tenant_id, ${DESTINATION_COLUMNS.join(', ')})
+     VALUES (?, ${DESTINATION_COLUMNS.map(() => '?').join(', ')})`,
+    [tenantId, ...values]
+  );
+  return maskDestination(await getDestination(result.insertId, tenantId));
+}
+
+/**
+ * Lists a tenant's deliveries, newest first
+ * @param {Object} filters { formId, destinationId, status, limit }
+ * @param {number} tenantId
+ */
+export async function listDeliveries({ formId, destinationId, status, limit } = {}, tenantId) {
+  const where = ['dest.tenant_id = ?'];
+  const params = [tenantId];
+  if (formId) {
+    where.push('d.form_id = ?');
+    params.push(formId);
+  }
+  if (destinationId) {
+    where.push('d.destination_id = ?');
+    params.push(destinationId);
+  }
+  if (status) {
+    if (!DELIVERY_STATUSES.includes(status)) {
+      throw httpError(400, `status must be one of ${DELIVERY_STATUSES.join(', ')}`);
+    }
+    where.push('d.status = ?');
+    params.push(status);
+  }
+  const max = Math.min(Math.max(parseInt(limit, 10) || 100, 1), 500);
+
+  const [rows] = await pool.execute(
+    `SELECT d.id, d.destination_id, dest.name AS destination_name, d.form_id, d.event,
+            d.idempotency_key, d.status, d.attempts, d.max_attempts, d.response_status,
+            d.last_error, d.next_attempt_at, d.delivered_at, d.created_at
+       FROM integration_deliveries d
+       JOIN integration_destinations dest ON dest.id = d.destination_id
+      WHERE ${where.join(' AND ')}
+      ORDER BY d.id DESC
+      LIMIT ${max}`,
+    params
+  );
+  return rows;
+}
+
+/**
+ * Requeues a delivery of a tenant for immediate sending with the same idempotency key
+ * @param {number} id
+ * @param {number} tenantId
+ */
+export async function replayDelivery(id, tenantId) {
+  const [result] = await pool.execute(
+    `UPDATE integration_deliveries d
+       JOIN integration_destinations dest ON dest.id = d.destination_id
+        SET d.status = 'pending', d.next_attempt_at = ?,
+            d.max_attempts = GREATEST(d.max_attempts, d.attempts + 1)
+      WHERE d.id = ? AND dest.tenant_id = ? AND d.status IN ('pending', 'dead', 'delivered')`,
+    [new Date(), id, tenantId]
+  );
+  if (result.affectedRows === 0) {
+    const [rows] = await pool.execute(
+      `SELECT d.status FROM integration_deliveries d
+         JOIN integration_destinations dest ON dest.id = d.destination_id
+        WHERE d.id = ? AND dest.tenant_id = ?`,
+      [id, tenantId]
+    );
+    if (rows.length === 0) throw httpError(404, 'Delivery not found');
+    throw httpError(409, 'Delivery is being sent right now');
+  }
+  const [[delivery]] = await pool.execute('SELECT * FROM integration_deliveries WHERE id = ?', [id]);
+  return delivery;
+}
+
+/**
+ * Mount the integrations admin API. Every route requires the admin role.
+ * @param {Object} app Express application
+ */
+export function setupIntegrationRoutes(app) {
+  const requireAdmin = requireRole('admin');
+
+  app.get('/integrations/destinations', requireAdmin, async (req, res) => {
+    try {
+      res.json(await listDestinations(req.user.tenantId));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  app.post('/integrations/destinations', requireAdmin, async (req, res) => {
+    try {
+      res.status(201).json(await saveDestination(null, req.body || {}, req.user.tenantId));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  app.patch('/integrations/destinations/:id', requireAdmin, async (req, res) => {
+    try {
+      res.json(await saveDestination(req.params.id, req.body || {}, req.user.tenantId));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // ?formId=&destinationId=&status=dead&limit=
+  app.get('/integrations/deliveries', requireAdmin, async (req, res) => {
+    try {
+      res.json(await listDeliveries(req.query, req.user.tenantId));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  app.post('/integrations/deliveries/:id/replay', requireAdmin, async (req, res) => {
+    try {
+      res.json(await replayDelivery(req.params.id, req.user.tenantId));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  console.log('Integration routes configured');
+}
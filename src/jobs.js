@@ -0,0 +1,66 @@
+// src/jobs.js
+
+import crypto from 'crypto';
+
+/**
+ * Run `task` every `intervalMs` in the background. A run is skipped while the
+ * previous one is still in progress; errors are logged and never crash the server.
+ * @param {string} name Job name used in logs
+ * @param {number} intervalMs Delay between runs
+ * @param {Function} task Async function to run
+ * @returns {Function} Stops the job
+ */
+export function startJob(name, intervalMs, task) {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await task();
+    } catch (err) {
+      console.error(`Background job "${name}" failed:`, err);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
+
+/**
+ * Exponential backoff with ±20% jitter.
+ * @param {number} attempt Number of attempts made so far (1 after the first failure)
+ * @param {Object} [options] { baseMs, maxMs }
+ * @returns {number} Delay in milliseconds before the next attempt
+ */
+export function backoffDelay(attempt, { baseMs = 30000, maxMs = 3600000 } = {}) {
+  const delay = Math.min(maxMs, baseMs * 2 ** Math.max(0, attempt - 1));
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * Atomically claim due rows of a queue table for one worker run. The table needs
+ * status ('pending' / 'sending'), next_attempt_at, locked_at and lock_token columns.
+ * Rows left in 'sending' longer than staleLockMs (worker crashed) are reclaimed.
+ * @param {Object} pool mysql2 pool
+ * @param {string} table Queue table name
+ * @param {Object} [options] { batchSize, staleLockMs }
+ * @returns {Promise<Object[]>} Claimed rows
+ */
+export async function claimDueRows(pool, table, { batchSize = 10, staleLockMs = 10 * 60 * 1000 } = {}) {
+  const lockToken = crypto.randomUUID();
+  const now = new Date();
+  await pool.execute(
+    `UPDATE ${table}
+        SET status = 'sending', locked_at = ?, lock_token = ?
+      WHERE (status = 'pending' AND next_attempt_at <= ?)
+         OR (status = 'sending' AND locked_at < ?)
+      ORDER BY next_attempt_at, id
+      LIMIT ${Number(batchSize)}`,
+    [now, lockToken, now, new Date(now.getTime() - staleLockMs)]
+  );
+  const [rows] = await pool.execute(`SELECT * FROM ${table} WHERE lock_token = ?`, [lockToken]);
+  return rows;
+}
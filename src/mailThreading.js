@@ -0,0 +1,94 @@
+// src/mailThreading.js
+
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Domain of our Message-IDs; the sending mailbox's domain by default
+const MAIL_DOMAIN = process.env.MAIL_DOMAIN
+  || (process.env.EMAIL_USER || 'noreply-multycomm@spcfz.ae').split('@')[1];
+// Mailbox whose replies reach the inbound processor, e.g. replies@spcfz.ae.
+// Notifications get Reply-To: replies+form-<id>-<sig>@spcfz.ae (plus addressing).
+const INBOUND_REPLY_ADDRESS = process.env.INBOUND_REPLY_ADDRESS || '';
+
+const TOKEN_RE = /form-(\d+)-([0-9a-f]{12})/gi;
+
+function threadSecret() {
+  const secret = process.env.MAIL_THREAD_SECRET || process.env.JWT_SECRET;
+  if (!secret) throw new Error('MAIL_THREAD_SECRET (or JWT_SECRET) is not configured');
+  return secret;
+}
+
+function signature(formId) {
+  return crypto.createHmac('sha256', threadSecret()).update(`form:${formId}`).digest('hex').slice(0, 12);
+}
+
+/**
+ * Token identifying a form in Message-IDs and reply addresses. The signature
+ * stops senders from attaching mail to forms by guessing ids.
+ * @param {number} formId
+ */
+export function threadToken(formId) {
+  return `form-${formId}-${signature(formId)}`;
+}
+
+/**
+ * Message-ID and Reply-To for an email about a form
+ * @param {number} formId
+ * @returns {{ messageId: string, replyTo: string|null }}
+ */
+export function threadHeaders(formId) {
+  const token = threadToken(formId);
+  let replyTo = null;
+  if (INBOUND_REPLY_ADDRESS) {
+    const [local, domain] = INBOUND_REPLY_ADDRESS.split('@');
+    replyTo = `${local}+${token}@${domain}`;
+  }
+  return {
+    messageId: `<${token}.${crypto.randomBytes(6).toString('hex')}@${MAIL_DOMAIN}>`,
+    replyTo,
+  };
+}
+
+/**
+ * The form a message belongs to, from the tokens in its In-Reply-To /
+ * References headers or the address it was sent to
+ * @param {string[]} candidates Header values and recipient addresses
+ * @returns {number|null} Form id
+ */
+export function formIdFromThread(candidates) {
+  for (const value of candidates) {
+    for (const [, id, sig] of String(value || '').matchAll(TOKEN_RE)) {
+      const expected = Buffer.from(signature(id));
+      const given = Buffer.from(sig.toLowerCase());
+      if (expected.length === given.length && crypto.timingSafeEqual(expected, given)) return Number(id);
+    }
+  }
+  return null;
+}
+
+// Lines where mail clients start the quoted original
+const QUOTE_MARKERS = [
+  /^On .+ wrote:\s*$/m,
+  /^-{2,}\s*Original Message\s*-{2,}/im,
+  /^_{10,}\s*$/m,
+  /^From:\s.+\n(Sent|Date):\s/m,
+];
+
+/**
+ * The new text of a reply, without the quoted original below it
+ * @param {string} text Plain-text body
+ */
+export function stripQuotedReply(text) {
+  let body = String(text || '').replace(/\r\n/g, '\n');
+  for (const marker of QUOTE_MARKERS) {
+    const match = marker.exec(body);
+    if (match) body = body.slice(0, match.index);
+  }
+  return body
+    .split('\n')
+    .filter(line => !line.startsWith('>'))
+    .join('\n')
+    .trim();
+}
@@ -0,0 +1,92 @@
+// src/mailer.js
+
+import nodemailer from 'nodemailer';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Office365 by default. Point SMTP_HOST/SMTP_PORT at a local stand-in
+// (e.g. `docker compose --profile mail-test up mailpit`, SMTP_HOST=localhost SMTP_PORT=1025)
+// to exercise the outbox without sending real mail.
+const SMTP_HOST = process.env.SMTP_HOST || 'smtp.office365.com';
+const SMTP_PORT = Number(process.env.SMTP_PORT) || 587;
+const SMTP_USER = process.env.EMAIL_USER || 'noreply-multycomm@spcfz.ae';
+const SMTP_PASSWORD = process.env.EMAIL_PASSWORD || 'wwsbfysyndyqqgmt';
+// Local stand-ins usually accept unauthenticated mail
+const SMTP_AUTH = process.env.SMTP_AUTH !== 'false';
+
+export const transporter = nodemailer.createTransport({
+  host: SMTP_HOST,
+  port: SMTP_PORT,
+  secure: process.env.SMTP_SECURE === 'true', // true for 465, false for other ports
+  auth: SMTP_AUTH ? { user: SMTP_USER, pass: SMTP_PASSWORD } : undefined,
+  tls: {
+    ciphers: 'SSLv3',
+    rejectUnauthorized: false
+  },
+  debug: process.env.SMTP_DEBUG !== 'false', // Enable debug output
+  logger: process.env.SMTP_DEBUG !== 'false' // Log to console
+});
+
+const tenantTransporters = new Map();
+
+/**
+ * Transport for a tenant's own SMTP server (see tenantMailSettings in
+ * tenants.js), the default transporter when it has none. Transports are
+ * reused until the tenant's settings change.
+ * @param {Object|null} settings { key, host, port, secure, user, password }
+ */
+export function transporterFor(settings) {
+  if (!settings) return transporter;
+  let transport = tenantTransporters.get(settings.key);
+  if (!transport) {
+    const tenantPrefix = `${settings.key.split(':')[0]}:`;
+    for (const [key, stale] of tenantTransporters) {
+      if (key.startsWith(tenantPrefix)) {
+        stale.close();
+        tenantTransporters.delete(key);
+      }
+    }
+    transport = nodemailer.createTransport({
+      host: settings.host,
+      port: settings.port,
+      secure: settings.secure,
+      auth: settings.user ? { user: settings.user, pass: settings.password || '' } : undefined,
+    });
+    tenantTransporters.set(settings.key, transport);
+  }
+  return transport;
+}
+
+// Alternative Gmail configuration (uncomment if Office365 fails)
+// export const transporter = nodemailer.createTransport({
+//   service: 'gmail',
+//   auth: {
+//     user: 'your-gmail@gmail.com',
+//     pass: 'your-app-password', // Gmail app password
+//   },
+// });
+
+/**
+ * Test the SMTP connection and print troubleshooting hints on failure
+ */
+export function verifyMailTransport() {
+  transporter.verify((error) => {
+    if (error) {
+      console.log("❌ SMTP Error:", error.message);
+      console.log("\n📧 SMTP Configuration:");
+      console.log("- Host:", SMTP_HOST);
+      console.log("- Port:", SMTP_PORT);
+      console.log("- User:", SMTP_USER);
+      console.log("- Password length:", SMTP_PASSWORD.length);
+      console.log("\n🔧 Troubleshooting suggestions:");
+      console.log("1. Verify the email account exists and is active");
+      console.log("2. Check if 2FA is enabled - you may need an app password");
+      console.log("3. Ensure SMTP is enabled for this account");
+      console.log("4. Try using the account's full credentials");
+      console.log("5. Contact IT admin to verify account permissions");
+    } else {
+      console.log("✅ SMTP connection successful!");
+    }
+  });
+}
@@ -0,0 +1,218 @@
+// src/notifications.js
+
+import { pool } from './form.js';
+import { transporterFor } from './mailer.js';
+import { requireRole } from './auth.js';
+import { httpError, sendError } from './httpError.js';
+import { startJob, backoffDelay, claimDueRows } from './jobs.js';
+import { threadHeaders } from './mailThreading.js';
+import { tenantMailSettings, DEFAULT_TENANT_ID } from './tenants.js';
+
+const WORKER_INTERVAL_MS = Number(process.env.OUTBOX_POLL_INTERVAL_MS) || 5000;
+const BATCH_SIZE = Number(process.env.OUTBOX_BATCH_SIZE) || 10;
+const MAX_ATTEMPTS = Number(process.env.OUTBOX_MAX_ATTEMPTS) || 8;
+const BACKOFF_BASE_MS = Number(process.env.OUTBOX_BACKOFF_BASE_MS) || 30000;
+
+const STATUSES = ['pending', 'sending', 'sent', 'dead'];
+
+function joinAddresses(list) {
+  const addresses = Array.isArray(list) ? list : (list ? [list] : []);
+  return addresses.length ? addresses.join(', ') : null;
+}
+
+/**
+ * Queue an email in the outbox. It is sent by the notification worker,
+ * retried with exponential backoff and dead-lettered after OUTBOX_MAX_ATTEMPTS.
+ * Emails about a form carry a Message-ID / Reply-To that thread replies back
+ * to it (see mailThreading.js and inboundMail.js). A tenant with its own SMTP
+ * server sends through it, from its own address.
+ * @param {Object} message { tenantId, formId, kind, to, cc, bcc, subject, html, text, from }
+ * @returns {Promise<number>} Outbox id
+ */
+export async function enqueueEmail({ tenantId = DEFAULT_TENANT_ID, formId, kind, to, cc, bcc, subject, html, text, from }) {
+  if (!joinAddresses(to)) throw new Error('Cannot queue an email without recipients');
+
+  const thread = formId ? threadHeaders(formId) : { messageId: null, replyTo: null };
+  const mail = await tenantMailSettings(tenantId);
+  const [result] = await pool.execute(
+    `INSERT INTO email_outbox
+       (tenant_id, form_id, kind, from_address, to_addresses, cc_addresses, bcc_addresses, reply_to,
+        subject, body_html, body_text, message_id, max_attempts, next_attempt_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      tenantId, formId || null, kind || 'generic', from || mail?.from || process.env.EMAIL_USER || null,
+      joinAddresses(to), joinAddresses(cc), joinAddresses(bcc), thread.replyTo,
+      subject, html || null, text || null, thread.messageId, MAX_ATTEMPTS, new Date(),
+    ]
+  );
+  return result.insertId;
+}
+
+async function deliver(message) {
+  try {
+    const transport = transporterFor(await tenantMailSettings(message.tenant_id));
+    const info = await transport.sendMail({
+      from: message.from_address || undefined,
+      to: message.to_addresses,
+      cc: message.cc_addresses || undefined,
+      bcc: message.bcc_addresses || undefined,
+      replyTo: message.reply_to || undefined,
+      // Kept across retries so a reply matches whichever attempt got through
+      messageId: message.message_id || undefined,
+      subject: message.subject,
+      html: message.body_html || undefined,
+      text: message.body_text || undefined,
+    });
+
+    // A row reclaimed by another worker meanwhile is left to that claim
+    await pool.execute(
+      `UPDATE email_outbox
+          SET status = 'sent', attempts = attempts + 1, message_id = ?, sent_at = ?,
+              last_error = NULL, lock_token = NULL
+        WHERE id = ? AND lock_token = ?`,
+      [info.messageId || null, new Date(), message.id, message.lock_token]
+    );
+    console.log(`[${new Date().toISOString()}] Outbox #${message.id} sent to ${message.to_addresses}`);
+  } catch (error) {
+    const attempts = message.attempts + 1;
+    const dead = attempts >= message.max_attempts;
+    await pool.execute(
+      `UPDATE email_outbox
+          SET status = ?, attempts = ?, last_error = ?, next_attempt_at = ?, lock_token = NULL
+        WHERE id = ? AND lock_token = ?`,
+      [
+        dead ? 'dead' : 'pending',
+        attempts,
+        String(error.message || error).slice(0, 1000),
+        new Date(Date.now() + backoffDelay(attempts, { baseMs: BACKOFF_BASE_MS })),
+        message.id,
+        message.lock_token,
+      ]
+    );
+    console.error(
+      `Outbox #${message.id} attempt ${attempts}/${message.max_attempts} failed${dead ? ' – dead-lettered' : ''}:`,
+      error.message
+    );
+  }
+}
+
+/**
+ * Send every message that is due. Returns the number of messages processed.
+ */
+export async function processOutbox() {
+  const batch = await claimDueRows(pool, 'email_outbox', { batchSize: BATCH_SIZE });
+  for (const message of batch) {
+    await deliver(message);
+  }
+  return batch.length;
+}
+
+/**
+ * Starts the background worker draining the outbox
+ */
+export function startNotificationWorker() {
+  return startJob('email-outbox', WORKER_INTERVAL_MS, processOutbox);
+}
+
+/**
+ * Lists a tenant's outbox entries, newest first
+ * @param {Object} filters { formId, status, kind, limit }
+ * @param {number} tenantId
+ */
+export async function listNotifications({ formId, status, kind, limit } = {}, tenantId) {
+  const where = ['tenant_id = ?'];
+  const params = [tenantId];
+  if (formId) {
+    where.push('form_id = ?');
+    params.push(formId);
+  }
+  if (status) {
+    if (!STATUSES.includes(status)) throw httpError(400, `status must be one of ${STATUSES.join(', ')}`);
+    where.push('status = ?');
+    params.push(status);
+  }
+  if (kind) {
+    where.push('kind = ?');
+    params.push(kind);
+  }
+  const max = Math.min(Math.max(parseInt(limit, 10) || 100, 1), 500);
+
+  const [rows] = await pool.execute(
+    `SELECT id, form_id, kind, to_addresses, cc_addresses, subject, status, attempts, max_attempts,
+            last_error, message_id, next_attempt_at, sent_at, created_at
+       FROM email_outbox
+      WHERE ${where.join(' AND ')}
+      ORDER BY id DESC
+      LIMIT ${max}`,
+    params
+  );
+  return rows;
+}
+
+/**
+ * Retrieves one outbox entry of a tenant including its rendered body
+ * @param {number} id
+ * @param {number} tenantId
+ */
+export async function getNotification(id, tenantId) {
+  const [rows] = await pool.execute('SELECT * FROM email_outbox WHERE id = ? AND tenant_id = ?', [id, tenantId]);
+  return rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * Puts a dead-lettered (or pending) message back in the queue for immediate delivery
+ * @param {number} id
+ * @param {number} tenantId
+ */
+export async function retryNotification(id, tenantId) {
+  const [result] = await pool.execute(
+    `UPDATE email_outbox
+        SET status = 'pending', next_attempt_at = ?,
+            max_attempts = GREATEST(max_attempts, attempts + 1)
+      WHERE id = ? AND tenant_id = ? AND status IN ('pending', 'dead')`,
+    [new Date(), id, tenantId]
+  );
+  if (result.affectedRows === 0) {
+    const existing = await getNotification(id, tenantId);
+    if (!existing) throw httpError(404, 'Notification not found');
+    throw httpError(409, `Notification is ${existing.status} and cannot be retried`);
+  }
+  return getNotification(id, tenantId);
+}
+
+/**
+ * Mount the notifications API. Every route requires the admin role.
+ * @param {Object} app Express application
+ */
+export function setupNotificationRoutes(app) {
+  const requireAdmin = requireRole('admin');
+
+  // ?formId=123&status=dead&kind=call_notification&limit=50
+  app.get('/notifications', requireAdmin, async (req, res) => {
+    try {
+      res.json(await listNotifications(req.query, req.user.tenantId));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  app.get('/notifications/:id', requireAdmin, async (req, res) => {
+    try {
+      const notification = await getNotification(req.params.id, req.user.tenantId);
+      if (!notification) return res.status(404).json({ error: 'Notification not found' });
+      res.json(notification);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  app.post('/notifications/:id/retry', requireAdmin, async (req, res) => {
+    try {
+      res.json(await retryNotification(req.params.id, req.user.tenantId));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  console.log('Notification routes configured');
+}
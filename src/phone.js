@@ -0,0 +1,38 @@
+// src/phone.js
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Country code assumed for national numbers dialled with a leading 0 (UAE)
+const DEFAULT_COUNTRY_CODE = process.env.PHONE_DEFAULT_COUNTRY_CODE || '971';
+
+/**
+ * Normalise a phone number to E.164 so that +971 50..., 00971 50..., 971 50...
+ * and 050... all compare equal.
+ * @param {string|number} raw Number as typed by an agent or passed by the PBX
+ * @param {Object} [options] { countryCode } overrides PHONE_DEFAULT_COUNTRY_CODE
+ * @returns {string|null} '+<digits>' or null for anything that is not a full
+ *   phone number (extensions, 'anonymous', empty values)
+ */
+export function normalizePhone(raw, { countryCode = DEFAULT_COUNTRY_CODE } = {}) {
+  if (raw === undefined || raw === null) return null;
+  const text = String(raw).trim();
+  if (!/^[+\d\s().-]+$/.test(text)) return null;
+
+  let digits = text.replace(/\D/g, '');
+  // Extensions and short codes are not phone numbers
+  if (digits.length < 7) return null;
+  if (text.startsWith('+')) {
+    // already international
+  } else if (digits.startsWith('00')) {
+    digits = digits.slice(2);
+  } else if (digits.startsWith('0')) {
+    digits = countryCode + digits.replace(/^0+/, '');
+  } else if (!digits.startsWith(countryCode) && digits.length <= 9) {
+    // National number without its trunk 0
+    digits = countryCode + digits;
+  }
+
+  return /^[1-9]\d{6,14}$/.test(digits) ? `+${digits}` : null;
+}
@@ -0,0 +1,278 @@
+// src/reports.js
+
+import dotenv from 'dotenv';
+import { pool } from './form.js';
+import { requireRole } from './auth.js';
+import { buildFormFilter } from './formQuery.js';
+import { httpError, sendError } from './httpError.js';
+
+dotenv.config();
+
+const REPORT_TIMEZONE = process.env.REPORT_TIMEZONE || 'Asia/Dubai';
+const DEFAULT_RANGE_DAYS = 30;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Rows the agent never finished are still placeholders with an empty call type
+const COMPLETED = "(f.call_type <> '')";
+
+const DISPOSITION_LEVELS = ['call_type', 'disposition_1', 'disposition_2'];
+
+// Timestamps are returned as report-zone wall-clock strings; mysql2 would
+// otherwise read them back as Dates in the server's own zone
+const LOCAL_TIME = expression => `DATE_FORMAT(${expression}, '%Y-%m-%d %H:%i:%s')`;
+
+// Bucket expressions, evaluated in the report time zone (session time_zone)
+const INTERVALS = {
+  hour: "DATE_FORMAT(f.created_at, '%Y-%m-%d %H:00')",
+  day: "DATE_FORMAT(f.created_at, '%Y-%m-%d')",
+  week: "DATE_FORMAT(DATE_SUB(DATE(f.created_at), INTERVAL WEEKDAY(f.created_at) DAY), '%Y-%m-%d')",
+  month: "DATE_FORMAT(f.created_at, '%Y-%m')",
+};
+
+function dateInZone(date, timeZone) {
+  const p = Object.fromEntries(
+    new Intl.DateTimeFormat('en-GB', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+      .formatToParts(date)
+      .map(part => [part.type, part.value])
+  );
+  return `${p.year}-${p.month}-${p.day}`;
+}
+
+// '+04:00' style offset of a zone at a given instant
+function utcOffset(timeZone, at) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' })
+      .formatToParts(at)
+      .map(part => [part.type, part.value])
+  );
+  const offset = parts.timeZoneName.replace('GMT', '');
+  return offset || '+00:00';
+}
+
+/**
+ * Resolve ?from=YYYY-MM-DD&to=YYYY-MM-DD&tz=Area/City. Both dates are whole days
+ * in the report time zone; the default is the last 30 days.
+ * @param {Object} query req.query
+ * @returns {{ from: string, to: string, timeZone: string }}
+ */
+export function parseRange(query = {}) {
+  const timeZone = query.tz || REPORT_TIMEZONE;
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone });
+  } catch {
+    throw httpError(400, `Unknown time zone "${timeZone}"`);
+  }
+
+  for (const key of ['from', 'to']) {
+    if (query[key] && !DATE_ONLY.test(query[key])) throw httpError(400, `${key} must be a date (YYYY-MM-DD)`);
+  }
+  const to = query.to || dateInZone(new Date(), timeZone);
+  const from = query.from
+    || new Date(Date.parse(to) - (DEFAULT_RANGE_DAYS - 1) * 86400000).toISOString().slice(0, 10);
+  if (from > to) throw httpError(400, 'from must not be after to');
+  return { from, to, timeZone };
+}
+
+/**
+ * Run report queries on one connection whose session time zone is the report
+ * zone, so DATE()/HOUR()/date-range comparisons bucket by local time.
+ * Named zones need MySQL's time zone tables; without them the zone's current
+ * UTC offset is used instead.
+ * @param {string} timeZone
+ * @param {Function} fn async (connection) => result
+ */
+async function withTimeZone(timeZone, fn) {
+  const connection = await pool.getConnection();
+  try {
+    try {
+      await connection.query('SET time_zone = ?', [timeZone]);
+    } catch (err) {
+      if (err.code !== 'ER_UNKNOWN_TIME_ZONE') throw err;
+      await connection.query('SET time_zone = ?', [utcOffset(timeZone, new Date())]);
+    }
+    return await fn(connection);
+  } finally {
+    try {
+      await connection.query('SET time_zone = DEFAULT');
+      connection.release();
+    } catch {
+      connection.destroy();
+    }
+  }
+}
+
+/**
+ * WHERE clause shared by every report: the date range, the user's form scope
+ * and any GET /forms style filter (call_type, queue_id, agent_id, ...).
+ * Range bounds are strings so MySQL reads them in the session time zone.
+ */
+function reportFilter(query, range, user) {
+  const { from, to, ...filters } = query;
+  const filter = buildFormFilter(filters, user);
+  return {
+    sql: `f.created_at >= ? AND f.created_at < DATE_ADD(?, INTERVAL 1 DAY) AND ${filter.sql}`,
+    params: [range.from, range.to, ...filter.params],
+  };
+}
+
+async function runReport(query, user, build) {
+  const range = parseRange(query);
+  const filter = reportFilter(query, range, user);
+  const rows = await withTimeZone(range.timeZone, async (connection) => {
+    const { sql, params } = build(filter);
+    const [result] = await connection.query(sql, params);
+    return result;
+  });
+  return { range, rows };
+}
+
+function withPercentages(rows) {
+  const total = rows.reduce((sum, row) => sum + row.count, 0);
+  return rows.map(row => ({ ...row, percentage: total ? Math.round((row.count / total) * 10000) / 100 : 0 }));
+}
+
+/**
+ * Completed forms counted per disposition path.
+ * @param {Object} query ?depth=1|2|3 (call type / + disposition 1 / + disposition 2) and filters
+ * @param {Object} user req.user
+ */
+export async function dispositionReport(query, user) {
+  const depth = Number(query.depth || 3);
+  if (![1, 2, 3].includes(depth)) throw httpError(400, 'depth must be 1, 2 or 3');
+  const columns = DISPOSITION_LEVELS.slice(0, depth).map(c => `f.${c}`).join(', ');
+
+  const report = await runReport(query, user, filter => ({
+    sql: `SELECT ${columns}, COUNT(*) AS count
+            FROM forms_new f
+           WHERE ${filter.sql} AND ${COMPLETED}
+           GROUP BY ${columns}
+           ORDER BY count DESC`,
+    params: filter.params,
+  }));
+  return { ...report, rows: withPercentages(report.rows) };
+}
+
+/**
+ * Form counts over time, optionally split by a disposition level.
+ * @param {Object} query ?interval=hour|day|week|month&by=call_type|disposition_1|disposition_2
+ * @param {Object} user req.user
+ */
+export async function trendReport(query, user) {
+  const interval = query.interval || 'day';
+  if (!INTERVALS[interval]) throw httpError(400, `interval must be one of ${Object.keys(INTERVALS).join(', ')}`);
+  if (query.by && !DISPOSITION_LEVELS.includes(query.by)) {
+    throw httpError(400, `by must be one of ${DISPOSITION_LEVELS.join(', ')}`);
+  }
+  const split = query.by ? `, f.${query.by}` : '';
+
+  const report = await runReport(query, user, filter => ({
+    sql: `SELECT ${INTERVALS[interval]} AS bucket${split}, COUNT(*) AS count
+            FROM forms_new f
+           WHERE ${filter.sql} AND ${COMPLETED}
+           GROUP BY bucket${split}
+           ORDER BY bucket${split}`,
+    params: filter.params,
+  }));
+  return { ...report, interval };
+}
+
+/**
+ * Totals per queue or per agent with the completed / incomplete split.
+ * @param {'queue'|'agent'} dimension
+ * @param {Object} query filters
+ * @param {Object} user req.user
+ */
+export async function teamReport(dimension, query, user) {
+  const group = dimension === 'queue'
+    ? { key: 'f.queue_id', id: 'queue_id', label: 'MAX(f.queue_name) AS queue_name' }
+    : { key: 'f.agent_id', id: 'agent_id', label: 'MAX(f.agent_ext) AS agent_ext' };
+
+  return runReport(query, user, filter => ({
+    sql: `SELECT ${group.key} AS ${group.id}, ${group.label},
+                 COUNT(*) AS total,
+                 COUNT(CASE WHEN ${COMPLETED} THEN 1 END) AS completed,
+                 COUNT(CASE WHEN NOT ${COMPLETED} THEN 1 END) AS incomplete,
+                 COUNT(DISTINCT NULLIF(f.caller_id_number, '')) AS unique_callers,
+                 ${LOCAL_TIME('MIN(f.created_at)')} AS first_at,
+                 ${LOCAL_TIME('MAX(f.created_at)')} AS last_at
+            FROM forms_new f
+           WHERE ${filter.sql}
+           GROUP BY ${group.key}
+           ORDER BY total DESC`,
+    params: filter.params,
+  }));
+}
+
+/**
+ * Hour-of-day × day-of-week heat map of completed forms (weekday 1 = Monday).
+ * @param {Object} query filters
+ * @param {Object} user req.user
+ */
+export async function heatmapReport(query, user) {
+  return runReport(query, user, filter => ({
+    sql: `SELECT WEEKDAY(f.created_at) + 1 AS weekday, HOUR(f.created_at) AS hour, COUNT(*) AS count
+            FROM forms_new f
+           WHERE ${filter.sql} AND ${COMPLETED}
+           GROUP BY weekday, hour
+           ORDER BY weekday, hour`,
+    params: filter.params,
+  }));
+}
+
+/**
+ * Share of webhook-created rows (call screen pops) that were never completed by
+ * the agent, overall and per day.
+ * @param {Object} query filters
+ * @param {Object} user req.user
+ */
+export async function webhookCompletionReport(query, user) {
+  const report = await runReport(query, user, filter => ({
+    sql: `SELECT ${INTERVALS.day} AS day,
+                 COUNT(*) AS created,
+                 COUNT(CASE WHEN NOT ${COMPLETED} THEN 1 END) AS never_completed
+            FROM forms_new f
+           WHERE ${filter.sql} AND f.created_via = 'webhook'
+           GROUP BY day
+           ORDER BY day`,
+    params: filter.params,
+  }));
+
+  const rate = (part, whole) => (whole ? Math.round((part / whole) * 10000) / 100 : 0);
+  const created = report.rows.reduce((sum, row) => sum + row.created, 0);
+  const neverCompleted = report.rows.reduce((sum, row) => sum + row.never_completed, 0);
+  return {
+    range: report.range,
+    created,
+    neverCompleted,
+    neverCompletedPercentage: rate(neverCompleted, created),
+    rows: report.rows.map(row => ({ ...row, never_completed_percentage: rate(row.never_completed, row.created) })),
+  };
+}
+
+/**
+ * Mount the /reports API for supervisors (scoped to their queues) and admins.
+ * Every report accepts ?from=YYYY-MM-DD&to=YYYY-MM-DD&tz=Asia/Dubai and the GET /forms filters.
+ * @param {Object} app Express application
+ */
+export function setupReportRoutes(app) {
+  const requireSupervisor = requireRole('supervisor');
+
+  const route = (path, report) => {
+    app.get(path, requireSupervisor, async (req, res) => {
+      try {
+        res.json(await report(req.query, req.user));
+      } catch (err) {
+        sendError(res, err);
+      }
+    });
+  };
+
+  route('/reports/dispositions', dispositionReport);           // ?depth=1|2|3
+  route('/reports/trend', trendReport);                        // ?interval=day&by=call_type
+  route('/reports/queues', (query, user) => teamReport('queue', query, user));
+  route('/reports/agents', (query, user) => teamReport('agent', query, user));
+  route('/reports/heatmap', heatmapReport);
+  route('/reports/webhook-completion', webhookCompletionReport);
+
+  console.log('Report routes configured');
+}
@@ -0,0 +1,484 @@
+// src/routing.js
+
+import { pool, getDispositionEmail } from './form.js';
+import { requireRole } from './auth.js';
+import { httpError, sendError } from './httpError.js';
+
+const ROUTING_TIMEZONE = process.env.ROUTING_TIMEZONE || 'Asia/Dubai';
+const DEFAULT_DEPARTMENT_NAME = 'Support Team';
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Rule columns matched with '*' wildcards against the submission payload
+const PATTERN_FIELDS = [
+  { column: 'call_type', field: 'call_type' },
+  { column: 'disposition_1', field: 'disposition_1' },
+  { column: 'disposition_2', field: 'disposition_2' },
+  { column: 'queue_id', field: 'queue_id' },
+  { column: 'queue_name', field: 'queue_name' },
+  { column: 'agent_id', field: 'agent_id' },
+  { column: 'company_pattern', field: 'company' },
+];
+
+const RULE_COLUMNS = [
+  'name', 'priority', 'call_type', 'disposition_1', 'disposition_2',
+  'queue_id', 'queue_name', 'agent_id', 'company_pattern',
+  'time_from', 'time_to', 'days_of_week',
+  'to_addresses', 'cc_addresses', 'bcc_addresses', 'use_disposition_email',
+  'department_id', 'is_active',
+];
+
+/**
+ * Case-insensitive glob match where '*' matches any run of characters.
+ * An empty/NULL pattern or a lone '*' matches everything.
+ */
+export function matchesPattern(pattern, value) {
+  if (pattern === null || pattern === undefined || pattern === '' || pattern === '*') return true;
+  const escaped = String(pattern).split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('.*')}$`, 'i').test(String(value ?? '').trim());
+}
+
+/**
+ * Split a comma/semicolon separated address list into trimmed addresses
+ */
+export function parseAddresses(list) {
+  if (!list) return [];
+  const items = Array.isArray(list) ? list : String(list).split(/[,;]/);
+  return items.map(a => String(a).trim()).filter(Boolean);
+}
+
+/**
+ * Local wall-clock time and ISO weekday (1 = Monday) in the routing time zone
+ */
+function localClock(at) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-GB', {
+      timeZone: ROUTING_TIMEZONE,
+      hour: '2-digit',
+      minute: '2-digit',
+      weekday: 'short',
+      hourCycle: 'h23',
+    }).formatToParts(at).map(p => [p.type, p.value])
+  );
+  const weekday = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'].indexOf(parts.weekday) + 1;
+  return { time: `${parts.hour}:${parts.minute}`, weekday };
+}
+
+/**
+ * Check a rule against a payload.
+ * @returns {{ matched: boolean, reason: string }}
+ */
+function evaluateRule(rule, payload, at) {
+  for (const { column, field } of PATTERN_FIELDS) {
+    if (!matchesPattern(rule[column], payload[field])) {
+      return { matched: false, reason: `${field} "${payload[field] ?? ''}" does not match "${rule[column]}"` };
+    }
+  }
+
+  if (rule.days_of_week || rule.time_from || rule.time_to) {
+    const { time, weekday } = localClock(at);
+
+    if (rule.days_of_week) {
+      const days = String(rule.days_of_week).split(',').map(Number);
+      if (!days.includes(weekday)) {
+        return { matched: false, reason: `weekday ${weekday} is not in ${rule.days_of_week} (${ROUTING_TIMEZONE})` };
+      }
+    }
+
+    if (rule.time_from || rule.time_to) {
+      const from = (rule.time_from || '00:00').slice(0, 5);
+      const to = (rule.time_to || '24:00').slice(0, 5);
+      // from > to describes an overnight window, e.g. 18:00 → 08:00
+      const inWindow = from <= to ? time >= from && time < to : time >= from || time < to;
+      if (!inWindow) {
+        return { matched: false, reason: `time ${time} is outside ${from}-${to} (${ROUTING_TIMEZONE})` };
+      }
+    }
+  }
+
+  return { matched: true, reason: 'all conditions matched' };
+}
+
+/**
+ * Retrieves a department row of a tenant by id
+ * @param {number} id
+ * @param {number} tenantId
+ */
+export async function getDepartmentById(id, tenantId) {
+  const [rows] = await pool.execute('SELECT * FROM departments WHERE id = ? AND tenant_id = ?', [id, tenantId]);
+  return rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * Finds the tenant's department owning a mailbox, or null
+ * @param {string} emailAddress
+ * @param {number} tenantId
+ */
+export async function findDepartmentByEmail(emailAddress, tenantId) {
+  if (!emailAddress) return null;
+  const [rows] = await pool.execute(
+    'SELECT * FROM departments WHERE tenant_id = ? AND email_address = ? AND is_active = TRUE LIMIT 1',
+    [tenantId, emailAddress]
+  );
+  return rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * Decide who should be notified for a submission.
+ * The tenant's rules are evaluated in priority order and the first match wins; when no rule
+ * matches, the disposition_config email (or the tenant fallback address for unknown paths) is used.
+ * @param {Object} payload Form data (call_type, disposition_1/2, queue_id, queue_name, agent_id, company, tenant_id)
+ * @param {Object} [options] { tenantId (default payload.tenant_id), at: Date evaluated for time conditions,
+ *   versionId: disposition tree }
+ * @returns {Promise<Object>} { to, cc, bcc, department, departmentName, rule, source, isCustomInput, slaHours, ackSlaHours, escalationEmail, explanation }
+ */
+export async function resolveRouting(payload, { tenantId = payload.tenant_id, at = new Date(), versionId } = {}) {
+  const disposition = await getDispositionEmail(
+    payload.call_type, payload.disposition_1, payload.disposition_2, tenantId, versionId
+  );
+
+  const [rules] = await pool.execute(
+    'SELECT * FROM routing_rules WHERE tenant_id = ? AND is_active = TRUE ORDER BY priority, id',
+    [tenantId]
+  );
+
+  const explanation = [];
+  for (const rule of rules) {
+    const { matched, reason } = evaluateRule(rule, payload, at);
+    explanation.push({ ruleId: rule.id, name: rule.name, priority: rule.priority, matched, reason });
+    if (!matched) continue;
+
+    const department = rule.department_id ? await getDepartmentById(rule.department_id, tenantId) : null;
+    const to = parseAddresses(rule.to_addresses);
+    if (rule.use_disposition_email && disposition.email) to.push(disposition.email);
+    if (to.length === 0 && department?.email_address) to.push(department.email_address);
+
+    return {
+      to: [...new Set(to)],
+      cc: parseAddresses(rule.cc_addresses),
+      bcc: parseAddresses(rule.bcc_addresses),
+      department: department ? { id: department.id, name: department.name } : null,
+      departmentName: department?.name || (await findDepartmentByEmail(to[0], tenantId))?.name || DEFAULT_DEPARTMENT_NAME,
+      rule: { id: rule.id, name: rule.name },
+      source: 'rule',
+      isCustomInput: Boolean(disposition.isCustomInput),
+      slaHours: disposition.slaHours,
+      ackSlaHours: disposition.ackSlaHours,
+      escalationEmail: disposition.escalationEmail,
+      explanation,
+    };
+  }
+
+  // No rule matched – fall back to the per-disposition mailbox
+  const to = disposition.email ? [disposition.email] : [];
+  const department = await findDepartmentByEmail(disposition.email, tenantId);
+  return {
+    to,
+    cc: [],
+    bcc: [],
+    department: department ? { id: department.id, name: department.name } : null,
+    departmentName: department?.name || DEFAULT_DEPARTMENT_NAME,
+    rule: null,
+    source: disposition.found ? 'disposition' : (to.length ? 'fallback' : 'none'),
+    isCustomInput: Boolean(disposition.isCustomInput),
+    slaHours: disposition.slaHours,
+    ackSlaHours: disposition.ackSlaHours,
+    escalationEmail: disposition.escalationEmail,
+    explanation,
+  };
+}
+
+// --- Admin API -------------------------------------------------------------
+
+function cleanAddressList(value, field) {
+  const addresses = parseAddresses(value);
+  const invalid = addresses.filter(a => !EMAIL_RE.test(a));
+  if (invalid.length) throw httpError(400, `${field} contains invalid addresses: ${invalid.join(', ')}`);
+  return addresses.length ? addresses.join(', ') : null;
+}
+
+function cleanRule(data, current = {}) {
+  const rule = { ...current };
+  for (const column of RULE_COLUMNS) {
+    if (data[column] !== undefined) rule[column] = data[column] === '' ? null : data[column];
+  }
+
+  if (!rule.name || typeof rule.name !== 'string') throw httpError(400, 'name is required');
+  rule.priority = rule.priority === undefined || rule.priority === null ? 100 : Number(rule.priority);
+  if (!Number.isInteger(rule.priority)) throw httpError(400, 'priority must be an integer');
+
+  for (const column of ['call_type', 'disposition_1', 'disposition_2']) {
+    rule[column] = rule[column] || '*';
+  }
+  for (const column of ['time_from', 'time_to']) {
+    if (rule[column] && !/^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/.test(rule[column])) {
+      throw httpError(400, `${column} must be HH:MM`);
+    }
+  }
+  if (rule.days_of_week) {
+    const days = String(rule.days_of_week).split(',').map(d => d.trim());
+    if (!days.every(d => /^[1-7]$/.test(d))) {
+      throw httpError(400, 'days_of_week must be a comma-separated list of 1 (Mon) to 7 (Sun)');
+    }
+    rule.days_of_week = days.join(',');
+  }
+
+  rule.to_addresses = cleanAddressList(rule.to_addresses, 'to_addresses');
+  rule.cc_addresses = cleanAddressList(rule.cc_addresses, 'cc_addresses');
+  rule.bcc_addresses = cleanAddressList(rule.bcc_addresses, 'bcc_addresses');
+  rule.use_disposition_email = Boolean(rule.use_disposition_email);
+  rule.is_active = rule.is_active === undefined || rule.is_active === null ? true : Boolean(rule.is_active);
+  rule.department_id = rule.department_id ? Number(rule.department_id) : null;
+
+  if (!rule.to_addresses && !rule.use_disposition_email && !rule.department_id) {
+    throw httpError(400, 'A rule needs to_addresses, use_disposition_email or a department_id');
+  }
+  return rule;
+}
+
+// Rules may only route to the tenant's own departments
+async function checkRuleDepartment(rule, tenantId) {
+  if (rule.department_id && !(await getDepartmentById(rule.department_id, tenantId))) {
+    throw httpError(400, `department_id ${rule.department_id} is not a department of this tenant`);
+  }
+}
+
+/**
+ * Lists a tenant's routing rules in evaluation order
+ * @param {number} tenantId
+ */
+export async function listRoutingRules(tenantId) {
+  const [rows] = await pool.execute(
+    'SELECT * FROM routing_rules WHERE tenant_id = ? ORDER BY priority, id',
+    [tenantId]
+  );
+  return rows;
+}
+
+/**
+ * Retrieves a tenant's routing rule by id
+ * @param {number} id
+ * @param {number} tenantId
+ */
+export async function getRoutingRule(id, tenantId) {
+  const [rows] = await pool.execute('SELECT * FROM routing_rules WHERE id = ? AND tenant_id = ?', [id, tenantId]);
+  return rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * Creates a routing rule
+ * @param {Object} data Rule definition
+ * @param {number} tenantId
+ */
+export async function createRoutingRule(data, tenantId) {
+  const rule = cleanRule(data);
+  await checkRuleDepartment(rule, tenantId);
+  const [result] = await pool.execute(
+    `INSERT INTO routing_rules (tenant_id, ${RULE_COLUMNS.join(', ')})
+     VALUES (?, ${RULE_COLUMNS.map(() => '?').join(', ')})`,
+    [tenantId, ...RULE_COLUMNS.map(c => rule[c] ?? null)]
+  );
+  return getRoutingRule(result.insertId, tenantId);
+}
+
+/**
+ * Updates a routing rule
+ * @param {number} id
+ * @param {Object} changes Fields to change
+ * @param {number} tenantId
+ */
+export async function updateRoutingRule(id, changes, tenantId) {
+  const current = await getRoutingRule(id, tenantId);
+  if (!current) throw httpError(404, 'Routing rule not found');
+
+  const rule = cleanRule(changes, current);
+  await checkRuleDepartment(rule, tenantId);
+  await pool.execute(
+    `UPDATE routing_rules SET ${RULE_COLUMNS.map(c => `${c} = ?`).join(', ')} WHERE id = ? AND tenant_id = ?`,
+    [...RULE_COLUMNS.map(c => rule[c] ?? null), id, tenantId]
+  );
+  return getRoutingRule(id, tenantId);
+}
+
+/**
+ * Deletes a routing rule
+ * @param {number} id
+ * @param {number} tenantId
+ */
+export async function deleteRoutingRule(id, tenantId) {
+  const [result] = await pool.execute('DELETE FROM routing_rules WHERE id = ? AND tenant_id = ?', [id, tenantId]);
+  if (result.affectedRows === 0) throw httpError(404, 'Routing rule not found');
+}
+
+/**
+ * Lists a tenant's departments
+ * @param {number} tenantId
+ */
+export async function listDepartments(tenantId) {
+  const [rows] = await pool.execute('SELECT * FROM departments WHERE tenant_id = ? ORDER BY name', [tenantId]);
+  return rows;
+}
+
+/**
+ * Creates or updates a department
+ * @param {number|null} id Existing department id, or null to create
+ * @param {Object} data { name, email_address, is_active }
+ * @param {number} tenantId
+ */
+export async function saveDepartment(id, data, tenantId) {
+  const current = id ? await getDepartmentById(id, tenantId) : {};
+  if (!current) throw httpError(404, 'Department not found');
+
+  const name = (data.name ?? current.name ?? '').trim();
+  if (!name) throw httpError(400, 'name is required');
+  const emailAddress = data.email_address === undefined ? current.email_address : (data.email_address || null);
+  if (emailAddress && !EMAIL_RE.test(emailAddress)) throw httpError(400, 'email_address is not a valid email address');
+  const isActive = data.is_active === undefined ? (current.is_active ?? true) : Boolean(data.is_active);
+
+  try {
+    if (id) {
+      await pool.execute(
+        'UPDATE departments SET name = ?, email_address = ?, is_active = ? WHERE id = ? AND tenant_id = ?',
+        [name, emailAddress, isActive, id, tenantId]
+      );
+      return getDepartmentById(id, tenantId);
+    }
+    const [result] = await pool.execute(
+      'INSERT INTO departments (tenant_id, name, email_address, is_active) VALUES (?, ?, ?, ?)',
+      [tenantId, name, emailAddress, isActive]
+    );
+    return getDepartmentById(result.insertId, tenantId);
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') throw httpError(409, `Department "${name}" already exists`);
+    throw err;
+  }
+}
+
+/**
+ * Deletes a department that no routing rule, email template or unresolved
+ * ticket refers to. Resolved tickets keep its name (department_name) and
+ * lose the reference.
+ * @param {number} id
+ * @param {number} tenantId
+ */
+export async function deleteDepartment(id, tenantId) {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const [[department]] = await connection.execute(
+      'SELECT id FROM departments WHERE id = ? AND tenant_id = ? FOR UPDATE',
+      [id, tenantId]
+    );
+    if (!department) throw httpError(404, 'Department not found');
+
+    const [[uses]] = await connection.execute(
+      `SELECT (SELECT COUNT(*) FROM routing_rules WHERE department_id = ?) AS rules,
+              (SELECT COUNT(*) FROM email_templates WHERE department_id = ?) AS templates,
+              (SELECT COUNT(*) FROM tickets WHERE department_id = ? AND status <> 'resolved') AS tickets`,
+      [id, id, id]
+    );
+    const usedBy = [
+      [uses.rules, 'routing rule(s)'],
+      [uses.templates, 'email template(s)'],
+      [uses.tickets, 'unresolved ticket(s)'],
+    ].filter(([count]) => count > 0).map(([count, what]) => `${count} ${what}`);
+    if (usedBy.length > 0) throw httpError(409, `Department is used by ${usedBy.join(', ')}`);
+
+    await connection.execute('UPDATE tickets SET department_id = NULL WHERE department_id = ?', [id]);
+    await connection.execute('DELETE FROM departments WHERE id = ?', [id]);
+    await connection.commit();
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Mount the routing admin API. Every route requires the admin role.
+ * @param {Object} app Express application
+ */
+export function setupRoutingRoutes(app) {
+  const requireAdmin = requireRole('admin');
+
+  // Explain which rule a payload would be routed by (optionally at a given time)
+  app.post('/routing/test', requireAdmin, async (req, res) => {
+    try {
+      const { at, ...payload } = req.body || {};
+      const when = at ? new Date(at) : new Date();
+      if (Number.isNaN(when.getTime())) throw httpError(400, 'at must be a valid date/time');
+      res.json(await resolveRouting(payload, { tenantId: req.user.tenantId, at: when }));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  app.get('/routing/rules', requireAdmin, async (req, res) => {
+    try {
+      res.json(await listRoutingRules(req.user.tenantId));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  app.post('/routing/rules', requireAdmin, async (req, res) => {
+    try {
+      res.status(201).json(await createRoutingRule(req.body || {}, req.user.tenantId));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  app.patch('/routing/rules/:id', requireAdmin, async (req, res) => {
+    try {
+      res.json(await updateRoutingRule(req.params.id, req.body || {}, req.user.tenantId));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  app.delete('/routing/rules/:id', requireAdmin, async (req, res) => {
+    try {
+      await deleteRoutingRule(req.params.id, req.user.tenantId);
+      res.sendStatus(204);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  app.get('/routing/departments', requireAdmin, async (req, res) => {
+    try {
+      res.json(await listDepartments(req.user.tenantId));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  app.post('/routing/departments', requireAdmin, async (req, res) => {
+    try {
+      res.status(201).json(await saveDepartment(null, req.body || {}, req.user.tenantId));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  app.patch('/routing/departments/:id', requireAdmin, async (req, res) => {
+    try {
+      res.json(await saveDepartment(req.params.id, req.body || {}, req.user.tenantId));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  app.delete('/routing/departments/:id', requireAdmin, async (req, res) => {
+    try {
+      await deleteDepartment(req.params.id, req.user.tenantId);
+      res.sendStatus(204);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  console.log('Routing routes configured');
+}
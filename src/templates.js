@@ -0,0 +1,410 @@
+// src/templates.js
+
+import { pool, getFormById } from './form.js';
+import { requireRole } from './auth.js';
+import { httpError, sendError } from './httpError.js';
+import { resolveRouting, getDepartmentById } from './routing.js';
+
+const DEFAULT_LANGUAGE = process.env.EMAIL_DEFAULT_LANGUAGE || 'en';
+const DISPLAY_TIMEZONE = process.env.ROUTING_TIMEZONE || 'Asia/Dubai';
+
+const TEMPLATE_COLUMNS = [
+  'name', 'department_id', 'call_type', 'disposition_1', 'disposition_2',
+  'language', 'subject', 'body_html', 'body_text', 'is_active',
+];
+
+// Used when no row in email_templates applies; mirrors the original inline email
+const BUILT_IN_TEMPLATE = {
+  id: null,
+  name: 'Built-in call notification',
+  language: 'en',
+  subject: 'Call Notification',
+  body_html: `
+<p>Hi, Good Day!</p>
+<p>We received a call with the following details. Kindly take the necessary action:</p>
+<br/>
+<p><strong>Ticket raised for: </strong>{{department}}</p>
+<p><strong>Company:</strong> {{company}}</p>
+<p><strong>Client/Caller Name:</strong> {{name}}</p>
+<p><strong>Email:</strong> {{email}}</p>
+<p><strong>Contact:</strong> {{contact_number}}</p>
+<p><strong>Call Type:</strong> {{call_type}}</p>
+<p><strong>Disposition 1:</strong> {{disposition_1}}</p>
+<p><strong>Disposition 2:</strong> {{disposition_2}}</p>
+{{#if query}}<p><strong>Query/Details:</strong> {{query}}</p>{{/if}}
+{{#if ticket.id}}<br/>
+<p><strong>Ticket:</strong> #{{ticket.id}}, due by {{ticket.due_at}}</p>
+{{#if ticket.ack_due_at}}<p>Please acknowledge by {{ticket.ack_due_at}}, otherwise it will be escalated.</p>{{/if}}
+<p><a href="{{ticket.acknowledge_url}}">Acknowledge</a> | <a href="{{ticket.resolve_url}}">Mark as resolved</a></p>{{/if}}
+<br/>
+<p>Thank you, and have a great day!</p>
+`,
+  body_text: null,
+};
+
+// --- Template language ------------------------------------------------------
+//
+//   {{ field }}                      value, HTML-escaped in HTML bodies
+//   {{#if field}} … {{else}} … {{/if}}  conditional on a truthy, non-empty value
+//
+// Fields are looked up (dot paths allowed) in the render context only, there is
+// no expression evaluation, so templates stored in the DB cannot run code.
+
+const TAG_RE = /\{\{\s*(#if\s+|else\s*|\/if\s*)?([\w.]*)\s*\}\}/g;
+
+/**
+ * Parse a template into a tree of text / variable / if nodes.
+ * @param {string} source Template source
+ * @throws {Error} with status 400 on unbalanced blocks or unknown tags
+ */
+export function compileTemplate(source) {
+  const text = String(source ?? '');
+  const root = [];
+  // Each open {{#if}} remembers its node and the branch list we return to on {{/if}}
+  const open = [];
+  let current = root;
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(TAG_RE)) {
+    if (match.index > lastIndex) current.push({ type: 'text', value: text.slice(lastIndex, match.index) });
+    lastIndex = match.index + match[0].length;
+
+    const keyword = (match[1] || '').trim();
+    const path = match[2];
+
+    if (keyword === '#if') {
+      if (!path) throw httpError(400, 'Template error: {{#if}} needs a field name');
+      const node = { type: 'if', path, then: [], otherwise: [] };
+      current.push(node);
+      open.push({ node, parent: current });
+      current = node.then;
+    } else if (keyword === 'else') {
+      const block = open[open.length - 1];
+      if (!block || current === block.node.otherwise) throw httpError(400, 'Template error: unexpected {{else}}');
+      current = block.node.otherwise;
+    } else if (keyword === '/if') {
+      const block = open.pop();
+      if (!block) throw httpError(400, 'Template error: unexpected {{/if}}');
+      current = block.parent;
+    } else {
+      if (!path) throw httpError(400, 'Template error: empty {{ }} tag');
+      current.push({ type: 'var', path });
+    }
+  }
+
+  if (open.length > 0) throw httpError(400, 'Template error: missing {{/if}}');
+  if (lastIndex < text.length) current.push({ type: 'text', value: text.slice(lastIndex) });
+  return root;
+}
+
+/**
+ * Escape text for safe inclusion in HTML
+ */
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function lookup(context, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), context);
+}
+
+function renderNodes(nodes, context, escape) {
+  return nodes.map(node => {
+    if (node.type === 'text') return node.value;
+    if (node.type === 'var') {
+      const value = lookup(context, node.path);
+      return escape(value == null ? '' : value);
+    }
+    const value = lookup(context, node.path);
+    const truthy = Array.isArray(value) ? value.length > 0 : Boolean(value) && String(value).trim() !== '';
+    return renderNodes(truthy ? node.then : node.otherwise, context, escape);
+  }).join('');
+}
+
+/**
+ * Render a template source against a context
+ * @param {string} source Template source
+ * @param {Object} context Values available to the template
+ * @param {Object} [options] { html: true to HTML-escape values }
+ */
+export function renderTemplate(source, context, { html = false } = {}) {
+  return renderNodes(compileTemplate(source), context, html ? escapeHtml : v => String(v));
+}
+
+/**
+ * Crude HTML → plain text conversion for templates without a text body
+ */
+function htmlToText(html) {
+  return html
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|h[1-6]|li|tr)>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// --- Template selection & notification rendering ----------------------------
+
+/**
+ * Values exposed to templates for a form
+ * @param {Object} form forms_new row or submission payload
+ * @param {Object} routing Result of resolveRouting()
+ */
+export function buildTemplateContext(form, routing = {}) {
+  const createdAt = form.created_at ? new Date(form.created_at) : new Date();
+  return {
+    ...form,
+    department: routing.departmentName || '',
+    recipients: (routing.to || []).join(', '),
+    disposition_path: [form.call_type, form.disposition_1, form.disposition_2].filter(Boolean).join(' → '),
+    created_at: createdAt.toLocaleString('en-GB', { timeZone: DISPLAY_TIMEZONE }),
+  };
+}
+
+/**
+ * Pick the most specific active template for a submission. Disposition matches
+ * outrank department matches; templates in the preferred language (default
+ * EMAIL_DEFAULT_LANGUAGE, forms carry none) win ties.
+ * Only the tenant's own templates are considered.
+ * @param {Object} criteria { tenant_id, department_id, call_type, disposition_1, disposition_2, language }
+ * @returns {Promise<Object>} A template row, or the built-in template
+ */
+export async function selectTemplate(criteria) {
+  const [templates] = await pool.execute(
+    'SELECT * FROM email_templates WHERE tenant_id = ? AND is_active = TRUE ORDER BY id',
+    [criteria.tenant_id]
+  );
+  const language = criteria.language || DEFAULT_LANGUAGE;
+
+  let best = null;
+  let bestScore = -1;
+  for (const template of templates) {
+    let score = 0;
+    let eligible = true;
+    for (const [column, weight] of [['disposition_2', 8], ['disposition_1', 4], ['call_type', 2], ['department_id', 1]]) {
+      if (template[column] === null || template[column] === '') continue;
+      if (String(template[column]) !== String(criteria[column] ?? '')) { eligible = false; break; }
+      score += weight * 2;
+    }
+    if (!eligible) continue;
+    if (template.language === language) score += 1;
+    if (score > bestScore) {
+      best = template;
+      bestScore = score;
+    }
+  }
+  return best || BUILT_IN_TEMPLATE;
+}
+
+/**
+ * Render the notification email for a form
+ * @param {Object} form forms_new row or submission payload
+ * @param {Object} routing Result of resolveRouting()
+ * @param {Object} [template] Template to use instead of selecting one
+ * @returns {Promise<{ subject: string, html: string, text: string, templateId: number|null }>}
+ */
+export async function renderNotification(form, routing, template) {
+  const chosen = template || await selectTemplate({
+    tenant_id: form.tenant_id,
+    department_id: routing.department?.id,
+    call_type: form.call_type,
+    disposition_1: form.disposition_1,
+    disposition_2: form.disposition_2,
+  });
+  const context = buildTemplateContext(form, routing);
+
+  const html = renderTemplate(chosen.body_html, context, { html: true });
+  return {
+    subject: renderTemplate(chosen.subject, context).replace(/[\r\n]+/g, ' ').trim(),
+    html,
+    text: chosen.body_text ? renderTemplate(chosen.body_text, context) : htmlToText(html),
+    templateId: chosen.id,
+  };
+}
+
+// --- Admin API --------------------------------------------------------------
+
+function cleanTemplate(data, current = {}) {
+  const template = { ...current };
+  for (const column of TEMPLATE_COLUMNS) {
+    if (data[column] !== undefined) template[column] = data[column] === '' ? null : data[column];
+  }
+
+  if (!template.name) throw httpError(400, 'name is required');
+  if (!template.subject) throw httpError(400, 'subject is required');
+  if (!template.body_html) throw httpError(400, 'body_html is required');
+  template.language = template.language || DEFAULT_LANGUAGE;
+  template.department_id = template.department_id ? Number(template.department_id) : null;
+  template.is_active = template.is_active === undefined || template.is_active === null ? true : Boolean(template.is_active);
+
+  // Reject templates that would fail at send time
+  compileTemplate(template.subject);
+  compileTemplate(template.body_html);
+  if (template.body_text) compileTemplate(template.body_text);
+  return template;
+}
+
+/**
+ * Lists a tenant's templates
+ * @param {number} tenantId
+ */
+export async function listTemplates(tenantId) {
+  const [rows] = await pool.execute(
+    'SELECT * FROM email_templates WHERE tenant_id = ? ORDER BY name, language',
+    [tenantId]
+  );
+  return rows;
+}
+
+/**
+ * Retrieves a tenant's template by id
+ * @param {number} id
+ * @param {number} tenantId
+ */
+export async function getTemplate(id, tenantId) {
+  const [rows] = await pool.execute('SELECT * FROM email_templates WHERE id = ? AND tenant_id = ?', [id, tenantId]);
+  return rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * Creates or updates a template
+ * @param {number|null} id Existing template id, or null to create
+ * @param {Object} data Template fields
+ * @param {number} tenantId
+ */
+export async function saveTemplate(id, data, tenantId) {
+  const current = id ? await getTemplate(id, tenantId) : {};
+  if (!current) throw httpError(404, 'Template not found');
+  const template = cleanTemplate(data, current);
+  if (template.department_id && !(await getDepartmentById(template.department_id, tenantId))) {
+    throw httpError(400, `department_id ${template.department_id} is not a department of this tenant`);
+  }
+  const values = TEMPLATE_COLUMNS.map(c => template[c] ?? null);
+
+  if (id) {
+    await pool.execute(
+      `UPDATE email_templates SET ${TEMPLATE_COLUMNS.map(c => `${c} = ?`).join(', ')} WHERE id = ? AND tenant_id = ?`,
+      [...values, id, tenantId]
+    );
+    return getTemplate(id, tenantId);
+  }
+  const [result] = await pool.execute(
+    `INSERT INTO email_templates (tenant_id, ${TEMPLATE_COLUMNS.join(', ')})
+     VALUES (?, ${TEMPLATE_COLUMNS.map(() => '?').join(', ')})`,
+    [tenantId, ...values]
+  );
+  return getTemplate(result.insertId, tenantId);
+}
+
+/**
+ * Deletes a template
+ * @param {number} id
+ * @param {number} tenantId
+ */
+export async function deleteTemplate(id, tenantId) {
+  const [result] = await pool.execute('DELETE FROM email_templates WHERE id = ? AND tenant_id = ?', [id, tenantId]);
+  if (result.affectedRows === 0) throw httpError(404, 'Template not found');
+}
+
+/**
+ * Render a template against a real form (formId) or sample data
+ * @param {number|string} id Template id, or 'default' for the built-in template
+ * @param {Object} options { formId, sample }
+ * @param {number} tenantId
+ */
+export async function previewTemplate(id, { formId, sample } = {}, tenantId) {
+  const template = id === 'default' ? BUILT_IN_TEMPLATE : await getTemplate(id, tenantId);
+  if (!template) throw httpError(404, 'Template not found');
+
+  let form = { ...sample, tenant_id: tenantId };
+  if (formId) {
+    form = await getFormById(formId);
+    if (!form || form.tenant_id !== tenantId) throw httpError(404, 'Form not found');
+  }
+
+  const routing = await resolveRouting(form);
+  return renderNotification(form, routing, template);
+}
+
+/**
+ * Mount the template admin API. Every route requires the admin role.
+ * @param {Object} app Express application
+ */
+export function setupTemplateRoutes(app) {
+  const requireAdmin = requireRole('admin');
+
+  app.get('/templates', requireAdmin, async (req, res) => {
+    try {
+      res.json(await listTemplates(req.user.tenantId));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  app.post('/templates', requireAdmin, async (req, res) => {
+    try {
+      res.status(201).json(await saveTemplate(null, req.body || {}, req.user.tenantId));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Preview against a stored form: GET /templates/:id/preview?formId=123[&format=html]
+  // Preview against sample data: POST /templates/:id/preview with the sample as body
+  const preview = async (req, res) => {
+    try {
+      const rendered = await previewTemplate(req.params.id, {
+        formId: req.query.formId,
+        sample: req.method === 'POST' ? req.body : undefined,
+      }, req.user.tenantId);
+      if (req.query.format === 'html') return res.type('html').send(rendered.html);
+      if (req.query.format === 'text') return res.type('text').send(rendered.text);
+      res.json(rendered);
+    } catch (err) {
+      sendError(res, err);
+    }
+  };
+  app.get('/templates/:id/preview', requireAdmin, preview);
+  app.post('/templates/:id/preview', requireAdmin, preview);
+
+  app.get('/templates/:id', requireAdmin, async (req, res) => {
+    try {
+      const template = await getTemplate(req.params.id, req.user.tenantId);
+      if (!template) return res.status(404).json({ error: 'Template not found' });
+      res.json(template);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  app.patch('/templates/:id', requireAdmin, async (req, res) => {
+    try {
+      res.json(await saveTemplate(req.params.id, req.body || {}, req.user.tenantId));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  app.delete('/templates/:id', requireAdmin, async (req, res) => {
+    try {
+      await deleteTemplate(req.params.id, req.user.tenantId);
+      res.sendStatus(204);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  console.log('Template routes configured');
+}
@@ -0,0 +1,459 @@
+// src/tenants.js
+
+import dotenv from 'dotenv';
+import { pool } from './form.js';
+import { requireRole } from './auth.js';
+import { httpError, sendError } from './httpError.js';
+import { createInitialVersion } from './dispositionVersions.js';
+
+dotenv.config();
+
+// Rows that existed before tenants (and unauthenticated platform defaults) belong here
+export const DEFAULT_TENANT_ID = 1;
+
+// Host suffix under which the first label selects a tenant, e.g. with
+// TENANT_BASE_DOMAIN=forms.example.com, acme.forms.example.com is tenant "acme".
+// Subdomain resolution is off when unset.
+const TENANT_BASE_DOMAIN = (process.env.TENANT_BASE_DOMAIN || '').toLowerCase();
+const TENANT_CACHE_TTL_MS = 60000;
+
+const SLUG_RE = /^[A-Za-z0-9][\w.-]{0,99}$/;
+const SUBDOMAIN_RE = /^[a-z0-9]([a-z0-9-]{0,98}[a-z0-9])?$/;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const SECRET_FIELDS = ['smtp_password', 'portal_password'];
+const PORTAL_FIELDS = ['portal_base_url', 'portal_username', 'portal_password'];
+// Settings an admin may change, with their column limits
+const SETTINGS = {
+  name: 200,
+  subdomain: 100,
+  fallback_email: 255,
+  smtp_host: 255,
+  smtp_user: 255,
+  smtp_password: 500,
+  mail_from: 255,
+  portal_base_url: 500,
+  portal_username: 255,
+  portal_password: 500,
+};
+
+let cache = null;
+
+async function loadTenants() {
+  if (cache && cache.expiresAt > Date.now()) return cache;
+  const [[rows], [domains]] = await Promise.all([
+    pool.execute('SELECT * FROM tenants'),
+    pool.execute('SELECT domain, tenant_id FROM tenant_vmm_domains ORDER BY domain'),
+  ]);
+  const byId = new Map(rows.map(t => [t.id, { ...t, vmm_domains: [] }]));
+  for (const { domain, tenant_id: tenantId } of domains) byId.get(tenantId)?.vmm_domains.push(domain);
+  const tenants = [...byId.values()];
+  cache = {
+    byId,
+    bySlug: new Map(tenants.map(t => [t.slug.toLowerCase(), t])),
+    byDomain: new Map(tenants.flatMap(t => [t.slug, ...t.vmm_domains].map(d => [d.toLowerCase(), t]))),
+    bySubdomain: new Map(tenants.filter(t => t.subdomain).map(t => [t.subdomain, t])),
+    expiresAt: Date.now() + TENANT_CACHE_TTL_MS,
+  };
+  return cache;
+}
+
+/**
+ * Forget the cached tenants (called after admin changes)
+ */
+export function invalidateTenants() {
+  cache = null;
+}
+
+/**
+ * Retrieves a tenant by id (cached)
+ * @param {number} id
+ */
+export async function getTenant(id) {
+  return (await loadTenants()).byId.get(Number(id)) || null;
+}
+
+/**
+ * Retrieves a tenant by slug (cached)
+ * @param {string} slug
+ */
+export async function getTenantBySlug(slug) {
+  if (!slug) return null;
+  return (await loadTenants()).bySlug.get(String(slug).toLowerCase()) || null;
+}
+
+/**
+ * Retrieves the tenant a VoiceMeetMe domain is registered to: its slug or one
+ * of its vmm_domains (cached)
+ * @param {string} domain
+ */
+export async function getTenantByDomain(domain) {
+  if (!domain) return null;
+  return (await loadTenants()).byDomain.get(String(domain).trim().toLowerCase()) || null;
+}
+
+/**
+ * Id of the tenant that owns a VoiceMeetMe domain. Unregistered domains belong
+ * to the default tenant, whose portal account is BASE_URL / API_USERNAME.
+ * @param {string} domain
+ * @returns {Promise<number>}
+ */
+export async function domainTenantId(domain) {
+  return (await getTenantByDomain(domain))?.id ?? DEFAULT_TENANT_ID;
+}
+
+function subdomainOf(hostname) {
+  const host = String(hostname || '').toLowerCase();
+  if (!TENANT_BASE_DOMAIN || !host.endsWith(`.${TENANT_BASE_DOMAIN}`)) return null;
+  const label = host.slice(0, -TENANT_BASE_DOMAIN.length - 1);
+  return label.includes('.') ? null : label;
+}
+
+/**
+ * Refuses a VoiceMeetMe domain that belongs to another tenant (see
+ * domainTenantId), so a form cannot push dispositions to, or use the portal
+ * account of, someone else's domain
+ * @param {string} domain VoiceMeetMe domain, nothing to check when empty
+ * @param {number} tenantId Tenant of the form
+ */
+export async function assertTenantDomain(domain, tenantId) {
+  if (!domain) return;
+  if (await domainTenantId(domain) !== Number(tenantId)) {
+    throw httpError(403, `VoiceMeetMe tenant "${domain}" does not belong to this tenant`);
+  }
+}
+
+/**
+ * The tenant a request asks for: X-Tenant header, then the webhook `tenant`
+ * parameter (see webhookTenant), then the subdomain. Null when none is given.
+ * @param {Object} req Express request
+ * @returns {Promise<Object|null>} Tenant row
+ */
+export async function requestedTenant(req) {
+  const tenants = await loadTenants();
+  const slug = req.get('x-tenant') || req.tenantParam;
+  if (slug) {
+    const tenant = tenants.bySlug.get(String(slug).toLowerCase());
+    if (!tenant) throw httpError(404, `Unknown tenant "${slug}"`);
+    return tenant;
+  }
+  const subdomain = subdomainOf(req.hostname);
+  if (subdomain) {
+    const tenant = tenants.bySubdomain.get(subdomain);
+    if (!tenant) throw httpError(404, `Unknown tenant "${subdomain}"`);
+    return tenant;
+  }
+  return null;
+}
+
+/**
+ * Tenant a request works in. Tenant accounts are bound to their own tenant and
+ * may not ask for another one; platform accounts (tenant NULL) work in the
+ * requested tenant, or the default one.
+ * @param {Object} req Express request
+ * @param {Object} user Caller from auth.js (homeTenantId)
+ * @returns {Promise<Object>} Tenant row
+ */
+export async function bindTenant(req, user) {
+  const requested = await requestedTenant(req);
+  let tenant;
+  if (user.homeTenantId === null) {
+    tenant = requested || await getTenant(DEFAULT_TENANT_ID);
+  } else {
+    if (requested && requested.id !== user.homeTenantId) {
+      throw httpError(403, `Not allowed to access tenant "${requested.slug}"`);
+    }
+    tenant = await getTenant(user.homeTenantId);
+  }
+  if (!tenant) throw httpError(403, 'Tenant not found');
+  if (!tenant.is_active) throw httpError(403, `Tenant "${tenant.slug}" is disabled`);
+  return tenant;
+}
+
+/**
+ * Middleware for /webhook: the call center names its VoiceMeetMe domain in the
+ * `tenant` query / body parameter, which selects the tenant it is registered
+ * to. Unregistered domains stay with the caller's tenant.
+ * Mount it before requireRole().
+ */
+export async function webhookTenant(req, res, next) {
+  try {
+    const domain = req.query?.tenant || req.body?.tenant;
+    const tenant = typeof domain === 'string' ? await getTenantByDomain(domain) : null;
+    if (tenant) req.tenantParam = tenant.slug;
+    next();
+  } catch (err) {
+    sendError(res, err);
+  }
+}
+
+/**
+ * SMTP settings of a tenant, null when it sends through the default server
+ * @param {number} tenantId
+ */
+export async function tenantMailSettings(tenantId) {
+  const tenant = await getTenant(tenantId);
+  if (!tenant || !tenant.smtp_host) return null;
+  return {
+    key: `${tenant.id}:${new Date(tenant.updated_at).getTime()}`,
+    host: tenant.smtp_host,
+    port: tenant.smtp_port || 587,
+    secure: Boolean(tenant.smtp_secure),
+    user: tenant.smtp_user,
+    password: tenant.smtp_password,
+    from: tenant.mail_from || tenant.smtp_user,
+  };
+}
+
+// A tenant's portal settings are all-or-nothing: mixing its URL with the
+// platform account would send API_USERNAME / API_PASSWORD to that URL
+function checkPortalSettings(tenant) {
+  const given = PORTAL_FIELDS.filter(field => tenant[field]);
+  if (given.length > 0 && given.length < PORTAL_FIELDS.length) {
+    throw httpError(400, `${PORTAL_FIELDS.join(', ')} must be set together`);
+  }
+}
+
+/**
+ * VoiceMeetMe portal URL and credentials for a domain. Tenants without portal
+ * settings of their own use BASE_URL / API_USERNAME / API_PASSWORD.
+ * @param {string} domain VoiceMeetMe domain
+ */
+export async function tenantPortalSettings(domain) {
+  const tenant = await getTenantByDomain(domain);
+  if (!tenant || PORTAL_FIELDS.every(field => !tenant[field])) {
+    return {
+      baseUrl: process.env.BASE_URL,
+      username: process.env.API_USERNAME,
+      password: process.env.API_PASSWORD,
+    };
+  }
+  checkPortalSettings(tenant);
+  return {
+    baseUrl: tenant.portal_base_url,
+    username: tenant.portal_username,
+    password: tenant.portal_password,
+  };
+}
+
+/**
+ * Address routed to when a disposition path has no email, per tenant
+ * @param {number} tenantId
+ */
+export async function tenantFallbackEmail(tenantId) {
+  const tenant = await getTenant(tenantId);
+  return tenant?.fallback_email || process.env.ROUTING_FALLBACK_EMAIL || 'info@spcfz.ae';
+}
+
+/**
+ * Middleware (after requireRole) admitting only platform accounts, for
+ * settings that span every tenant
+ */
+export function requirePlatform(req, res, next) {
+  if (req.user.homeTenantId !== null) return res.status(403).json({ error: 'Forbidden' });
+  next();
+}
+
+// --- Admin ------------------------------------------------------------------
+
+// Never echo secrets back through the API
+function masked(tenant) {
+  const copy = { ...tenant };
+  for (const field of SECRET_FIELDS) copy[field] = tenant[field] ? '********' : null;
+  return copy;
+}
+
+function cleanSettings(data) {
+  const changes = {};
+  for (const [field, max] of Object.entries(SETTINGS)) {
+    if (data[field] === undefined) continue;
+    const value = data[field] === null ? '' : String(data[field]).trim();
+    if (value.length > max) throw httpError(400, `${field} must be at most ${max} characters`);
+    // The masked placeholder sent back unchanged keeps the stored secret
+    if (SECRET_FIELDS.includes(field) && value === '********') continue;
+    changes[field] = value || null;
+  }
+  if (changes.name === null) throw httpError(400, 'name is required');
+  if (changes.subdomain && !SUBDOMAIN_RE.test(changes.subdomain)) {
+    throw httpError(400, 'subdomain must be a lower-case host label');
+  }
+  for (const field of ['fallback_email', 'mail_from']) {
+    if (changes[field] && !EMAIL_RE.test(changes[field])) throw httpError(400, `${field} must be an email address`);
+  }
+  if (data.smtp_port !== undefined) {
+    const port = data.smtp_port === null || data.smtp_port === '' ? null : Number(data.smtp_port);
+    if (port !== null && (!Number.isInteger(port) || port < 1 || port > 65535)) {
+      throw httpError(400, 'smtp_port must be a port number');
+    }
+    changes.smtp_port = port;
+  }
+  if (data.smtp_secure !== undefined) changes.smtp_secure = Boolean(data.smtp_secure);
+  if (data.is_active !== undefined) changes.is_active = Boolean(data.is_active);
+  return changes;
+}
+
+// VoiceMeetMe domains registered to a tenant besides its slug
+function cleanDomains(value) {
+  if (!Array.isArray(value)) throw httpError(400, 'vmm_domains must be a list of VoiceMeetMe domains');
+  const domains = new Map();
+  for (const item of value) {
+    const domain = String(item ?? '').trim();
+    if (!SLUG_RE.test(domain)) throw httpError(400, `"${domain}" is not a VoiceMeetMe domain (letters, digits, _ . -)`);
+    domains.set(domain.toLowerCase(), domain);
+  }
+  return [...domains.values()];
+}
+
+async function checkDomainOwners(tenantId, domains) {
+  const { byDomain } = await loadTenants();
+  for (const domain of domains) {
+    const owner = byDomain.get(domain.toLowerCase());
+    if (owner && owner.id !== tenantId) {
+      throw httpError(409, `VoiceMeetMe domain "${domain}" belongs to tenant "${owner.slug}"`);
+    }
+  }
+}
+
+async function saveDomains(tenantId, domains) {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    await connection.execute('DELETE FROM tenant_vmm_domains WHERE tenant_id = ?', [tenantId]);
+    for (const domain of domains) {
+      await connection.execute('INSERT INTO tenant_vmm_domains (domain, tenant_id) VALUES (?, ?)', [domain, tenantId]);
+    }
+    await connection.commit();
+  } catch (err) {
+    await connection.rollback();
+    if (err.code === 'ER_DUP_ENTRY') throw httpError(409, 'A VoiceMeetMe domain in vmm_domains belongs to another tenant');
+    throw err;
+  } finally {
+    connection.release();
+  }
+  invalidateTenants();
+}
+
+function rethrowDuplicate(err) {
+  if (err.code === 'ER_DUP_ENTRY') throw httpError(409, 'A tenant with this slug or subdomain already exists');
+  throw err;
+}
+
+/**
+ * Lists tenants with secrets masked
+ */
+export async function listTenants() {
+  invalidateTenants();
+  const { byId } = await loadTenants();
+  return [...byId.values()].sort((a, b) => a.id - b.id).map(masked);
+}
+
+/**
+ * Creates a tenant with an initial disposition tree, empty or copied from
+ * another tenant's live tree
+ * @param {Object} data { slug, name, copy_dispositions_from, ...settings }
+ */
+export async function createTenant(data) {
+  const slug = String(data.slug || '').trim();
+  if (!SLUG_RE.test(slug)) throw httpError(400, 'slug is required (the VoiceMeetMe domain: letters, digits, _ . -)');
+  const settings = cleanSettings({ ...data, name: data.name ?? '' });
+  checkPortalSettings(settings);
+  const domains = data.vmm_domains === undefined ? [] : cleanDomains(data.vmm_domains);
+  await checkDomainOwners(null, [slug, ...domains]);
+  const source = data.copy_dispositions_from ? await getTenantBySlug(data.copy_dispositions_from) : null;
+  if (data.copy_dispositions_from && !source) {
+    throw httpError(400, `Unknown tenant "${data.copy_dispositions_from}" in copy_dispositions_from`);
+  }
+
+  const columns = ['slug', ...Object.keys(settings)];
+  let result;
+  try {
+    [result] = await pool.execute(
+      `INSERT INTO tenants (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      [slug, ...Object.values(settings)]
+    );
+  } catch (err) {
+    rethrowDuplicate(err);
+  }
+  invalidateTenants();
+  if (domains.length > 0) await saveDomains(result.insertId, domains);
+  await createInitialVersion(result.insertId, source?.id);
+  console.log(`Tenant "${slug}" created`);
+  return masked(await getTenant(result.insertId));
+}
+
+/**
+ * Updates a tenant's name, subdomain or settings
+ * @param {number} id
+ * @param {Object} data
+ */
+export async function updateTenant(id, data) {
+  const current = await getTenant(id);
+  if (!current) throw httpError(404, 'Tenant not found');
+  const changes = cleanSettings(data);
+  checkPortalSettings({ ...current, ...changes });
+  const domains = data.vmm_domains === undefined ? null : cleanDomains(data.vmm_domains);
+  if (domains) await checkDomainOwners(current.id, domains);
+  if (Number(id) === DEFAULT_TENANT_ID && changes.is_active === false) {
+    throw httpError(409, 'The default tenant cannot be disabled');
+  }
+  if (Object.keys(changes).length > 0) {
+    try {
+      await pool.execute(
+        `UPDATE tenants SET ${Object.keys(changes).map(c => `${c} = ?`).join(', ')} WHERE id = ?`,
+        [...Object.values(changes), id]
+      );
+    } catch (err) {
+      rethrowDuplicate(err);
+    }
+    invalidateTenants();
+  }
+  if (domains) await saveDomains(current.id, domains);
+  return masked(await getTenant(id));
+}
+
+/**
+ * Mount the tenant API: platform admins (accounts without a tenant) manage
+ * tenants, a tenant's admins its settings, and every caller can read the
+ * tenant it works in.
+ * @param {Object} app Express application
+ */
+export function setupTenantRoutes(app) {
+  const requireAdmin = requireRole('admin');
+
+  app.get('/tenants/current', requireRole(), (req, res) => {
+    const { id, slug, name, subdomain, vmm_domains } = req.tenant;
+    res.json({ id, slug, name, subdomain, vmm_domains });
+  });
+
+  app.get('/tenants', requireAdmin, requirePlatform, async (_req, res) => {
+    try {
+      res.json(await listTenants());
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Body: { slug, name, subdomain?, vmm_domains?, copy_dispositions_from?, smtp_*?, portal_*? }
+  app.post('/tenants', requireAdmin, requirePlatform, async (req, res) => {
+    try {
+      res.status(201).json(await createTenant(req.body || {}));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  app.patch('/tenants/:id', requireAdmin, async (req, res) => {
+    try {
+      const own = req.user.homeTenantId === Number(req.params.id);
+      if (req.user.homeTenantId !== null && !own) throw httpError(403, 'Forbidden');
+      if (own && (req.body || {}).is_active !== undefined) throw httpError(403, 'Only platform admins can disable tenants');
+      if (own && (req.body || {}).vmm_domains !== undefined) {
+        throw httpError(403, 'Only platform admins can change VoiceMeetMe domains');
+      }
+      res.json(await updateTenant(req.params.id, req.body || {}));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  console.log('Tenant routes configured');
+}
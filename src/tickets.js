@@ -0,0 +1,541 @@
+// src/tickets.js
+
+import jwt from 'jsonwebtoken';
+import express from 'express';
+import dotenv from 'dotenv';
+import { pool, getFormById } from './form.js';
+import { requireRole, formScope, canAccessForm } from './auth.js';
+import { httpError, sendError } from './httpError.js';
+import { validateRequest, schemas } from './validation.js';
+import { escapeHtml } from './templates.js';
+import { addBusinessHours } from './businessHours.js';
+import { enqueueEmail } from './notifications.js';
+import { startJob } from './jobs.js';
+
+dotenv.config();
+
+export const TICKET_STATUSES = ['open', 'acknowledged', 'resolved'];
+
+// SLAs in business hours for dispositions without their own in disposition_config.
+// Without a default acknowledgement SLA only configured dispositions escalate.
+const DEFAULT_SLA_HOURS = Number(process.env.TICKET_DEFAULT_SLA_HOURS) || 48;
+const DEFAULT_ACK_SLA_HOURS = Number(process.env.TICKET_DEFAULT_ACK_SLA_HOURS) || null;
+// Second-level address for dispositions without an escalation_email
+const DEFAULT_ESCALATION_EMAIL = process.env.TICKET_ESCALATION_EMAIL || null;
+const ESCALATION_INTERVAL_MS = Number(process.env.TICKET_ESCALATION_INTERVAL_MS) || 60000;
+const ESCALATION_BATCH_SIZE = 100;
+// Where the one-click links in notification emails point (this API)
+const LINK_BASE_URL = (process.env.TICKET_LINK_BASE_URL || process.env.PUBLIC_URL || 'http://localhost:8989')
+  .replace(/\/+$/, '');
+const LINK_TTL = process.env.TICKET_LINK_TTL || '30d';
+const LINK_AUDIENCE = 'ticket-action';
+const DISPLAY_TIMEZONE = process.env.ROUTING_TIMEZONE || 'Asia/Dubai';
+// Email link action → status it moves the ticket to
+const LINK_ACTIONS = { acknowledge: 'acknowledged', resolve: 'resolved' };
+
+function linkSecret() {
+  const secret = process.env.TICKET_LINK_SECRET || process.env.JWT_SECRET;
+  if (!secret) throw new Error('TICKET_LINK_SECRET (or JWT_SECRET) is not configured');
+  return secret;
+}
+
+function actorName(actor) {
+  return actor ? actor.displayName || actor.username : null;
+}
+
+/**
+ * Resolution and acknowledgement deadlines for a ticket opened at `from`,
+ * counted in business hours (see businessHours.js)
+ * @param {Date} from
+ * @param {Object} routing Result of resolveRouting() (slaHours, ackSlaHours, escalationEmail)
+ * @returns {Promise<Object>} Ticket columns
+ */
+export async function ticketDeadlines(from, routing) {
+  const slaHours = routing.slaHours || DEFAULT_SLA_HOURS;
+  const ackSlaHours = routing.ackSlaHours || DEFAULT_ACK_SLA_HOURS;
+  return {
+    sla_hours: slaHours,
+    due_at: await addBusinessHours(from, slaHours),
+    ack_sla_hours: ackSlaHours,
+    ack_due_at: ackSlaHours ? await addBusinessHours(from, ackSlaHours) : null,
+    escalate_to: routing.escalationEmail || DEFAULT_ESCALATION_EMAIL,
+  };
+}
+
+// --- Ticket lifecycle -------------------------------------------------------
+
+/**
+ * Retrieves a ticket by id
+ * @param {number} id
+ */
+export async function getTicketById(id) {
+  const [rows] = await pool.execute('SELECT * FROM tickets WHERE id = ?', [id]);
+  return rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * A ticket with its comments (oldest first)
+ * @param {number} id
+ */
+export async function getTicket(id) {
+  const ticket = await getTicketById(id);
+  if (!ticket) return null;
+  const [comments] = await pool.execute(
+    'SELECT id, kind, author, source, body, created_at FROM ticket_comments WHERE ticket_id = ? ORDER BY id',
+    [id]
+  );
+  return { ...ticket, comments };
+}
+
+/**
+ * Open the ticket for a routed submission, or follow a re-disposition: an
+ * unresolved ticket moves to the new department and SLAs, counted from when it
+ * was opened. Resolved tickets are left alone.
+ * @param {Object} form forms_new row
+ * @param {Object} routing Result of resolveRouting()
+ * @returns {Promise<Object|null>} The ticket, null when nothing was routed
+ */
+export async function upsertTicketForForm(form, routing) {
+  if (!routing || routing.to.length === 0) return null;
+
+  const [existing] = await pool.execute('SELECT * FROM tickets WHERE form_id = ?', [form.id]);
+  const ticket = existing[0];
+  const routedTo = routing.to.join(', ');
+
+  if (!ticket) {
+    const now = new Date();
+    const deadlines = await ticketDeadlines(now, routing);
+    const [result] = await pool.execute(
+      `INSERT INTO tickets (form_id, department_id, department_name, routed_to,
+                            sla_hours, due_at, ack_sla_hours, ack_due_at, escalate_to, opened_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        form.id, routing.department?.id || null, routing.departmentName || null, routedTo,
+        deadlines.sla_hours, deadlines.due_at, deadlines.ack_sla_hours, deadlines.ack_due_at,
+        deadlines.escalate_to, now,
+      ]
+    );
+    return getTicketById(result.insertId);
+  }
+
+  if (ticket.status !== 'resolved') {
+    // An escalation already sent stays sent
+    const deadlines = await ticketDeadlines(new Date(ticket.opened_at), routing);
+    await pool.execute(
+      `UPDATE tickets
+          SET department_id = ?, department_name = ?, routed_to = ?,
+              sla_hours = ?, due_at = ?, ack_sla_hours = ?, ack_due_at = ?, escalate_to = ?
+        WHERE id = ?`,
+      [
+        routing.department?.id || null, routing.departmentName || null, routedTo,
+        deadlines.sla_hours, deadlines.due_at, deadlines.ack_sla_hours, deadlines.ack_due_at,
+        deadlines.escalate_to, ticket.id,
+      ]
+    );
+  }
+  return getTicketById(ticket.id);
+}
+
+/**
+ * upsertTicketForForm for the submission paths: the form is already stored and
+ * the notification should still go out, so a failure is only logged.
+ * @returns {Promise<Object|null>} The ticket
+ */
+export async function openTicket(form, routing) {
+  try {
+    return await upsertTicketForForm(form, routing);
+  } catch (err) {
+    console.error(`Opening ticket for form #${form?.id} failed:`, err.message);
+    return null;
+  }
+}
+
+async function addTicketComment(ticketId, { kind = 'comment', author, source, body }) {
+  await pool.execute(
+    'INSERT INTO ticket_comments (ticket_id, kind, author, source, body) VALUES (?, ?, ?, ?, ?)',
+    [ticketId, kind, author || null, source, body]
+  );
+}
+
+/**
+ * Change a ticket's status, assignee and/or due date. Status changes are
+ * logged in the comment thread; setting the current status again is a no-op.
+ * @param {number} id
+ * @param {Object} changes { status, assignee, due_at, comment }
+ * @param {Object} context { author, source: 'ui' | 'email' | 'api' }
+ */
+export async function updateTicket(id, changes, { author, source = 'ui' } = {}) {
+  const ticket = await getTicketById(id);
+  if (!ticket) throw httpError(404, 'Ticket not found');
+
+  const sets = [];
+  const params = [];
+  const status = changes.status;
+  if (status !== undefined && status !== ticket.status) {
+    if (!TICKET_STATUSES.includes(status)) {
+      throw httpError(400, `status must be one of ${TICKET_STATUSES.join(', ')}`);
+    }
+    const now = new Date();
+    sets.push('status = ?');
+    params.push(status);
+    // Reopening clears the resolution; acknowledging keeps the first acknowledgement
+    if (status === 'open') sets.push('acknowledged_at = NULL', 'resolved_at = NULL');
+    if (status === 'acknowledged') {
+      sets.push('acknowledged_at = COALESCE(acknowledged_at, ?)', 'resolved_at = NULL');
+      params.push(now);
+    }
+    if (status === 'resolved') {
+      sets.push('acknowledged_at = COALESCE(acknowledged_at, ?)', 'resolved_at = ?');
+      params.push(now, now);
+    }
+  }
+  if (changes.assignee !== undefined) {
+    sets.push('assignee = ?');
+    params.push(changes.assignee || null);
+  }
+  if (changes.due_at !== undefined) {
+    const dueAt = new Date(changes.due_at);
+    if (Number.isNaN(dueAt.getTime())) throw httpError(400, 'due_at must be a date');
+    sets.push('due_at = ?');
+    params.push(dueAt);
+  }
+
+  if (sets.length > 0) {
+    await pool.execute(`UPDATE tickets SET ${sets.join(', ')} WHERE id = ?`, [...params, id]);
+  }
+  if (status !== undefined && status !== ticket.status) {
+    await addTicketComment(id, {
+      kind: 'status', author, source, body: `Status changed from ${ticket.status} to ${status}`,
+    });
+  }
+  if (changes.comment) {
+    await addTicketComment(id, { author, source, body: changes.comment });
+  }
+  return getTicket(id);
+}
+
+/**
+ * Add a comment to a ticket
+ * @param {number} id
+ * @param {string} body
+ * @param {Object} context { author, source }
+ */
+export async function commentOnTicket(id, body, { author, source = 'ui' } = {}) {
+  const ticket = await getTicketById(id);
+  if (!ticket) throw httpError(404, 'Ticket not found');
+  await addTicketComment(id, { author, source, body });
+  return getTicket(id);
+}
+
+/**
+ * One page of tickets visible to a user, most urgent first
+ * @param {Object} query { status, department_id, form_id, assignee, overdue, limit, offset }
+ * @param {Object} user req.user
+ */
+export async function listTickets(query, user) {
+  const scope = formScope(user, 'f.');
+  const where = ['f.deleted_at IS NULL', scope.sql];
+  const params = [...scope.params];
+
+  if (query.status) {
+    where.push('t.status = ?');
+    params.push(query.status);
+  }
+  for (const column of ['department_id', 'form_id', 'assignee']) {
+    if (query[column] !== undefined && query[column] !== '') {
+      where.push(`t.${column} = ?`);
+      params.push(query[column]);
+    }
+  }
+  if (query.overdue === true || query.overdue === 'true') {
+    where.push("t.status <> 'resolved' AND t.due_at < ?");
+    params.push(new Date());
+  }
+
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 50, 1), 200);
+  const offset = Math.max(parseInt(query.offset, 10) || 0, 0);
+  const from = `FROM tickets t JOIN forms_new f ON f.id = t.form_id WHERE ${where.join(' AND ')}`;
+
+  const [[{ total }]] = await pool.execute(`SELECT COUNT(*) AS total ${from}`, params);
+  const [rows] = await pool.execute(
+    `SELECT t.*, f.company, f.name, f.call_type, f.disposition_1, f.disposition_2,
+            (t.status <> 'resolved' AND t.due_at < ?) AS is_overdue
+       ${from}
+      ORDER BY t.status = 'resolved', t.due_at, t.id
+      LIMIT ${limit} OFFSET ${offset}`,
+    [new Date(), ...params]
+  );
+  return {
+    data: rows.map(r => ({ ...r, is_overdue: Boolean(r.is_overdue) })),
+    pagination: { total, limit, offset, hasMore: offset + rows.length < total },
+  };
+}
+
+// --- Escalation ------------------------------------------------------------
+
+function renderEscalation(ticket) {
+  const clientURL = process.env.CLIENT_URL || 'http://localhost:3000';
+  const local = at => new Date(at).toLocaleString('en-GB', { timeZone: DISPLAY_TIMEZONE });
+  const path = [ticket.call_type, ticket.disposition_1, ticket.disposition_2].filter(Boolean).join(' → ');
+  const acknowledgeUrl = ticketActionUrl(ticket.id, 'acknowledge');
+  return {
+    subject: `Escalation: ticket #${ticket.id} not acknowledged within ${Number(ticket.ack_sla_hours)} business hours`,
+    html: `
+      <p>Hello,</p>
+      <p>Ticket #${ticket.id} routed to ${escapeHtml(ticket.department_name || ticket.routed_to)}
+         was due to be acknowledged by ${escapeHtml(local(ticket.ack_due_at))} and is still open.</p>
+      <p><strong>Disposition:</strong> ${escapeHtml(path)}<br/>
+         <strong>Company:</strong> ${escapeHtml(ticket.company)}<br/>
+         <strong>Caller:</strong> ${escapeHtml(ticket.name)} ${escapeHtml(ticket.contact_number)}<br/>
+         <strong>Opened:</strong> ${escapeHtml(local(ticket.opened_at))}<br/>
+         <strong>Resolution due:</strong> ${escapeHtml(local(ticket.due_at))}</p>
+      <p><a href="${escapeHtml(acknowledgeUrl)}">Acknowledge</a> |
+         <a href="${escapeHtml(`${clientURL}/?id=${ticket.form_id}`)}">Open the call form</a></p>`,
+    text: [
+      'Hello,',
+      '',
+      `Ticket #${ticket.id} routed to ${ticket.department_name || ticket.routed_to} was due to be acknowledged by ${local(ticket.ack_due_at)} and is still open.`,
+      `Disposition: ${path}`,
+      `Company: ${ticket.company}`,
+      `Caller: ${ticket.name} ${ticket.contact_number}`,
+      `Acknowledge: ${acknowledgeUrl}`,
+      `Call form: ${clientURL}/?id=${ticket.form_id}`,
+    ].join('\n'),
+  };
+}
+
+// Escalates one ticket; false when another instance claimed it or there is
+// no address to escalate to
+async function escalateTicket(ticket, now) {
+  // Claim the ticket so a second server instance does not escalate it again
+  const [claim] = await pool.execute(
+    'UPDATE tickets SET escalated_at = ? WHERE id = ? AND escalated_at IS NULL',
+    [now, ticket.id]
+  );
+  if (claim.affectedRows === 0) return false;
+
+  if (!ticket.escalate_to) {
+    await addTicketComment(ticket.id, {
+      kind: 'escalation', source: 'system',
+      body: 'Acknowledgement SLA missed; no escalation address is configured',
+    });
+    return false;
+  }
+
+  try {
+    const { subject, html, text } = renderEscalation(ticket);
+    await enqueueEmail({
+      tenantId: ticket.tenant_id, formId: ticket.form_id, kind: 'ticket_escalation',
+      to: ticket.escalate_to, subject, html, text,
+    });
+  } catch (err) {
+    // Release the claim so the escalation is not lost
+    await pool.execute('UPDATE tickets SET escalated_at = NULL WHERE id = ?', [ticket.id]);
+    throw err;
+  }
+  await addTicketComment(ticket.id, {
+    kind: 'escalation', source: 'system',
+    body: `Acknowledgement SLA missed; escalated to ${ticket.escalate_to}`,
+  });
+  return true;
+}
+
+/**
+ * Escalate open tickets whose acknowledgement deadline has passed to their
+ * second-level address, once per ticket.
+ * @returns {Promise<number>} Tickets escalated
+ */
+export async function escalateOverdueTickets() {
+  const now = new Date();
+  const [tickets] = await pool.execute(
+    `SELECT t.*, f.tenant_id, f.company, f.name, f.contact_number, f.call_type, f.disposition_1, f.disposition_2
+       FROM tickets t
+       JOIN forms_new f ON f.id = t.form_id
+      WHERE t.status = 'open' AND t.escalated_at IS NULL AND t.ack_due_at <= ?
+        AND f.deleted_at IS NULL
+      ORDER BY t.ack_due_at
+      LIMIT ${ESCALATION_BATCH_SIZE}`,
+    [now]
+  );
+
+  let escalated = 0;
+  for (const ticket of tickets) {
+    try {
+      if (await escalateTicket(ticket, now)) escalated++;
+    } catch (err) {
+      // Left for the next run; the other tickets are still escalated
+      console.error(`Escalation of ticket #${ticket.id} failed:`, err.message);
+    }
+  }
+  if (escalated > 0) console.log(`Escalated ${escalated} ticket(s) past their acknowledgement SLA`);
+  return escalated;
+}
+
+/**
+ * Starts the escalation scheduler
+ */
+export function startTicketEscalationJob() {
+  return startJob('ticket-escalation', ESCALATION_INTERVAL_MS, escalateOverdueTickets);
+}
+
+// --- One-click email links --------------------------------------------------
+
+/**
+ * Signed link moving a ticket to a status without logging in
+ * @param {number} ticketId
+ * @param {string} action acknowledge | resolve
+ */
+export function ticketActionUrl(ticketId, action) {
+  const token = jwt.sign({ action }, linkSecret(), {
+    subject: `ticket:${ticketId}`,
+    audience: LINK_AUDIENCE,
+    expiresIn: LINK_TTL,
+  });
+  return `${LINK_BASE_URL}/tickets/action?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Ticket fields for notification templates ({{ticket.acknowledge_url}} ...)
+ * @param {Object|null} ticket
+ */
+export function ticketTemplateContext(ticket) {
+  if (!ticket) return null;
+  const local = at => (at ? new Date(at).toLocaleString('en-GB', { timeZone: DISPLAY_TIMEZONE }) : '');
+  return {
+    id: ticket.id,
+    status: ticket.status,
+    due_at: local(ticket.due_at),
+    ack_due_at: local(ticket.ack_due_at),
+    acknowledge_url: ticketActionUrl(ticket.id, 'acknowledge'),
+    resolve_url: ticketActionUrl(ticket.id, 'resolve'),
+  };
+}
+
+function verifyActionToken(token) {
+  try {
+    const claims = jwt.verify(String(token || ''), linkSecret(), { audience: LINK_AUDIENCE });
+    const ticketId = Number(String(claims.sub).replace(/^ticket:/, ''));
+    if (!LINK_ACTIONS[claims.action] || !Number.isInteger(ticketId)) throw new Error('bad claims');
+    return { ticketId, action: claims.action };
+  } catch {
+    throw httpError(400, 'This link is invalid or has expired');
+  }
+}
+
+function actionPage(title, body) {
+  return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title></head>
+<body style="font-family: sans-serif; max-width: 520px; margin: 40px auto;">
+<h2>${escapeHtml(title)}</h2>
+${body}
+</body></html>`;
+}
+
+function sendActionError(res, err) {
+  if (!err.status) console.error(err);
+  res.status(err.status || 500).send(actionPage('Ticket update failed', `<p>${escapeHtml(err.status ? err.message : 'Something went wrong, please try again later.')}</p>`));
+}
+
+/**
+ * Mount the ticket API (supervisors manage, agents read and comment within
+ * their scope) and the public one-click action page used from emails.
+ * @param {Object} app Express application
+ */
+export function setupTicketRoutes(app) {
+  const requireSupervisor = requireRole('supervisor');
+  const requireStaff = requireRole('agent', 'supervisor');
+
+  // Load the ticket and check the caller may see its form
+  const loadTicket = async (req) => {
+    const ticket = await getTicket(req.params.id);
+    if (!ticket) throw httpError(404, 'Ticket not found');
+    const form = await getFormById(ticket.form_id);
+    if (!form || form.deleted_at || !canAccessForm(req.user, form)) throw httpError(404, 'Ticket not found');
+    return ticket;
+  };
+
+  // Links open a confirmation page rather than acting on GET, so mail
+  // scanners that prefetch links do not resolve tickets
+  app.get('/tickets/action', async (req, res) => {
+    try {
+      const { ticketId, action } = verifyActionToken(req.query.token);
+      const ticket = await getTicketById(ticketId);
+      if (!ticket) throw httpError(404, 'Ticket not found');
+      const verb = action === 'resolve' ? 'Resolve' : 'Acknowledge';
+      res.send(actionPage(`${verb} ticket #${ticket.id}`, `
+<p>Current status: <strong>${escapeHtml(ticket.status)}</strong></p>
+<form method="post">
+  <input type="hidden" name="token" value="${escapeHtml(req.query.token)}">
+  <p><label>Your name<br><input name="author" maxlength="255" style="width: 100%"></label></p>
+  <p><label>Comment (optional)<br><textarea name="comment" rows="4" style="width: 100%"></textarea></label></p>
+  <p><button type="submit">${verb}</button></p>
+</form>`));
+    } catch (err) {
+      sendActionError(res, err);
+    }
+  });
+
+  app.post('/tickets/action', express.urlencoded({ extended: false }),
+    validateRequest({ body: schemas.ticketAction }), async (req, res) => {
+      try {
+        const { ticketId, action } = verifyActionToken(req.body.token);
+        const author = req.body.author || 'Email link';
+        const current = await getTicketById(ticketId);
+        if (!current) throw httpError(404, 'Ticket not found');
+        // Acknowledging must not reopen a resolved ticket
+        const status = action === 'acknowledge' && current.status === 'resolved' ? 'resolved' : LINK_ACTIONS[action];
+        const ticket = await updateTicket(ticketId, {
+          status,
+          assignee: current.assignee ? undefined : req.body.author || undefined,
+          comment: req.body.comment,
+        }, { author, source: 'email' });
+        res.send(actionPage(`Ticket #${ticket.id} is ${ticket.status}`, '<p>Thank you, the ticket has been updated.</p>'));
+      } catch (err) {
+        sendActionError(res, err);
+      }
+    });
+
+  app.get('/tickets', requireStaff, validateRequest({ query: schemas.listTickets }), async (req, res) => {
+    try {
+      res.json(await listTickets(req.query, req.user));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  app.get('/tickets/:id', requireStaff, async (req, res) => {
+    try {
+      res.json(await loadTicket(req));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Body: { status?, assignee?, due_at?, comment? }
+  app.patch('/tickets/:id', requireSupervisor, validateRequest({ body: schemas.updateTicket }), async (req, res) => {
+    try {
+      const ticket = await loadTicket(req);
+      res.json(await updateTicket(ticket.id, req.body, {
+        author: actorName(req.user),
+        source: req.user.apiKeyId ? 'api' : 'ui',
+      }));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  app.post('/tickets/:id/comments', requireStaff, validateRequest({ body: schemas.ticketComment }), async (req, res) => {
+    try {
+      const ticket = await loadTicket(req);
+      res.status(201).json(await commentOnTicket(ticket.id, req.body.body, {
+        author: actorName(req.user),
+        source: req.user.apiKeyId ? 'api' : 'ui',
+      }));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  console.log('Ticket routes configured');
+}
@@ -1,58 +1,231 @@
 import axios from 'axios';
 import ms from 'ms';
 import https from 'https';
+import { tenantPortalSettings } from './tenants.js';
 
-const cache = new Map(); // In production prefer Redis or similar shared cache
 const MAX_RETRIES = 3;
+// Renew this long before the access token expires
+const EXPIRY_MARGIN_MS = ms('2m');
+// How long a refresh token is kept when the portal does not say
+const REFRESH_TTL_MS = Number(process.env.VMM_REFRESH_TOKEN_TTL_MS) || ms('12h');
+const REFRESH_PATH = process.env.VMM_REFRESH_PATH || '/api/v2/config/login/refresh';
+// The login URL that worked is remembered this long per tenant
+const ENDPOINT_TTL_MS = ms('24h');
+const LOGIN_PATHS = ['/api/v2/config/login/oauth', '/api/v2/login', '/api/login'];
 
 // Accept self-signed certificates in lower environments – override in prod
 const httpsAgent = new https.Agent({ rejectUnauthorized: process.env.NODE_TLS_REJECT_UNAUTHORIZED !== '1' });
 
-// Cache structure: Map<key, {access, refresh, expiresAt}>
+// --- Cache backends ---------------------------------------------------------
+// A backend stores JSON-serialisable values: get(key), set(key, value, ttlMs), del(key).
+// Token entries: { access, refresh, expiresAt, refreshExpiresAt }
 
 /**
- * Modern portal login used by new /api/v2/... routes. Similar retry + caching.
+ * Per-process cache (the default)
+ */
+export function createMemoryTokenCache() {
+  const entries = new Map();
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+    async set(key, value, ttlMs) {
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+    async del(key) {
+      entries.delete(key);
+    },
+  };
+}
+
+/**
+ * Cache shared by every server instance, on Redis or anything speaking its
+ * protocol (Valkey, KeyDB, ...)
+ * @param {Object} client ioredis client (or one with the same get / set / del)
+ * @param {string} [prefix] Key prefix
+ */
+export function createRedisTokenCache(client, prefix = 'spc:vmm:') {
+  return {
+    async get(key) {
+      const raw = await client.get(prefix + key);
+      return raw ? JSON.parse(raw) : null;
+    },
+    async set(key, value, ttlMs) {
+      await client.set(prefix + key, JSON.stringify(value), 'PX', Math.max(1, Math.round(ttlMs)));
+    },
+    async del(key) {
+      await client.del(prefix + key);
+    },
+  };
+}
+
+let cache = null;
+
+/**
+ * Replace the token cache backend (see createMemoryTokenCache / createRedisTokenCache)
+ * @param {Object} backend
+ */
+export function setTokenCache(backend) {
+  cache = backend;
+}
+
+// TOKEN_CACHE_URL=redis://host:6379 shares tokens between instances
+async function tokenCache() {
+  if (cache) return cache;
+  if (process.env.TOKEN_CACHE_URL) {
+    const { default: Redis } = await import('ioredis');
+    const client = new Redis(process.env.TOKEN_CACHE_URL, { maxRetriesPerRequest: 2 });
+    client.on('error', err => console.error('Token cache error:', err.message));
+    cache = createRedisTokenCache(client);
+  } else {
+    cache = createMemoryTokenCache();
+  }
+  return cache;
+}
+
+// --- Portal login -----------------------------------------------------------
+
+// Changing a tenant's portal account starts a new session
+function sessionKey(tenant, { baseUrl, username }) {
+  return `${tenant}:${username}@${baseUrl}`;
+}
+
+function tokenEntry(data, previousRefresh) {
+  const access = data.accessToken || data.access_token;
+  if (!access) throw new Error('No access token in response');
+
+  const expiresIn = data.expiresIn ?? data.expires_in;
+  const refreshExpiresIn = data.refreshExpiresIn ?? data.refresh_expires_in;
+  const now = Date.now();
+  return {
+    access,
+    // Some portals only return a new refresh token when the old one rotates
+    refresh: data.refreshToken || data.refresh_token || previousRefresh || null,
+    expiresAt: expiresIn ? now + expiresIn * 1000 : now + ms('1h'),
+    refreshExpiresAt: refreshExpiresIn ? now + refreshExpiresIn * 1000 : now + REFRESH_TTL_MS,
+  };
+}
+
+async function storeTokens(store, key, entry) {
+  const keepFor = Math.max(entry.expiresAt, entry.refresh ? entry.refreshExpiresAt : 0) - Date.now();
+  await store.set(`portal:${key}`, entry, keepFor);
+}
+
+// Retrying does not help against wrong credentials or a missing endpoint
+function isPermanent(err) {
+  const status = err.response?.status;
+  return status >= 400 && status < 500 && ![408, 429].includes(status);
+}
+
+async function postWithRetry(url, body) {
+  for (let attempt = 0, delay = 1000; ; attempt++, delay *= 2) {
+    try {
+      const { data } = await axios.post(url, body, { timeout: 5000, httpsAgent, headers: { Accept: 'application/json' } });
+      return data;
+    } catch (err) {
+      if (attempt === MAX_RETRIES - 1 || isPermanent(err)) throw err;
+      await new Promise((r) => setTimeout(r, delay));
+    }
+  }
+}
+
+async function refreshTokens(settings, cached) {
+  const data = await postWithRetry(`${settings.baseUrl}${REFRESH_PATH}`, {
+    refreshToken: cached.refresh,
+    refresh_token: cached.refresh,
+  });
+  return tokenEntry(data, cached.refresh);
+}
+
+async function login(store, tenant, settings, key) {
+  const body = { domain: tenant, username: settings.username, password: settings.password };
+  // The endpoint that worked last time goes first
+  const known = await store.get(`portal-endpoint:${key}`);
+  const paths = known ? [known, ...LOGIN_PATHS.filter(p => p !== known)] : LOGIN_PATHS;
+
+  for (const path of paths) {
+    const url = `${settings.baseUrl}${path}`;
+    try {
+      const entry = tokenEntry(await postWithRetry(url, body));
+      if (path !== known) await store.set(`portal-endpoint:${key}`, path, ENDPOINT_TTL_MS);
+      if (process.env.DEBUG) console.log(`✅ Portal login succeeded at ${url}`);
+      return entry;
+    } catch (err) {
+      if (process.env.DEBUG) console.warn(`Login failed at ${url}: ${err.response?.status || err.message}`);
+    }
+  }
+  throw new Error('All portal login attempts failed – check credentials/endpoints');
+}
+
+async function obtainTokens(store, tenant, settings, key) {
+  const cached = await store.get(`portal:${key}`);
+  if (cached?.refresh && Date.now() < cached.refreshExpiresAt) {
+    try {
+      const entry = await refreshTokens(settings, cached);
+      if (process.env.DEBUG) console.log(`✅ Portal token refreshed for ${tenant}`);
+      return entry;
+    } catch (err) {
+      if (process.env.DEBUG) console.warn(`Token refresh failed for ${tenant}: ${err.response?.status || err.message}`);
+    }
+  }
+  return login(store, tenant, settings, key);
+}
+
+// Logins in flight, so concurrent callers share one instead of each logging in
+const inFlight = new Map();
+
+/**
+ * Modern portal login used by new /api/v2/... routes. Logs in with the
+ * tenant's own portal URL and credentials when it has them (see
+ * tenantPortalSettings), else BASE_URL / API_USERNAME / API_PASSWORD.
+ * An expiring token is renewed with the refresh token first and a full login
+ * only when that fails; concurrent callers share one renewal.
  *
  * @param {string} tenant domain, e.g. mc_int
  * @returns {Promise<string>} access token (JWT)
  */
 export async function getPortalToken(tenant) {
-  const now = Date.now();
-  const cacheKey = `portal:${tenant}`;
-  const cached = cache.get(cacheKey);
-  if (cached && now < cached.expiresAt - ms('2m')) return cached.access;
-
-  const base = process.env.BASE_URL;
-  const candidates = [
-    { url: `${base}/api/v2/config/login/oauth`, body: { domain: tenant, username: process.env.API_USERNAME, password: process.env.API_PASSWORD } },
-    { url: `${base}/api/v2/login`, body: { domain: tenant, username: process.env.API_USERNAME, password: process.env.API_PASSWORD } },
-    { url: `${base}/api/login`, body: { domain: tenant, username: process.env.API_USERNAME, password: process.env.API_PASSWORD } },
-  ];
-
-  for (const { url, body } of candidates) {
-    for (let attempt = 0, delay = 1000; attempt < MAX_RETRIES; attempt++, delay *= 2) {
-      try {
-        const { data } = await axios.post(url, body, { timeout: 5000, httpsAgent, headers: { Accept: 'application/json' } });
-
-        const access = data.accessToken || data.access_token;
-        if (!access) throw new Error('No access token in response');
-
-        const refresh = data.refreshToken || data.refresh_token;
-        const expiresAt = data.expiresIn ? Date.now() + data.expiresIn * 1000 : Date.now() + ms('1h');
-
-        cache.set(cacheKey, { access, refresh, expiresAt });
-        if (process.env.DEBUG) console.log(`✅ Portal login succeeded at ${url}`);
-        return access;
-      } catch (err) {
-        if (attempt === MAX_RETRIES - 1) {
-          if (process.env.DEBUG) console.warn(`Login failed at ${url}: ${err.response?.status || err.message}`);
-        } else {
-          await new Promise((r) => setTimeout(r, delay));
-        }
-      }
-    }
+  const settings = await tenantPortalSettings(tenant);
+  const key = sessionKey(tenant, settings);
+  const store = await tokenCache();
+
+  const cached = await store.get(`portal:${key}`);
+  if (cached && Date.now() < cached.expiresAt - EXPIRY_MARGIN_MS) return cached.access;
+
+  if (!inFlight.has(key)) {
+    const renewal = obtainTokens(store, tenant, settings, key)
+      .then(async (entry) => {
+        await storeTokens(store, key, entry);
+        return entry.access;
+      })
+      .finally(() => inFlight.delete(key));
+    inFlight.set(key, renewal);
+  }
+  return inFlight.get(key);
+}
+
+/**
+ * Drop a tenant's access token after the portal rejected it (HTTP 401), so the
+ * next getPortalToken() renews it. The refresh token is kept for the renewal.
+ * @param {string} tenant domain
+ */
+export async function invalidatePortalToken(tenant) {
+  const settings = await tenantPortalSettings(tenant);
+  const key = sessionKey(tenant, settings);
+  const store = await tokenCache();
+  const cached = await store.get(`portal:${key}`);
+  if (!cached) return;
+  if (cached.refresh && Date.now() < cached.refreshExpiresAt) {
+    await store.set(`portal:${key}`, { ...cached, expiresAt: 0 }, cached.refreshExpiresAt - Date.now());
+  } else {
+    await store.del(`portal:${key}`);
   }
-  throw new Error('All portal login attempts failed – check credentials/endpoints');
 }
 
 export { httpsAgent };
@@ -0,0 +1,275 @@
+// src/validation.js
+
+import { getDispositionHierarchy } from './form.js';
+import { httpError, sendError } from './httpError.js';
+import { normalizePhone } from './phone.js';
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// What a PBX passes as caller id: digits with an optional '+', or 'anonymous'-style words
+const DIAL_STRING_RE = /^(\+?[0-9*#]{1,32}|[A-Za-z][\w .-]{0,31})$/;
+
+/**
+ * Rule checkers by type. Each returns an error message or null, and may
+ * normalise the value through `set`.
+ */
+const TYPES = {
+  string: (value, set) => {
+    if (typeof value === 'number') set(String(value));
+    else if (typeof value !== 'string') return 'must be a string';
+    return null;
+  },
+  integer: (value, set) => {
+    const number = typeof value === 'number' ? value : Number(value);
+    if (!Number.isInteger(number) || String(value).trim() === '') return 'must be an integer';
+    set(number);
+    return null;
+  },
+  boolean: (value, set) => {
+    if (typeof value === 'boolean') return null;
+    if (value === 'true' || value === 'false') {
+      set(value === 'true');
+      return null;
+    }
+    return 'must be true or false';
+  },
+  email: value => (typeof value === 'string' && EMAIL_RE.test(value.trim()) ? null : 'must be a valid email address'),
+  // National and 00-prefixed numbers are normalised to E.164
+  phone: (value, set) => {
+    if (typeof value !== 'string' && typeof value !== 'number') return 'must be a phone number';
+    const e164 = normalizePhone(value);
+    if (!e164) return 'must be a phone number in E.164 format, e.g. +97141234567';
+    set(e164);
+    return null;
+  },
+  dialString: value => (DIAL_STRING_RE.test(String(value)) ? null : 'must be a caller number'),
+};
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * Validate an object against a declarative schema:
+ *
+ *   { field: { type, required, minLength, maxLength, min, max, enum, pattern } }
+ *
+ * Empty optional values skip the type/format checks. Fields not in the schema
+ * are passed through untouched.
+ *
+ * @param {Object} schema
+ * @param {Object} data
+ * @returns {{ value: Object, errors: Array<{ field: string, message: string }> }}
+ */
+export function validate(schema, data = {}) {
+  const value = { ...data };
+  const errors = [];
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const fail = message => errors.push({ field, message });
+    let current = value[field];
+
+    if (typeof current === 'string' && rule.trim !== false) current = current.trim();
+    if (isEmpty(current)) {
+      if (current !== undefined) value[field] = current;
+      if (rule.required) fail('is required');
+      continue;
+    }
+    if (Array.isArray(current) || (typeof current === 'object' && !(current instanceof Date))) {
+      fail('must be a single value');
+      continue;
+    }
+
+    const checkType = TYPES[rule.type || 'string'];
+    const typeError = checkType(current, (normalised) => { current = normalised; });
+    if (typeError) {
+      fail(typeError);
+      continue;
+    }
+
+    const length = String(current).length;
+    if (rule.minLength !== undefined && length < rule.minLength) fail(`must be at least ${rule.minLength} characters`);
+    if (rule.maxLength !== undefined && length > rule.maxLength) fail(`must be at most ${rule.maxLength} characters`);
+    if (rule.min !== undefined && current < rule.min) fail(`must be at least ${rule.min}`);
+    if (rule.max !== undefined && current > rule.max) fail(`must be at most ${rule.max}`);
+    if (rule.enum && !rule.enum.includes(current)) fail(`must be one of ${rule.enum.join(', ')}`);
+    if (rule.pattern && !rule.pattern.test(String(current))) fail(rule.patternMessage || 'has an invalid format');
+
+    value[field] = current;
+  }
+
+  return { value, errors };
+}
+
+/**
+ * Throw a 400 listing every invalid field when there are errors
+ * @param {Array} errors from validate()
+ */
+export function assertValid(errors) {
+  if (errors.length > 0) throw httpError(400, 'Validation failed', { details: errors });
+}
+
+/**
+ * Express middleware validating req.body and/or req.query.
+ * The normalised body replaces req.body; the query is only checked.
+ * @param {Object} schemas { body, query }
+ */
+export function validateRequest({ body, query }) {
+  return (req, res, next) => {
+    try {
+      const errors = [];
+      if (query) errors.push(...validate(query, req.query).errors.map(e => ({ ...e, in: 'query' })));
+      if (body) {
+        const result = validate(body, req.body || {});
+        errors.push(...result.errors.map(e => ({ ...e, in: 'body' })));
+        req.body = result.value;
+      }
+      assertValid(errors);
+      next();
+    } catch (err) {
+      sendError(res, err);
+    }
+  };
+}
+
+/**
+ * Check a call type / disposition 1 / disposition 2 path exists in a tree version.
+ * Only the levels that are filled in are checked, so partial saves are allowed.
+ * @param {Object} data { call_type, disposition_1, disposition_2 }
+ * @param {string|number} [version] Tree version (defaults to live)
+ * @param {number} tenantId Tenant whose tree is checked
+ * @returns {Promise<Array<{ field: string, message: string }>>}
+ */
+export async function checkDispositionPath({ call_type, disposition_1, disposition_2 }, version, tenantId) {
+  if (isEmpty(call_type) && isEmpty(disposition_1) && isEmpty(disposition_2)) return [];
+
+  const hierarchy = await getDispositionHierarchy(version, tenantId);
+  if (isEmpty(call_type)) return [{ field: 'call_type', message: 'is required when a disposition is set' }];
+  const dispositions = hierarchy[call_type];
+  if (!dispositions) return [{ field: 'call_type', message: `"${call_type}" is not a configured call type` }];
+
+  if (isEmpty(disposition_1)) {
+    return isEmpty(disposition_2) ? [] : [{ field: 'disposition_1', message: 'is required when disposition_2 is set' }];
+  }
+  const options = dispositions[disposition_1];
+  if (!options) {
+    return [{ field: 'disposition_1', message: `"${disposition_1}" is not configured under "${call_type}"` }];
+  }
+
+  if (!isEmpty(disposition_2) && !options.some(o => o.value === disposition_2)) {
+    return [{ field: 'disposition_2', message: `"${disposition_2}" is not configured under "${call_type} / ${disposition_1}"` }];
+  }
+  return [];
+}
+
+// --- Route schemas -----------------------------------------------------------
+
+const text = (maxLength, extra = {}) => ({ type: 'string', maxLength, ...extra });
+
+// Columns shared by POST and PUT /forms
+const FORM_FIELDS = {
+  company: text(200),
+  name: text(100),
+  contact_number: { type: 'phone', maxLength: 20 },
+  email: { type: 'email', maxLength: 100 },
+  call_type: text(50),
+  disposition_1: text(100),
+  disposition_2: text(100),
+  disposition_2_custom: text(255),
+  query: text(5000, { trim: false }),
+  queue_id: text(100),
+  queue_name: text(100),
+  agent_id: text(100),
+  agent_ext: text(100),
+  caller_id_name: text(100),
+  caller_id_number: { type: 'dialString', maxLength: 100 },
+  // VoiceMeetMe campaign call, when the form was not opened by the webhook
+  tenant: text(100),
+  callId: text(100),
+};
+
+const REQUIRED_ON_CREATE = [
+  'company', 'name', 'contact_number', 'email', 'call_type', 'disposition_1', 'disposition_2',
+];
+
+export const schemas = {
+  createForm: Object.fromEntries(
+    Object.entries(FORM_FIELDS).map(([field, rule]) => [
+      field, REQUIRED_ON_CREATE.includes(field) ? { ...rule, required: true } : rule,
+    ])
+  ),
+  // Partial updates: everything optional, empty values allowed for partial saves
+  updateForm: FORM_FIELDS,
+  // Filters, sort and paging of form lists (see formQuery.js); each given once
+  listForms: {
+    from: text(40),
+    to: text(40),
+    call_type: text(50),
+    disposition_1: text(100),
+    disposition_2: text(100),
+    queue_id: text(100),
+    agent_id: text(100),
+    status: text(20),
+    company: text(200),
+    caller: text(100),
+    q: text(500),
+    deleted: { type: 'string', enum: ['exclude', 'include', 'only'] },
+    sort: text(50),
+    order: { type: 'string', pattern: /^(asc|desc)$/i, patternMessage: 'must be asc or desc' },
+    cursor: text(500),
+    // Out of range paging values are clamped by queryForms
+    limit: { type: 'integer' },
+    offset: { type: 'integer' },
+    page: { type: 'integer' },
+  },
+  searchForms: {
+    queueId: text(100, { required: true }),
+    callerNumber: { type: 'dialString', required: true, maxLength: 100 },
+  },
+  webhookQuery: {
+    cidname: text(100),
+    cidnum: { type: 'dialString', maxLength: 100 },
+    agent: text(100),
+    qid: text(100),
+    qname: text(100),
+    agentExtn: text(100),
+    disposition: text(255),
+    tenant: text(100),
+    callId: text(100),
+  },
+  webhookBody: {
+    recordId: { type: 'integer', required: true, min: 1 },
+    call_type: text(50, { required: true }),
+    disposition_1: text(100, { required: true }),
+    disposition_2: text(100, { required: true }),
+    disposition_2_custom: text(255),
+    tenant: text(100),
+    callId: text(100),
+  },
+  listTickets: {
+    status: { type: 'string', enum: ['open', 'acknowledged', 'resolved'] },
+    department_id: { type: 'integer', min: 1 },
+    form_id: { type: 'integer', min: 1 },
+    assignee: text(255),
+    overdue: { type: 'boolean' },
+    limit: { type: 'integer', min: 1, max: 200 },
+    offset: { type: 'integer', min: 0 },
+  },
+  updateTicket: {
+    status: { type: 'string', enum: ['open', 'acknowledged', 'resolved'] },
+    assignee: text(255),
+    due_at: text(40),
+    comment: text(5000, { trim: false }),
+  },
+  ticketComment: {
+    body: text(5000, { required: true }),
+  },
+  ticketAction: {
+    token: text(2000, { required: true }),
+    author: text(255),
+    comment: text(5000),
+  },
+  contactLookup: {
+    number: { type: 'phone', maxLength: 32 },
+    email: { type: 'email', maxLength: 100 },
+  },
+};
@@ -1,6 +1,165 @@
 // src/voicemeetme.js
+//
+// Client for the VoiceMeetMe portal API. Every call takes the tenant domain,
+// authenticates with its portal token (tokenService.js) and fails with a
+// VoiceMeetMeError. Run `npm run mock:portal` and point BASE_URL at it
+// (http://localhost:8790) to work against recorded responses offline.
 import axios from 'axios';
-import { getPortalToken, httpsAgent } from './tokenService.js';
+import fs from 'fs/promises';
+import { getPortalToken, invalidatePortalToken, httpsAgent } from './tokenService.js';
+import { tenantPortalSettings } from './tenants.js';
+
+const TIMEOUT_MS = Number(process.env.VMM_TIMEOUT_MS) || 10000;
+// Extra attempts for idempotent requests (GET / PUT) that failed temporarily
+const MAX_RETRIES = Number(process.env.VMM_MAX_RETRIES ?? 2);
+const RETRY_BASE_MS = 500;
+const NOTE_MAX_LENGTH = 2000;
+
+// --- Errors -----------------------------------------------------------------
+
+/**
+ * A failed portal call. portalStatus is the portal's HTTP status (null when no
+ * response arrived); it is deliberately not `status`, which sendError() would
+ * pass on to our own clients.
+ */
+export class VoiceMeetMeError extends Error {
+  constructor(message, { code = 'error', portalStatus = null, retryable = false, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'VoiceMeetMeError';
+    this.code = code;
+    this.portalStatus = portalStatus;
+    this.retryable = retryable;
+  }
+}
+
+/** Login failed, or the portal rejected the (renewed) token */
+export class VoiceMeetMeAuthError extends VoiceMeetMeError {
+  constructor(message, options) {
+    super(message, { code: 'auth', ...options });
+    this.name = 'VoiceMeetMeAuthError';
+  }
+}
+
+/** The call, recording, queue ... does not exist on the portal */
+export class VoiceMeetMeNotFoundError extends VoiceMeetMeError {
+  constructor(message, options) {
+    super(message, { code: 'not_found', ...options });
+    this.name = 'VoiceMeetMeNotFoundError';
+  }
+}
+
+/** No answer within VMM_TIMEOUT_MS */
+export class VoiceMeetMeTimeoutError extends VoiceMeetMeError {
+  constructor(message, options) {
+    super(message, { code: 'timeout', retryable: true, ...options });
+    this.name = 'VoiceMeetMeTimeoutError';
+  }
+}
+
+/** Portal down, overloaded or rate limiting (5xx, 429, connection errors) */
+export class VoiceMeetMeUnavailableError extends VoiceMeetMeError {
+  constructor(message, options) {
+    super(message, { code: 'unavailable', retryable: true, ...options });
+    this.name = 'VoiceMeetMeUnavailableError';
+  }
+}
+
+function portalError(err, what) {
+  if (err instanceof VoiceMeetMeError) return err;
+  const status = err.response?.status ?? null;
+  const message = `VoiceMeetMe ${what} failed${status ? ` (HTTP ${status})` : ''}: ${err.message}`;
+  const options = { portalStatus: status, cause: err };
+
+  if (err.code === 'ECONNABORTED' || err.code === 'ETIMEDOUT') return new VoiceMeetMeTimeoutError(message, options);
+  if (status === 401 || status === 403) return new VoiceMeetMeAuthError(message, options);
+  if (status === 404) return new VoiceMeetMeNotFoundError(message, options);
+  if (status === 408) return new VoiceMeetMeTimeoutError(message, options);
+  if (!status || status === 429 || status >= 500) return new VoiceMeetMeUnavailableError(message, options);
+  return new VoiceMeetMeError(message, { code: 'rejected', ...options });
+}
+
+// --- Requests ---------------------------------------------------------------
+
+function portalHeaders(token, tenant) {
+  return {
+    Authorization: `Bearer ${token}`,
+    'X-User-Agent': 'portal',
+    'X-Account-ID': process.env.ACCOUNT_ID_HEADER ?? tenant,
+    'Content-Type': 'application/json;charset=UTF-8',
+  };
+}
+
+async function portalToken(tenant) {
+  try {
+    return await getPortalToken(tenant);
+  } catch (err) {
+    throw new VoiceMeetMeAuthError(`VoiceMeetMe login for ${tenant} failed: ${err.message}`, { cause: err, retryable: true });
+  }
+}
+
+/**
+ * Request to the tenant's portal with its access token. A 401 means the token
+ * was revoked or expired early: it is dropped and the request sent once more
+ * with a renewed one. Idempotent requests are retried on timeouts and
+ * temporary failures.
+ * @param {string} tenant   Domain / tenant
+ * @param {Object} config   axios request config; url is relative to the portal base URL
+ * @param {string} what     Describes the call in error messages
+ * @returns {Promise<Object>} axios response
+ */
+async function portalRequest(tenant, config, what) {
+  if (!tenant) throw new VoiceMeetMeError('tenant is required', { code: 'invalid_argument' });
+  const { baseUrl } = await tenantPortalSettings(tenant);
+  const method = (config.method || 'get').toLowerCase();
+  const retries = ['get', 'put', 'delete'].includes(method) ? MAX_RETRIES : 0;
+
+  const send = async () => axios({
+    timeout: TIMEOUT_MS,
+    ...config,
+    method,
+    url: `${baseUrl}${config.url}`,
+    httpsAgent,
+    headers: portalHeaders(await portalToken(tenant), tenant),
+  });
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      try {
+        return await send();
+      } catch (err) {
+        if (err.response?.status !== 401) throw err;
+        await invalidatePortalToken(tenant);
+        return await send();
+      }
+    } catch (err) {
+      const error = portalError(err, what);
+      if (!error.retryable || attempt >= retries) throw error;
+      await new Promise(r => setTimeout(r, RETRY_BASE_MS * 2 ** attempt));
+    }
+  }
+}
+
+// The portal wraps lists and records differently between versions
+function listItems(data) {
+  return Array.isArray(data) ? data : (data?.items || data?.data || data?.results || []);
+}
+
+function record(data) {
+  return data && typeof data === 'object' && !Array.isArray(data) && data.data && typeof data.data === 'object'
+    ? data.data
+    : data;
+}
+
+function str(value) {
+  return value === undefined || value === null ? null : String(value);
+}
+
+function requireCallId(callId) {
+  if (!callId) throw new VoiceMeetMeError('callId is required', { code: 'invalid_argument' });
+  return encodeURIComponent(callId);
+}
+
+// --- Campaign calls ---------------------------------------------------------
 
 /**
  * Send a PUT request to VoiceMeetMe to update disposition for a campaign call.
@@ -10,23 +169,159 @@ import { getPortalToken, httpsAgent } from './tokenService.js';
  * @param {string} value    Disposition text / ID
  */
 export async function updateCallDisposition(tenant, callId, value) {
-  if (!tenant || !callId) throw new Error('tenant and callId are required');
-  const token = await getPortalToken(tenant);
-  const base = process.env.BASE_URL;
-  const url = `${base}/api/v2/config/campaigns/call/${callId}/disposition`;
-
-  await axios.put(
-    url,
-    { value },
-    {
-      httpsAgent,
-      headers: {
-        Authorization: `Bearer ${token}`,
-        'X-User-Agent': 'portal',
-        'X-Account-ID': process.env.ACCOUNT_ID_HEADER ?? tenant,
-        'Content-Type': 'application/json;charset=UTF-8',
-      },
-      timeout: 5000,
-    },
-  );
+  await portalRequest(tenant, {
+    method: 'put',
+    url: `/api/v2/config/campaigns/call/${requireCallId(callId)}/disposition`,
+    data: { value },
+    timeout: 5000,
+  }, 'disposition update');
+}
+
+/**
+ * Look up a campaign call: campaign, numbers, agent, timing and disposition
+ *
+ * @param {string} tenant   Domain / tenant
+ * @param {string} callId   Campaign call ID
+ * @returns {Promise<Object>} Call as returned by the portal
+ */
+export async function getCampaignCall(tenant, callId) {
+  const { data } = await portalRequest(tenant, {
+    url: `/api/v2/config/campaigns/call/${requireCallId(callId)}`,
+  }, `lookup of call ${callId}`);
+  return record(data);
+}
+
+/**
+ * Add a note to a campaign call, shown to agents in the portal. Not retried:
+ * the portal has no idempotency key for notes.
+ *
+ * @param {string} tenant   Domain / tenant
+ * @param {string} callId   Campaign call ID
+ * @param {string} text     Note text
+ * @returns {Promise<Object>} The stored note
+ */
+export async function addCallNote(tenant, callId, text) {
+  const note = String(text ?? '').trim();
+  if (!note) throw new VoiceMeetMeError('note text is required', { code: 'invalid_argument' });
+  const { data } = await portalRequest(tenant, {
+    method: 'post',
+    url: `/api/v2/config/campaigns/call/${requireCallId(callId)}/notes`,
+    data: { note: note.slice(0, NOTE_MAX_LENGTH) },
+  }, `note on call ${callId}`);
+  return record(data);
+}
+
+// --- CDR / recordings -------------------------------------------------------
+
+/**
+ * Call detail record of a call: start / answer / end times, duration,
+ * billsec, hangup cause and whether a recording exists
+ *
+ * @param {string} tenant   Domain / tenant
+ * @param {string} callId   Call ID
+ * @returns {Promise<Object>} CDR as returned by the portal
+ */
+export async function getCallCdr(tenant, callId) {
+  const { data } = await portalRequest(tenant, {
+    url: `/api/v2/cdr/${requireCallId(callId)}`,
+  }, `CDR of call ${callId}`);
+  return record(data);
+}
+
+/**
+ * Download the recording of a call
+ *
+ * @param {string} tenant   Domain / tenant
+ * @param {string} callId   Call ID
+ * @returns {Promise<{ contentType: string, data: Buffer }>}
+ */
+export async function getCallRecording(tenant, callId) {
+  const response = await portalRequest(tenant, {
+    url: `/api/v2/cdr/${requireCallId(callId)}/recording`,
+    responseType: 'arraybuffer',
+    // Recordings are larger than API answers
+    timeout: TIMEOUT_MS * 3,
+  }, `recording of call ${callId}`);
+  return {
+    contentType: response.headers['content-type'] || 'audio/wav',
+    data: Buffer.from(response.data),
+  };
+}
+
+// --- Queues / agents --------------------------------------------------------
+
+/**
+ * Queues configured for a tenant
+ *
+ * @param {string} tenant   Domain / tenant
+ * @returns {Promise<Array<{ id: string, name: string, extension: string|null, strategy: string|null }>>}
+ */
+export async function listQueues(tenant) {
+  const { data } = await portalRequest(tenant, { url: '/api/v2/config/queues' }, 'queue list');
+  return listItems(data)
+    .map(q => ({
+      id: str(q.id ?? q.queue_id) ?? '',
+      name: String(q.name ?? q.queue_name ?? q.id ?? ''),
+      extension: str(q.extension ?? q.number),
+      strategy: str(q.strategy),
+    }))
+    .filter(q => q.id !== '');
+}
+
+/**
+ * Agents of a tenant, optionally only the members of one queue
+ *
+ * @param {string} tenant   Domain / tenant
+ * @param {Object} [filters] { queueId }
+ * @returns {Promise<Array<{ id: string, name: string, extension: string|null, status: string|null, queues: string[] }>>}
+ */
+export async function listAgents(tenant, { queueId } = {}) {
+  const { data } = await portalRequest(tenant, {
+    url: '/api/v2/config/agents',
+    params: queueId ? { queue: queueId } : undefined,
+  }, 'agent list');
+  return listItems(data)
+    .map(a => ({
+      id: str(a.id ?? a.agent_id) ?? '',
+      name: String(a.name ?? a.display_name ?? a.id ?? ''),
+      extension: str(a.extension ?? a.ext),
+      status: str(a.status),
+      queues: (a.queues || []).map(q => String(typeof q === 'object' ? q.id : q)),
+    }))
+    .filter(a => a.id !== '');
+}
+
+// --- Dispositions -----------------------------------------------------------
+
+/**
+ * Fetch the disposition list configured for a tenant in the portal.
+ * Set VMM_DISPOSITIONS_FIXTURE to a JSON file holding a recorded response
+ * (e.g. mock/fixtures/dispositions.json) to work without portal access.
+ *
+ * @param {string} tenant   Domain / tenant (e.g. "mc_int")
+ * @returns {Promise<Array<{ id: string, code: string|null, name: string }>>}
+ */
+export async function listTenantDispositions(tenant) {
+  if (!tenant) throw new VoiceMeetMeError('tenant is required', { code: 'invalid_argument' });
+
+  let data;
+  if (process.env.VMM_DISPOSITIONS_FIXTURE) {
+    data = JSON.parse(await fs.readFile(process.env.VMM_DISPOSITIONS_FIXTURE, 'utf8'));
+  } else {
+    ({ data } = await portalRequest(tenant, {
+      url: process.env.VMM_DISPOSITIONS_PATH || '/api/v2/config/campaigns/dispositions',
+    }, 'disposition list'));
+  }
+
+  const items = Array.isArray(data) ? data : (data?.items || data?.data || data?.dispositions || []);
+  return items
+    .map((item) => {
+      const id = item.id ?? item.value ?? item.code;
+      return {
+        id: id === undefined || id === null ? '' : String(id),
+        code: item.code === undefined || item.code === null ? null : String(item.code),
+        name: String(item.name ?? item.label ?? item.description ?? id ?? ''),
+      };
+    })
+    .filter(d => d.id !== '');
 }
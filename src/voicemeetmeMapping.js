@@ -0,0 +1,299 @@
+// src/voicemeetmeMapping.js
+
+import { pool } from './form.js';
+import { requireRole } from './auth.js';
+import { httpError, sendError } from './httpError.js';
+import { resolveVersionId } from './dispositionVersions.js';
+import { listDispositionConfig } from './dispositionAdmin.js';
+import { listTenantDispositions, VoiceMeetMeError } from './voicemeetme.js';
+import { domainTenantId } from './tenants.js';
+
+const TENANT_RE = /^[\w.-]{1,100}$/;
+const PATH_FIELDS = [
+  { column: 'call_type', max: 50 },
+  { column: 'disposition_1', max: 100 },
+  { column: 'disposition_2', max: 100 },
+];
+
+function cleanTenant(value) {
+  const tenant = String(value || '').trim();
+  if (!TENANT_RE.test(tenant)) throw httpError(400, 'tenant is required (letters, digits, _ . -)');
+  return tenant;
+}
+
+function cleanPath(data) {
+  return PATH_FIELDS.map(({ column, max }) => {
+    const value = data[column];
+    if (typeof value !== 'string' || value.trim() === '') throw httpError(400, `${column} is required`);
+    if (value.trim().length > max) throw httpError(400, `${column} must be at most ${max} characters`);
+    return value.trim();
+  });
+}
+
+function pathKey(row) {
+  return `${row.call_type}\u0000${row.disposition_1}\u0000${row.disposition_2}`;
+}
+
+function normalName(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * The tenant disposition mapped to a form's disposition path, null when unmapped
+ * @param {Object} form { vmm_tenant, call_type, disposition_1, disposition_2 }
+ * @returns {Promise<string|null>}
+ */
+export async function mappedDisposition(form) {
+  const [rows] = await pool.execute(
+    `SELECT vmm_disposition FROM vmm_disposition_mappings
+      WHERE tenant = ? AND call_type = ? AND disposition_1 = ? AND disposition_2 = ?`,
+    [form.vmm_tenant, form.call_type, form.disposition_1, form.disposition_2]
+  );
+  return rows.length > 0 ? rows[0].vmm_disposition : null;
+}
+
+/**
+ * Disposition list of a tenant as last synced from the portal
+ * @param {string} tenant
+ * @param {Object} [options] { includeInactive }
+ */
+export async function listSyncedDispositions(tenant, { includeInactive = false } = {}) {
+  const [rows] = await pool.execute(
+    `SELECT vmm_id, code, name, is_active, synced_at FROM vmm_tenant_dispositions
+      WHERE tenant = ? ${includeInactive ? '' : 'AND is_active = TRUE'}
+      ORDER BY name, vmm_id`,
+    [cleanTenant(tenant)]
+  );
+  return rows;
+}
+
+/**
+ * Pull a tenant's disposition list from the portal. Dispositions no longer
+ * returned are deactivated rather than deleted so existing mappings can be
+ * reported as stale.
+ * @param {string} tenant
+ * @returns {Promise<Object>} { tenant, fetched, deactivated }
+ */
+export async function syncTenantDispositions(tenant) {
+  const name = cleanTenant(tenant);
+  let items;
+  try {
+    items = await listTenantDispositions(name);
+  } catch (err) {
+    throw httpError(502, err instanceof VoiceMeetMeError ? err.message : `Fetching dispositions from VoiceMeetMe failed: ${err.message}`);
+  }
+
+  const syncedAt = new Date();
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    for (const item of items) {
+      await connection.execute(
+        `INSERT INTO vmm_tenant_dispositions (tenant, vmm_id, code, name, is_active, synced_at)
+         VALUES (?, ?, ?, ?, TRUE, ?)
+         ON DUPLICATE KEY UPDATE code = VALUES(code), name = VALUES(name), is_active = TRUE, synced_at = VALUES(synced_at)`,
+        [name, item.id.slice(0, 100), item.code ? item.code.slice(0, 100) : null, item.name.slice(0, 255), syncedAt]
+      );
+    }
+    const [result] = await connection.execute(
+      `UPDATE vmm_tenant_dispositions SET is_active = FALSE
+        WHERE tenant = ? AND is_active = TRUE AND (synced_at IS NULL OR synced_at < ?)`,
+      [name, syncedAt]
+    );
+    await connection.commit();
+    console.log(`VoiceMeetMe dispositions for ${name} synced: ${items.length} fetched, ${result.affectedRows} deactivated`);
+    return { tenant: name, fetched: items.length, deactivated: result.affectedRows };
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
+}
+
+// Tree versions belong to the tenant the VoiceMeetMe domain is registered to
+async function treeVersionId(tenant, version) {
+  return resolveVersionId(version, await domainTenantId(tenant));
+}
+
+/**
+ * Every leaf of a tree version with its mapping for a tenant, and a suggested
+ * tenant disposition (same name as the leaf) for unmapped ones
+ * @param {string} tenant
+ * @param {string|number} [version] Tree version selector (defaults to live)
+ */
+export async function listMappings(tenant, version) {
+  const name = cleanTenant(tenant);
+  const versionId = await treeVersionId(name, version);
+  const [leaves, [mappings], synced] = await Promise.all([
+    listDispositionConfig(versionId),
+    pool.execute('SELECT * FROM vmm_disposition_mappings WHERE tenant = ?', [name]),
+    listSyncedDispositions(name),
+  ]);
+
+  const byPath = new Map(mappings.map(m => [pathKey(m), m]));
+  const byName = new Map(synced.map(d => [normalName(d.name), d]));
+  return leaves.map((leaf) => {
+    const mapping = byPath.get(pathKey(leaf)) || null;
+    const suggestion = mapping ? null : byName.get(normalName(leaf.disposition_2)) || null;
+    return {
+      call_type: leaf.call_type,
+      disposition_1: leaf.disposition_1,
+      disposition_2: leaf.disposition_2,
+      is_active: Boolean(leaf.is_active),
+      mapping_id: mapping?.id || null,
+      vmm_disposition: mapping?.vmm_disposition || null,
+      suggestion: suggestion && { vmm_id: suggestion.vmm_id, code: suggestion.code, name: suggestion.name },
+    };
+  });
+}
+
+/**
+ * Check that every active leaf of a tree version is mapped for a tenant, and
+ * that mappings point at dispositions the portal still has (once synced)
+ * @param {string} tenant
+ * @param {string|number} [version]
+ * @returns {Promise<Object>} { tenant, version, valid, unmapped: [path], stale: [mapping] }
+ */
+export async function validateMappings(tenant, version) {
+  const name = cleanTenant(tenant);
+  const versionId = await treeVersionId(name, version);
+  const rows = await listMappings(name, versionId);
+  const synced = await listSyncedDispositions(name);
+
+  const known = new Set(synced.flatMap(d => [d.vmm_id, d.code].filter(Boolean)));
+  const unmapped = rows
+    .filter(r => r.is_active && !r.vmm_disposition)
+    .map(({ call_type, disposition_1, disposition_2 }) => ({ call_type, disposition_1, disposition_2 }));
+  // Without a synced list there is nothing to check the values against
+  const stale = synced.length === 0 ? [] : rows
+    .filter(r => r.vmm_disposition && !known.has(r.vmm_disposition))
+    .map(({ mapping_id, call_type, disposition_1, disposition_2, vmm_disposition }) => ({
+      mapping_id, call_type, disposition_1, disposition_2, vmm_disposition,
+    }));
+
+  return {
+    tenant: name,
+    version: versionId,
+    valid: unmapped.length === 0 && stale.length === 0,
+    synced: synced.length > 0,
+    unmapped,
+    stale,
+  };
+}
+
+/**
+ * Map a local disposition path to a tenant disposition (replacing any earlier mapping)
+ * @param {Object} data { tenant, call_type, disposition_1, disposition_2, vmm_disposition }
+ * @param {string} [updatedBy]
+ */
+export async function saveMapping(data, updatedBy) {
+  const tenant = cleanTenant(data.tenant);
+  const [callType, disposition1, disposition2] = cleanPath(data);
+  const value = String(data.vmm_disposition ?? '').trim();
+  if (!value || value.length > 100) throw httpError(400, 'vmm_disposition is required (at most 100 characters)');
+
+  const synced = await listSyncedDispositions(tenant);
+  if (synced.length > 0 && !synced.some(d => d.vmm_id === value || d.code === value)) {
+    throw httpError(400, `"${value}" is not a disposition of tenant ${tenant}; sync the list or pick another`);
+  }
+
+  await pool.execute(
+    `INSERT INTO vmm_disposition_mappings (tenant, call_type, disposition_1, disposition_2, vmm_disposition, updated_by)
+     VALUES (?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE vmm_disposition = VALUES(vmm_disposition), updated_by = VALUES(updated_by)`,
+    [tenant, callType, disposition1, disposition2, value, updatedBy || null]
+  );
+  const [rows] = await pool.execute(
+    `SELECT * FROM vmm_disposition_mappings
+      WHERE tenant = ? AND call_type = ? AND disposition_1 = ? AND disposition_2 = ?`,
+    [tenant, callType, disposition1, disposition2]
+  );
+  return rows[0];
+}
+
+/**
+ * Removes a mapping for one of a tenant's VoiceMeetMe domains; the path falls
+ * back to the free-text value
+ * @param {number} id
+ * @param {number} tenantId
+ */
+export async function deleteMapping(id, tenantId) {
+  const [rows] = await pool.execute('SELECT tenant FROM vmm_disposition_mappings WHERE id = ?', [id]);
+  if (!rows[0] || await domainTenantId(rows[0].tenant) !== tenantId) throw httpError(404, 'Mapping not found');
+  await pool.execute('DELETE FROM vmm_disposition_mappings WHERE id = ?', [id]);
+}
+
+/**
+ * Mount the VoiceMeetMe disposition mapping API: admins sync tenant lists and
+ * edit mappings, supervisors can review them.
+ * @param {Object} app Express application
+ */
+export function setupDispositionMappingRoutes(app) {
+  const requireAdmin = requireRole('admin');
+  const requireSupervisor = requireRole('supervisor');
+  // A VoiceMeetMe domain of the request's tenant, by default its first
+  // registered one; domains of other tenants are refused
+  const tenantOf = async (req, value) => {
+    const domain = value ? cleanTenant(value) : (req.tenant.vmm_domains[0] || req.tenant.slug);
+    if (await domainTenantId(domain) !== req.tenant.id) {
+      throw httpError(403, `Not allowed to access tenant "${domain}"`);
+    }
+    return domain;
+  };
+
+  app.get('/voicemeetme/dispositions', requireSupervisor, async (req, res) => {
+    try {
+      res.json(await listSyncedDispositions(await tenantOf(req, req.query.tenant), { includeInactive: req.query.all === 'true' }));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Body: { tenant? }
+  app.post('/voicemeetme/dispositions/sync', requireAdmin, async (req, res) => {
+    try {
+      res.json(await syncTenantDispositions(await tenantOf(req, (req.body || {}).tenant)));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  app.get('/voicemeetme/mappings', requireSupervisor, async (req, res) => {
+    try {
+      res.json(await listMappings(await tenantOf(req, req.query.tenant), req.query.version));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  app.get('/voicemeetme/mappings/validate', requireSupervisor, async (req, res) => {
+    try {
+      res.json(await validateMappings(await tenantOf(req, req.query.tenant), req.query.version));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Body: { tenant?, call_type, disposition_1, disposition_2, vmm_disposition }
+  app.put('/voicemeetme/mappings', requireAdmin, async (req, res) => {
+    try {
+      const data = { ...(req.body || {}) };
+      data.tenant = await tenantOf(req, data.tenant);
+      res.json(await saveMapping(data, req.user.displayName || req.user.username));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  app.delete('/voicemeetme/mappings/:id', requireAdmin, async (req, res) => {
+    try {
+      await deleteMapping(req.params.id, req.tenant.id);
+      res.sendStatus(204);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  console.log('VoiceMeetMe mapping routes configured');
+}
@@ -0,0 +1,190 @@
+// src/voicemeetmeSync.js
+
+import { pool, getFormById } from './form.js';
+import { requireRole, canAccessForm } from './auth.js';
+import { httpError, sendError } from './httpError.js';
+import { startJob, backoffDelay, claimDueRows } from './jobs.js';
+import { updateCallDisposition } from './voicemeetme.js';
+import { mappedDisposition } from './voicemeetmeMapping.js';
+import { domainTenantId } from './tenants.js';
+
+const WORKER_INTERVAL_MS = Number(process.env.VMM_SYNC_POLL_INTERVAL_MS) || 5000;
+const BATCH_SIZE = Number(process.env.VMM_SYNC_BATCH_SIZE) || 10;
+const MAX_ATTEMPTS = Number(process.env.VMM_SYNC_MAX_ATTEMPTS) || 8;
+const BACKOFF_BASE_MS = Number(process.env.VMM_SYNC_BACKOFF_BASE_MS) || 30000;
+// Refuse to push unmapped dispositions instead of falling back to free text
+const REQUIRE_MAPPING = process.env.VMM_REQUIRE_DISPOSITION_MAPPING === 'true';
+
+/**
+ * Free-text disposition sent to VoiceMeetMe when a path has no mapping
+ * @param {Object} form { call_type, disposition_1, disposition_2, disposition_2_custom }
+ */
+export function vmmDispositionValue(form) {
+  return `${form.call_type} - ${form.disposition_1} - ${form.disposition_2_custom || form.disposition_2}`;
+}
+
+/**
+ * Disposition value for a form: the tenant disposition mapped to its path
+ * (see voicemeetmeMapping.js), else the free text
+ * @param {Object} form forms_new row
+ * @returns {Promise<{ value: string, mapped: boolean }>}
+ */
+export async function resolveDispositionValue(form) {
+  const mapped = await mappedDisposition(form);
+  return mapped ? { value: mapped, mapped: true } : { value: vmmDispositionValue(form), mapped: false };
+}
+
+/**
+ * Queue the final disposition of a form for VoiceMeetMe. Only submitted forms
+ * of campaign calls (tenant and call id known) are pushed; a newer disposition
+ * replaces one still waiting, and a value already synced is not sent again.
+ * @param {Object} form forms_new row
+ * @returns {Promise<boolean>} Whether a push was queued
+ */
+export async function enqueueDispositionSync(form) {
+  if (!form || form.status !== 'submitted' || !form.vmm_tenant || !form.vmm_call_id) return false;
+  if (await domainTenantId(form.vmm_tenant) !== form.tenant_id) {
+    console.warn(`VoiceMeetMe disposition for form #${form.id} not queued: ${form.vmm_tenant} belongs to another tenant`);
+    return false;
+  }
+
+  const { value, mapped } = await resolveDispositionValue(form);
+  const unmapped = REQUIRE_MAPPING && !mapped;
+  const [[current]] = await pool.execute('SELECT status, value FROM vmm_dispositions WHERE form_id = ?', [form.id]);
+  if (current && current.value === value && ['pending', 'sending', 'synced'].includes(current.status)) return false;
+
+  // An unmapped path is recorded as failed so it shows on the form and can be
+  // retried once mapped. Clearing lock_token makes a push of the old value in
+  // flight leave this row pending.
+  await pool.execute(
+    `INSERT INTO vmm_dispositions (form_id, tenant, call_id, value, status, max_attempts, next_attempt_at, last_error)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE
+       tenant = VALUES(tenant), call_id = VALUES(call_id), value = VALUES(value),
+       status = VALUES(status), attempts = 0, max_attempts = VALUES(max_attempts),
+       next_attempt_at = VALUES(next_attempt_at), last_error = VALUES(last_error), lock_token = NULL`,
+    [
+      form.id,
+      form.vmm_tenant,
+      form.vmm_call_id,
+      value,
+      unmapped ? 'failed' : 'pending',
+      MAX_ATTEMPTS,
+      new Date(),
+      unmapped ? `No VoiceMeetMe disposition mapped for ${form.call_type} / ${form.disposition_1} / ${form.disposition_2} (tenant ${form.vmm_tenant})` : null,
+    ]
+  );
+  if (unmapped) console.warn(`VoiceMeetMe disposition for form #${form.id} not queued: path is not mapped`);
+  return !unmapped;
+}
+
+/**
+ * enqueueDispositionSync for the submission paths: the form is already stored,
+ * so a queueing failure is only logged.
+ * @param {Object} form forms_new row
+ */
+export async function queueDispositionSync(form) {
+  try {
+    if (await enqueueDispositionSync(form)) {
+      console.log(`VoiceMeetMe disposition queued for form #${form.id} (call ${form.vmm_call_id})`);
+    }
+  } catch (err) {
+    console.error(`Queueing VoiceMeetMe disposition for form #${form?.id} failed:`, err.message);
+  }
+}
+
+async function push(sync) {
+  try {
+    await updateCallDisposition(sync.tenant, sync.call_id, sync.value);
+    await pool.execute(
+      `UPDATE vmm_dispositions
+          SET status = 'synced', attempts = attempts + 1, last_error = NULL, synced_at = ?, lock_token = NULL
+        WHERE id = ? AND lock_token = ?`,
+      [new Date(), sync.id, sync.lock_token]
+    );
+    console.log(`[${new Date().toISOString()}] VoiceMeetMe disposition for call ${sync.call_id} synced: ${sync.value}`);
+  } catch (error) {
+    const status = error.portalStatus ?? null;
+    // Client errors will not succeed on retry, except auth (token refresh), timeouts and rate limiting
+    const permanent = status >= 400 && status < 500 && ![401, 408, 429].includes(status);
+    const attempts = sync.attempts + 1;
+    const failed = permanent || attempts >= sync.max_attempts;
+    const message = String(error.message || error);
+
+    await pool.execute(
+      `UPDATE vmm_dispositions
+          SET status = ?, attempts = ?, last_error = ?, next_attempt_at = ?, lock_token = NULL
+        WHERE id = ? AND lock_token = ?`,
+      [
+        failed ? 'failed' : 'pending',
+        attempts,
+        message.slice(0, 1000),
+        new Date(Date.now() + backoffDelay(attempts, { baseMs: BACKOFF_BASE_MS })),
+        sync.id,
+        sync.lock_token,
+      ]
+    );
+    console.error(
+      `VoiceMeetMe sync for form #${sync.form_id} attempt ${attempts}/${sync.max_attempts} failed${failed ? ' – giving up' : ''}:`,
+      message
+    );
+  }
+}
+
+/**
+ * Push every disposition that is due. Returns the number processed.
+ */
+export async function processDispositionSyncs() {
+  const batch = await claimDueRows(pool, 'vmm_dispositions', { batchSize: BATCH_SIZE });
+  for (const sync of batch) {
+    await push(sync);
+  }
+  return batch.length;
+}
+
+/**
+ * Starts the background worker pushing dispositions to VoiceMeetMe
+ */
+export function startDispositionSyncWorker() {
+  return startJob('vmm-disposition-sync', WORKER_INTERVAL_MS, processDispositionSyncs);
+}
+
+/**
+ * Sync state shown on a form, null when the form has nothing to push
+ * @param {number} formId
+ */
+export async function getDispositionSync(formId) {
+  const [rows] = await pool.execute(
+    `SELECT status, value, attempts, max_attempts, last_error, next_attempt_at, synced_at, updated_at
+       FROM vmm_dispositions
+      WHERE form_id = ?`,
+    [formId]
+  );
+  return rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * Mount POST /forms/:id/voicemeetme/retry for supervisors: re-queue a push
+ * that gave up, e.g. after fixing the VoiceMeetMe credentials or a mapping.
+ * @param {Object} app Express application
+ */
+export function setupDispositionSyncRoutes(app) {
+  app.post('/forms/:id/voicemeetme/retry', requireRole('supervisor'), async (req, res) => {
+    try {
+      const form = await getFormById(req.params.id);
+      if (!form || form.deleted_at) throw httpError(404, 'Form not found');
+      if (!canAccessForm(req.user, form)) throw httpError(403, 'Forbidden');
+      if (form.status !== 'submitted' || !form.vmm_tenant || !form.vmm_call_id) {
+        throw httpError(409, 'Form is not a submitted campaign call with a tenant and call id');
+      }
+
+      // Re-resolves the value, so a mapping added since the failure is used
+      await enqueueDispositionSync(form);
+      res.json(await getDispositionSync(form.id));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  console.log('VoiceMeetMe sync routes configured');
+}
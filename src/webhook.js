@@ -4,7 +4,15 @@ import express from 'express';
 import { pool } from './form.js';
 import dotenv from 'dotenv';
 import cors from 'cors';
-import { updateCallDisposition } from './voicemeetme.js';
+import { queueDispositionSync } from './voicemeetmeSync.js';
+import { requireRole, canDispositionForm, corsOptions } from './auth.js';
+import { verifyWebhookSignature } from './webhookSignature.js';
+import { recordFormChange, changeContext } from './formHistory.js';
+import { validateRequest, checkDispositionPath, schemas } from './validation.js';
+import { normalizedNumbers, callerSummary } from './callers.js';
+import { lookupContact } from './contacts.js';
+import { webhookTenant, domainTenantId } from './tenants.js';
+import { getLiveVersionId } from './dispositionVersions.js';
 
 dotenv.config();
 
@@ -12,7 +20,15 @@ const app = express();
 // Use the same port as the main API to avoid CORS issues
 const PORT = process.env.PORT || 8989;
 
-app.use(cors());
+app.use(cors(corsOptions()));
+
+// The PBX opens /webhook with an API key (X-API-Key header) and a
+// signed, timestamped query string (see webhookSignature.js); dispositions are
+// posted back by agents/supervisors or the PBX
+const requirePbx = requireRole('pbx');
+const requireDispositioner = requireRole('agent', 'supervisor', 'pbx');
+const validateQuery = validateRequest({ query: schemas.webhookQuery });
+const validateBody = validateRequest({ body: schemas.webhookBody });
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -20,8 +36,9 @@ app.use(express.urlencoded({ extended: true }));
  * Process webhook data from query parameters (GET)
  * @param {Object} data - Data from query params
  * @param {Object} res - Express response object
+ * @param {Object} context - Actor, source and tenant for the form history
  */
-async function processWebhookData(data, res) {
+async function processWebhookData(data, res, context) {
   try {
     // Ensure data is not undefined
     if (!data) {
@@ -47,25 +64,40 @@ async function processWebhookData(data, res) {
       cidname, cidnum, agent, qid, qname, agentExtn, disposition, tenant, callId
     });
 
+    // A domain registered to another tenant would push into its calls
+    if (tenant && await domainTenantId(tenant) !== context.tenantId) {
+      return res.status(403).json({ error: `VoiceMeetMe tenant "${tenant}" does not belong to this tenant` });
+    }
+
     // Create a temporary record in the database with the call parameters
     // Updated to use new disposition form structure
     const sql = `INSERT INTO forms_new 
-      (company, name, contact_number, email, call_type, disposition_1, disposition_2, 
+      (tenant_id, company, name, contact_number, email, call_type, disposition_1, disposition_2, 
        query, queue_id, queue_name, agent_id, agent_ext, 
-       caller_id_name, caller_id_number)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+       caller_id_name, caller_id_number, created_via, status, last_activity_at,
+       caller_number_normalized, contact_number_normalized, vmm_tenant, vmm_call_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'webhook', 'opened', ?, ?, ?, ?, ?)`;
     
-    // Initialize empty values for form fields - will be filled by user
-    const company = "";
-    const name = "";
+    // Pre-fill the caller's details from the contacts directory when we know them,
+    // the rest will be filled by user
+    let contact = null;
+    try {
+      contact = await lookupContact({ number: cidnum }, context.tenantId);
+    } catch (e) {
+      console.error('Contact lookup failed:', e.message);
+    }
+    const company = contact?.company || "";
+    const name = contact?.name || "";
     const contact_number = cidnum || ""; // Pre-fill with caller number if available
-    const email = ""; 
+    const email = contact?.email || ""; 
     const call_type = ""; // Will be selected by user
     const disposition_1 = ""; // Will be selected by user
     const disposition_2 = ""; // Will be selected by user
     const query = "";
 
-    await pool.execute(sql, [
+    const numbers = normalizedNumbers({ caller_id_number: cidnum, contact_number });
+    const [inserted] = await pool.execute(sql, [
+      context.tenantId,
       company,
       name,
       contact_number,
@@ -79,20 +111,41 @@ async function processWebhookData(data, res) {
       agent || '',
       agentExtn || '',
       cidname || '',
-      cidnum || ''
+      cidnum || '',
+      new Date(),
+      numbers.caller_number_normalized,
+      numbers.contact_number_normalized,
+      // Kept so the final disposition can be pushed back to VoiceMeetMe
+      tenant || null,
+      callId || null
     ]);
 
     // Get the ID of the inserted record to pass to the form page
-    const [result] = await pool.execute('SELECT LAST_INSERT_ID() as id');
-    const recordId = result[0].id;
+    // (LAST_INSERT_ID() in a second pooled query may run on another connection)
+    const recordId = inserted.insertId;
+    const [created] = await pool.execute('SELECT * FROM forms_new WHERE id = ?', [recordId]);
+    await recordFormChange(recordId, 'create', null, created[0], context);
 
-    // Note: Disposition forwarding to VoiceMeetMe will happen after form submission
-    // since we now use the new disposition structure instead of the old single disposition field
+    // Note: Disposition forwarding to VoiceMeetMe happens after form submission
+    // (see voicemeetmeSync.js), using the tenant / callId stored above
+
+    // Caller context for the agent; the screen pop must not fail because of it
+    const params = new URLSearchParams({ id: String(recordId) });
+    try {
+      const caller = await callerSummary(cidnum, { excludeFormId: recordId, tenantId: context.tenantId });
+      if (caller) {
+        params.set('repeatCaller', caller.repeatCaller ? '1' : '0');
+        params.set('previousInteractions', String(caller.previousInteractions));
+        params.set('openComplaints', String(caller.openComplaints));
+      }
+    } catch (e) {
+      console.error('Caller lookup failed:', e.message);
+    }
 
     // Redirect to the frontend form page with the record ID
     // Use the frontend port from environment variables
     const clientURL = process.env.CLIENT_URL || 'http://localhost:3000';
-    res.redirect(`${clientURL}/?id=${recordId}`);
+    res.redirect(`${clientURL}/?${params}`);
     
   } catch (error) {
     console.error('Webhook error:', error);
@@ -104,8 +157,9 @@ async function processWebhookData(data, res) {
  * Process webhook data from POST body
  * @param {Object} data - Data from POST body
  * @param {Object} res - Express response object
+ * @param {Object} user - Authenticated caller (req.user)
  */
-async function processWebhookPostData(data, res) {
+async function processWebhookPostData(data, res, user) {
   try {
     // For POST requests, we might receive form data after submission
     // This can be used to update the VoiceMeetMe system with the final disposition
@@ -120,33 +174,57 @@ async function processWebhookPostData(data, res) {
     } = data;
 
     if (recordId && call_type && disposition_1 && disposition_2) {
+      const [rows] = await pool.execute('SELECT * FROM forms_new WHERE id = ?', [recordId]);
+      if (rows.length === 0 || rows[0].deleted_at) {
+        return res.status(404).json({ error: 'Form not found' });
+      }
+      if (!canDispositionForm(user, rows[0])) {
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+      if (tenant && await domainTenantId(tenant) !== rows[0].tenant_id) {
+        return res.status(403).json({ error: `VoiceMeetMe tenant "${tenant}" does not belong to this tenant` });
+      }
+      // Same rule as updateFormSubmission: a new disposition is recorded against
+      // the live tree version, an unchanged one keeps the version it was filed in
+      const current = rows[0];
+      const dispositionChanged = call_type !== current.call_type
+        || disposition_1 !== current.disposition_1 || disposition_2 !== current.disposition_2;
+      const dispositionVersionId = dispositionChanged || !current.disposition_version_id
+        ? await getLiveVersionId(current.tenant_id)
+        : current.disposition_version_id;
+      const pathErrors = await checkDispositionPath(
+        { call_type, disposition_1, disposition_2 }, dispositionVersionId, current.tenant_id
+      );
+      if (pathErrors.length > 0) {
+        return res.status(400).json({ error: 'Validation failed', details: pathErrors });
+      }
+
       // Update the record with the final disposition data
+      // tenant / callId posted by the front end fill in what the webhook did not store
       const updateSql = `UPDATE forms_new 
-        SET call_type = ?, disposition_1 = ?, disposition_2 = ?, disposition_2_custom = ?
+        SET call_type = ?, disposition_1 = ?, disposition_2 = ?, disposition_2_custom = ?,
+            disposition_version_id = ?, vmm_tenant = COALESCE(?, vmm_tenant), vmm_call_id = COALESCE(?, vmm_call_id),
+            status = 'submitted', submitted_at = COALESCE(submitted_at, ?), last_activity_at = ?
         WHERE id = ?`;
       
+      const now = new Date();
       await pool.execute(updateSql, [
         call_type,
         disposition_1,
         disposition_2,
         disposition_2_custom || null,
+        dispositionVersionId,
+        tenant || null,
+        callId || null,
+        now,
+        now,
         recordId
       ]);
+      const [updated] = await pool.execute('SELECT * FROM forms_new WHERE id = ?', [recordId]);
+      await recordFormChange(recordId, 'update', rows[0], updated[0], changeContext({ user }, 'webhook'));
 
-      // Forward disposition to VoiceMeetMe if details provided
-      if (tenant && callId) {
-        try {
-          // Create a combined disposition string for VoiceMeetMe
-          const combinedDisposition = disposition_2_custom 
-            ? `${call_type} - ${disposition_1} - ${disposition_2_custom}`
-            : `${call_type} - ${disposition_1} - ${disposition_2}`;
-            
-          await updateCallDisposition(tenant, callId, combinedDisposition);
-          console.log(`Call disposition forwarded to VoiceMeetMe for callId ${callId}: ${combinedDisposition}`);
-        } catch (e) {
-          console.error('Failed to push disposition to VoiceMeetMe:', e.message);
-        }
-      }
+      // Forward disposition to VoiceMeetMe (queued and retried by the sync worker)
+      await queueDispositionSync(updated[0]);
 
       res.json({ success: true, message: 'Disposition updated successfully' });
     } else {
@@ -160,13 +238,13 @@ async function processWebhookPostData(data, res) {
 }
 
 // GET webhook endpoint (for call initiation)
-app.get('/webhook', (req, res) => {
-  processWebhookData(req.query, res);
+app.get('/webhook', verifyWebhookSignature, webhookTenant, requirePbx, validateQuery, (req, res) => {
+  processWebhookData(req.query, res, changeContext(req, 'webhook'));
 });
 
 // POST webhook endpoint (for disposition updates)
-app.post('/webhook', (req, res) => {
-  processWebhookPostData(req.body, res);
+app.post('/webhook', webhookTenant, requireDispositioner, validateBody, (req, res) => {
+  processWebhookPostData(req.body, res, req.user);
 });
 
 // Health check endpoint
@@ -177,12 +255,12 @@ app.get('/webhook/health', (req, res) => {
 // Export the setup function for integration with main server
 export function setupWebhookRoutes(mainApp) {
   // Mount webhook routes on the main app
-  mainApp.get('/webhook', (req, res) => {
-    processWebhookData(req.query, res);
+  mainApp.get('/webhook', verifyWebhookSignature, webhookTenant, requirePbx, validateQuery, (req, res) => {
+    processWebhookData(req.query, res, changeContext(req, 'webhook'));
   });
 
-  mainApp.post('/webhook', (req, res) => {
-    processWebhookPostData(req.body, res);
+  mainApp.post('/webhook', webhookTenant, requireDispositioner, validateBody, (req, res) => {
+    processWebhookPostData(req.body, res, req.user);
   });
 
   mainApp.get('/webhook/health', (req, res) => {
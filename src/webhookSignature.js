@@ -0,0 +1,284 @@
+// src/webhookSignature.js
+
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { pool } from './form.js';
+import { requireRole } from './auth.js';
+import { httpError, sendError } from './httpError.js';
+import { requirePlatform } from './tenants.js';
+
+dotenv.config();
+
+// 'enforce' (default) rejects unsigned calls, 'off' disables the check for local development
+const SIGNING_MODE = process.env.WEBHOOK_SIGNING || 'enforce';
+const MAX_SKEW_SECONDS = Number(process.env.WEBHOOK_MAX_SKEW_SECONDS) || 300;
+
+// Parameters that carry credentials and are therefore not part of the signed string
+const UNSIGNED_PARAMS = ['sig', 'token'];
+
+/**
+ * The string the call center signs: `<ts>.<k1>=<v1>&<k2>=<v2>...` with the
+ * remaining query parameters sorted by name. Names and values are encoded as
+ * JavaScript's encodeURIComponent does (letters, digits and -_.!~*'() stay,
+ * everything else becomes UTF-8 %XX with uppercase hex, a space %20), so a
+ * value containing '&' or '=' cannot pass for other parameters. A parameter
+ * repeated in the URL gives one pair per value, in URL order.
+ * @param {Object} params Query parameters
+ * @param {string|number} timestamp Unix seconds
+ */
+export function canonicalString(params, timestamp) {
+  const pairs = Object.keys(params)
+    .filter(key => key !== 'ts' && !UNSIGNED_PARAMS.includes(key))
+    .sort()
+    .flatMap(key => [].concat(params[key] ?? '')
+      .map(value => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`));
+  return `${timestamp}.${pairs.join('&')}`;
+}
+
+/**
+ * Sign webhook parameters, e.g. to build a test URL or configure the PBX
+ * @param {Object} params Query parameters (without ts/sig)
+ * @param {string} secret Tenant secret
+ * @param {number} [timestamp] Unix seconds, defaults to now
+ * @returns {{ ts: number, sig: string }}
+ */
+export function signWebhookParams(params, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const sig = crypto.createHmac('sha256', secret).update(canonicalString(params, timestamp)).digest('hex');
+  return { ts: timestamp, sig };
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Remember an accepted call until its timestamp leaves the window, in
+ * webhook_replays so every instance refuses a replayed URL, also after a
+ * restart. Calls are keyed by signature or (token mode) by a hash of token,
+ * ts and parameters.
+ * @param {string} key
+ * @param {number} timestamp Unix seconds of the call
+ * @returns {Promise<boolean>} false when the call was seen before
+ */
+async function markSeen(key, timestamp) {
+  await pool.execute('DELETE FROM webhook_replays WHERE expires_at < ?', [new Date()]);
+  try {
+    await pool.execute(
+      'INSERT INTO webhook_replays (call_key, expires_at) VALUES (?, ?)',
+      [key, new Date((timestamp + MAX_SKEW_SECONDS) * 1000)]
+    );
+    return true;
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') return false;
+    throw err;
+  }
+}
+
+function tokenCallKey(params, token, timestamp) {
+  const digest = crypto.createHash('sha256').update(`${token}\n${canonicalString(params, timestamp)}`).digest('hex');
+  return `token:${digest}`;
+}
+
+/**
+ * Secrets valid for a tenant: its own plus the default (tenant NULL) ones, and
+ * WEBHOOK_SECRET from the environment as a last resort.
+ * @param {string} [tenant]
+ * @returns {Promise<string[]>}
+ */
+async function secretsForTenant(tenant) {
+  const [rows] = await pool.execute(
+    `SELECT secret FROM webhook_secrets
+      WHERE is_active = TRUE AND (tenant = ? OR tenant IS NULL)
+      ORDER BY tenant IS NULL, id DESC`,
+    [tenant || '']
+  );
+  const secrets = rows.map(r => r.secret);
+  if (process.env.WEBHOOK_SECRET) secrets.push(process.env.WEBHOOK_SECRET);
+  return secrets;
+}
+
+/**
+ * Check a webhook call against the tenant secrets: an HMAC `sig` over ts and
+ * the parameters (see canonicalString), or the secret itself as `token`
+ * @param {Object} params Query parameters including ts and sig or token
+ * @returns {Promise<string|null>} Reason for rejection, or null when valid
+ */
+export async function checkWebhookSignature(params) {
+  const { ts, sig, token, tenant } = params;
+  if (!sig && !token) return 'missing_signature';
+
+  const timestamp = Number(ts);
+  if (!ts || !Number.isInteger(timestamp)) return 'missing_timestamp';
+  if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > MAX_SKEW_SECONDS) return 'stale_timestamp';
+
+  const secrets = await secretsForTenant(tenant);
+  if (secrets.length === 0) return 'no_secret_configured';
+
+  if (sig) {
+    const valid = secrets.some(secret => safeEqual(signWebhookParams(params, secret, timestamp).sig, sig));
+    if (!valid) return 'bad_signature';
+    if (!(await markSeen(sig, timestamp))) return 'replayed';
+    return null;
+  }
+
+  // Shared-secret token for PBXs that cannot compute an HMAC. Weaker than a
+  // signature: ts and the parameters are not bound to the secret, so anyone
+  // who sees one URL can build new calls with it. Only exact repeats are caught.
+  if (!secrets.some(secret => safeEqual(secret, token))) return 'bad_token';
+  if (!(await markSeen(tokenCallKey(params, token, timestamp), timestamp))) return 'replayed';
+  return null;
+}
+
+async function recordRejection(req, reason) {
+  try {
+    const { sig, token, ...params } = req.query;
+    await pool.execute(
+      `INSERT INTO webhook_rejections (tenant, reason, ip_address, method, params, user_agent)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        params.tenant || null,
+        reason,
+        req.ip || null,
+        req.method,
+        JSON.stringify(params),
+        (req.get('user-agent') || '').slice(0, 255) || null,
+      ]
+    );
+  } catch (err) {
+    console.error('Failed to record webhook rejection:', err.message);
+  }
+  console.warn(`Webhook rejected (${reason}) from ${req.ip}`);
+}
+
+/**
+ * Express middleware rejecting unsigned, forged or replayed webhook calls with 401.
+ * Every rejection is written to webhook_rejections.
+ */
+export async function verifyWebhookSignature(req, res, next) {
+  if (SIGNING_MODE === 'off') return next();
+
+  try {
+    const reason = await checkWebhookSignature(req.query);
+    if (!reason) return next();
+
+    await recordRejection(req, reason);
+    res.status(401).json({ error: 'Invalid webhook signature', reason });
+  } catch (err) {
+    sendError(res, err);
+  }
+}
+
+// --- Admin API --------------------------------------------------------------
+
+// Only the last characters of a secret are ever shown again
+function maskSecret(row) {
+  return { ...row, secret: `…${String(row.secret).slice(-4)}` };
+}
+
+/**
+ * Lists webhook secrets, masked
+ */
+export async function listWebhookSecrets() {
+  const [rows] = await pool.execute('SELECT * FROM webhook_secrets ORDER BY tenant, id');
+  return rows.map(maskSecret);
+}
+
+/**
+ * Create a secret for a tenant (or the default one when tenant is empty).
+ * A secret is generated unless one is supplied; it is returned in full only here.
+ * @param {Object} data { tenant, secret }
+ */
+export async function createWebhookSecret({ tenant, secret } = {}) {
+  const value = secret || crypto.randomBytes(32).toString('hex');
+  if (String(value).length < 16) throw httpError(400, 'secret must be at least 16 characters');
+
+  const [result] = await pool.execute(
+    'INSERT INTO webhook_secrets (tenant, secret) VALUES (?, ?)',
+    [tenant || null, value]
+  );
+  return { id: result.insertId, tenant: tenant || null, secret: value };
+}
+
+/**
+ * Deactivates a secret. Keep the old secret active until the PBX uses the new one.
+ * @param {number} id
+ */
+export async function revokeWebhookSecret(id) {
+  const [result] = await pool.execute('UPDATE webhook_secrets SET is_active = FALSE WHERE id = ?', [id]);
+  if (result.affectedRows === 0) throw httpError(404, 'Webhook secret not found');
+}
+
+/**
+ * Lists recent rejected webhook calls
+ * @param {Object} filters { tenant, reason, limit }
+ */
+export async function listWebhookRejections({ tenant, reason, limit } = {}) {
+  const where = [];
+  const params = [];
+  if (tenant) {
+    where.push('tenant = ?');
+    params.push(tenant);
+  }
+  if (reason) {
+    where.push('reason = ?');
+    params.push(reason);
+  }
+  const max = Math.min(Math.max(parseInt(limit, 10) || 100, 1), 500);
+
+  const [rows] = await pool.execute(
+    `SELECT * FROM webhook_rejections
+      ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY id DESC
+      LIMIT ${max}`,
+    params
+  );
+  return rows;
+}
+
+/**
+ * Mount the webhook secret / rejection audit API. Every route requires a
+ * platform admin: default secrets are shared by all tenants.
+ * @param {Object} app Express application
+ */
+export function setupWebhookSignatureRoutes(app) {
+  const requireAdmin = requireRole('admin');
+
+  app.get('/webhook-secrets', requireAdmin, requirePlatform, async (_req, res) => {
+    try {
+      res.json(await listWebhookSecrets());
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // The full secret is only shown in this response
+  app.post('/webhook-secrets', requireAdmin, requirePlatform, async (req, res) => {
+    try {
+      res.status(201).json(await createWebhookSecret(req.body || {}));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  app.delete('/webhook-secrets/:id', requireAdmin, requirePlatform, async (req, res) => {
+    try {
+      await revokeWebhookSecret(req.params.id);
+      res.sendStatus(204);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // ?tenant=acme&reason=bad_signature&limit=50
+  app.get('/webhook-rejections', requireAdmin, requirePlatform, async (req, res) => {
+    try {
+      res.json(await listWebhookRejections(req.query));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  console.log('Webhook signature routes configured');
+}
@@ -1,6 +1,7 @@
 // test-form.js - Test script to verify the disposition form system
 
 import { handleFormSubmission, getDispositionHierarchy, getDispositionEmail } from './src/form.js';
+import { DEFAULT_TENANT_ID } from './src/tenants.js';
 
 async function testDispositionSystem() {
   console.log('🧪 Testing Disposition Form System\n');
@@ -8,7 +9,7 @@ async function testDispositionSystem() {
   try {
     // Test 1: Get disposition hierarchy
     console.log('1️⃣ Testing disposition hierarchy...');
-    const hierarchy = await getDispositionHierarchy();
+    const hierarchy = await getDispositionHierarchy('live', DEFAULT_TENANT_ID);
     
     const callTypes = Object.keys(hierarchy);
     console.log(`✅ Found ${callTypes.length} call types: ${callTypes.join(', ')}`);
@@ -34,7 +35,7 @@ async function testDispositionSystem() {
     ];
 
     for (const [callType, disp1, disp2] of testCases) {
-      const { email, isCustomInput } = await getDispositionEmail(callType, disp1, disp2);
+      const { email, isCustomInput } = await getDispositionEmail(callType, disp1, disp2, DEFAULT_TENANT_ID);
       console.log(`   ${callType} → ${disp1} → ${disp2}: ${email || 'No email'} ${isCustomInput ? '(Custom Input)' : ''}`);
     }
 
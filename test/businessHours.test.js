@@ -0,0 +1,41 @@
+// test/businessHours.test.js - SLA deadlines in business hours (businessHours.js),
+// with the default calendar: Monday to Friday, 08:00-17:00 Asia/Dubai (UTC+4)
+import { onQuery, resetDb } from './support/db.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { addBusinessHours } from '../src/businessHours.js';
+
+const NO_HOLIDAYS = new Set();
+
+// A wall-clock time in Dubai, e.g. dubai('2026-10-19 10:00') (19 Oct 2026 is a Monday)
+const dubai = local => new Date(`${local.replace(' ', 'T')}:00+04:00`);
+
+test('counts hours within a working day', async () => {
+  assert.deepEqual(await addBusinessHours(dubai('2026-10-19 10:00'), 3, NO_HOLIDAYS), dubai('2026-10-19 13:00'));
+  assert.deepEqual(await addBusinessHours(dubai('2026-10-19 10:00'), 0.5, NO_HOLIDAYS), dubai('2026-10-19 10:30'));
+});
+
+test('carries the rest over to the next morning', async () => {
+  assert.deepEqual(await addBusinessHours(dubai('2026-10-19 15:00'), 4, NO_HOLIDAYS), dubai('2026-10-20 10:00'));
+  assert.deepEqual(await addBusinessHours(dubai('2026-10-19 20:00'), 1, NO_HOLIDAYS), dubai('2026-10-20 09:00'));
+});
+
+test('does not count time before opening', async () => {
+  assert.deepEqual(await addBusinessHours(dubai('2026-10-19 06:00'), 1, NO_HOLIDAYS), dubai('2026-10-19 09:00'));
+});
+
+test('skips the weekend', async () => {
+  assert.deepEqual(await addBusinessHours(dubai('2026-10-23 16:00'), 2, NO_HOLIDAYS), dubai('2026-10-26 09:00'));
+  assert.deepEqual(await addBusinessHours(dubai('2026-10-24 12:00'), 1, NO_HOLIDAYS), dubai('2026-10-26 09:00'));
+});
+
+test('skips public holidays', async () => {
+  const holidays = new Set(['2026-10-26']);
+  assert.deepEqual(await addBusinessHours(dubai('2026-10-23 16:00'), 2, holidays), dubai('2026-10-27 09:00'));
+});
+
+test('reads the public holidays from the database by default', async () => {
+  resetDb();
+  onQuery(/FROM public_holidays/, () => [{ day: '2026-10-20' }]);
+  assert.deepEqual(await addBusinessHours(dubai('2026-10-19 16:00'), 2), dubai('2026-10-21 09:00'));
+});
@@ -0,0 +1,46 @@
+// test/callers.test.js - caller lookup (callers.js) on the scripted database
+import { onQuery, resetDb } from './support/db.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { callerHistory } from '../src/callers.js';
+
+const AGENT = { role: 'agent', tenantId: 1, agentId: '1001', queues: [] };
+const SUPERVISOR = { role: 'supervisor', tenantId: 1, queues: ['600'] };
+
+const interaction = (fields) => ({
+  tenant_id: 1, status: 'submitted', call_type: 'Support', disposition_1: 'Billing', disposition_2: 'Refund',
+  query: 'Refund for invoice 42', company: 'Acme', name: 'Jane Caller', contact_number: '0821234567',
+  caller_id_number: '0821234567', ...fields,
+});
+
+beforeEach(() => {
+  resetDb();
+  onQuery(/FROM forms_new\s+WHERE \(caller_number_normalized/, () => [
+    interaction({ id: 1, queue_id: '600', agent_id: '1001' }),
+    interaction({ id: 2, queue_id: '700', agent_id: '2002' }),
+  ]);
+  onQuery(/AS previous_interactions/, () => [{ previous_interactions: 2, open_complaints: 0, recent_interactions: 0 }]);
+});
+
+test('shows the details of interactions the agent handled', async () => {
+  const { interactions: [own] } = await callerHistory('082 123 4567', AGENT);
+  assert.equal(own.in_scope, true);
+  assert.equal(own.query, 'Refund for invoice 42');
+  assert.equal(own.name, 'Jane Caller');
+});
+
+test('hides the query and caller details of other agents\' interactions', async () => {
+  const { interactions: [, other] } = await callerHistory('082 123 4567', AGENT);
+  assert.equal(other.in_scope, false);
+  assert.equal(other.disposition_2, 'Refund');
+  for (const field of ['query', 'company', 'name', 'contact_number']) assert.equal(other[field], undefined, field);
+});
+
+test('scopes supervisors by queue', async () => {
+  const { interactions } = await callerHistory('0821234567', SUPERVISOR);
+  assert.deepEqual(interactions.map(i => i.in_scope), [true, false]);
+});
+
+test('rejects numbers that cannot be normalised', async () => {
+  await assert.rejects(callerHistory('not a number', AGENT), { status: 400 });
+});
@@ -0,0 +1,20 @@
+// test/contacts.test.js - contacts directory (contacts.js) on the scripted database
+import { onQuery, resetDb, queriesMatching } from './support/db.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { deleteContact } from '../src/contacts.js';
+
+beforeEach(resetDb);
+
+test('deletes a contact and its numbers within the tenant', async () => {
+  onQuery(/DELETE FROM contacts/, () => ({ affectedRows: 1 }));
+  await deleteContact(9, 2);
+  const [numbers] = queriesMatching(/DELETE FROM contact_numbers/);
+  assert.match(numbers.sql, /tenant_id = \?/);
+  assert.deepEqual(numbers.params, [9, 2]);
+  assert.deepEqual(queriesMatching(/DELETE FROM contacts/)[0].params, [9, 2]);
+});
+
+test('reports another tenant\'s contact as not found', async () => {
+  await assert.rejects(deleteContact(9, 3), { status: 404 });
+});
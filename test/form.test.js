@@ -0,0 +1,62 @@
+// test/form.test.js - form updates (form.js) on the scripted database
+import { onQuery, resetDb, queriesMatching } from './support/db.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { updateFormSubmission } from '../src/form.js';
+
+const DELIVERY_INSERT = /INSERT IGNORE INTO integration_deliveries/;
+
+// The placeholder GET /webhook opens for a call, before the agent dispositions it
+const PLACEHOLDER = {
+  id: 41, tenant_id: 1, status: 'in_progress', disposition_version_id: 3,
+  company: null, name: 'Unknown', contact_number: null, email: null,
+  call_type: null, disposition_1: null, disposition_2: null, query: null,
+  queue_id: '600', queue_name: 'Sales', agent_id: '1001', agent_ext: '1001',
+  caller_id_name: 'Caller', caller_id_number: '0821234567',
+  vmm_tenant: null, vmm_call_id: null,
+};
+
+const DISPOSITION = { call_type: 'Sales', disposition_1: 'Quote', disposition_2: 'Sent' };
+
+// Scripts a database holding `form`, which UPDATE forms_new edits in place
+function givenForm(form) {
+  let row = { ...form };
+  onQuery(/FROM forms_new WHERE id = \?/, () => [row]);
+  onQuery(/^UPDATE forms_new SET/, (params) => {
+    row = {
+      ...row, call_type: params[4], disposition_1: params[5], disposition_2: params[6], status: params.at(-3),
+    };
+    return { affectedRows: 1 };
+  });
+  onQuery(/FROM disposition_versions/, () => [{ id: 3 }]);
+  onQuery(/FROM disposition_config/, () => [{ ...DISPOSITION, email_address: null, is_custom_input: 0 }]);
+  onQuery(/FROM integration_destinations WHERE tenant_id/, () => [{ id: 7 }]);
+  onQuery(DELIVERY_INSERT, () => ({ affectedRows: 1 }));
+}
+
+beforeEach(resetDb);
+
+test('queues the CRM delivery when an update submits the form', async () => {
+  givenForm(PLACEHOLDER);
+  await updateFormSubmission(PLACEHOLDER.id, { ...DISPOSITION, query: 'Wants a quote' });
+
+  const [delivery] = queriesMatching(DELIVERY_INSERT);
+  assert.ok(delivery, 'a delivery was queued');
+  const [destinationId, formId, event, , payload] = delivery.params;
+  assert.equal(destinationId, 7);
+  assert.equal(formId, PLACEHOLDER.id);
+  assert.equal(event, 'submitted');
+  assert.equal(JSON.parse(payload).disposition_2, 'Sent');
+});
+
+test('does not queue deliveries for partial saves', async () => {
+  givenForm(PLACEHOLDER);
+  await updateFormSubmission(PLACEHOLDER.id, { call_type: 'Sales' });
+  assert.equal(queriesMatching(DELIVERY_INSERT).length, 0);
+});
+
+test('does not queue deliveries again when a submitted form is edited', async () => {
+  givenForm({ ...PLACEHOLDER, ...DISPOSITION, status: 'submitted' });
+  await updateFormSubmission(PLACEHOLDER.id, { query: 'Quote resent' });
+  assert.equal(queriesMatching(DELIVERY_INSERT).length, 0);
+});
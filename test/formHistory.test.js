@@ -0,0 +1,49 @@
+// test/formHistory.test.js - form change history (formHistory.js)
+import { resetDb, queriesMatching } from './support/db.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffForm, recordFormChange } from '../src/formHistory.js';
+
+const BEFORE = {
+  id: 41, name: 'Jane', email: null, call_type: 'Sales', disposition_1: 'Quote', disposition_2: null,
+  queue_id: 600, status: 'in_progress', deleted_at: null, last_activity_at: new Date('2026-10-19T06:00:00Z'),
+};
+
+beforeEach(resetDb);
+
+test('lists every changed tracked field with its old and new value', () => {
+  const after = { ...BEFORE, name: 'Jane Caller', disposition_2: 'Sent', status: 'submitted' };
+  assert.deepEqual(diffForm(BEFORE, after), {
+    name: { from: 'Jane', to: 'Jane Caller' },
+    disposition_2: { from: null, to: 'Sent' },
+    status: { from: 'in_progress', to: 'submitted' },
+  });
+});
+
+test('treats empty, null and missing values alike and compares as text', () => {
+  assert.deepEqual(diffForm(BEFORE, { ...BEFORE, email: '', queue_id: '600' }), {});
+  assert.deepEqual(diffForm({ company: undefined }, { company: null }), {});
+});
+
+test('ignores bookkeeping columns and writes dates as ISO strings', () => {
+  const deletedAt = new Date('2026-10-20T08:00:00Z');
+  assert.deepEqual(
+    diffForm(BEFORE, { ...BEFORE, last_activity_at: new Date(), deleted_at: deletedAt }),
+    { deleted_at: { from: null, to: '2026-10-20T08:00:00.000Z' } }
+  );
+});
+
+test('records every field of a created form', () => {
+  const changes = diffForm(null, { name: 'Jane', status: 'submitted' });
+  assert.deepEqual(changes, { name: { from: null, to: 'Jane' }, status: { from: null, to: 'submitted' } });
+});
+
+test('skips updates that change nothing and attributes API key changes', async () => {
+  await recordFormChange(41, 'update', BEFORE, { ...BEFORE });
+  assert.equal(queriesMatching(/INSERT INTO form_history/).length, 0);
+
+  const integration = { id: 3, apiKeyId: 7, username: 'crm-sync' };
+  await recordFormChange(41, 'update', BEFORE, { ...BEFORE, name: 'Jane Caller' }, { source: 'api', actor: integration });
+  const [insert] = queriesMatching(/INSERT INTO form_history/);
+  assert.deepEqual(insert.params.slice(0, 6), [41, 'update', 'api', null, 7, 'crm-sync']);
+});
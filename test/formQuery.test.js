@@ -0,0 +1,72 @@
+// test/formQuery.test.js - form list sorting and paging (formQuery.js)
+import { pool, onQuery, resetDb, queriesMatching } from './support/db.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSort, queryForms } from '../src/formQuery.js';
+
+const ADMIN = { role: 'admin', tenantId: 1 };
+
+beforeEach(resetDb);
+
+test('sorts by created_at, newest first, by default', () => {
+  assert.deepEqual(parseSort(), { column: 'created_at', expression: 'f.created_at', direction: 'DESC' });
+});
+
+test('accepts sort with order, or a leading minus', () => {
+  assert.equal(parseSort({ sort: 'company', order: 'asc' }).direction, 'ASC');
+  assert.deepEqual(parseSort({ sort: '-queue_id' }), {
+    column: 'queue_id', expression: "COALESCE(f.queue_id, '')", direction: 'DESC',
+  });
+});
+
+test('rejects unknown columns, bad orders and repeated parameters', () => {
+  for (const query of [{ sort: 'query' }, { sort: 'id;DROP TABLE forms_new' }, { order: 'sideways' },
+    { sort: ['id', 'name'] }, { sort: 'id', order: ['asc', 'desc'] }]) {
+    assert.throws(() => parseSort(query), { status: 400 }, JSON.stringify(query));
+  }
+});
+
+// Scripts `count` forms with ids count..1, created a minute apart, newest first
+function givenForms(count) {
+  const rows = Array.from({ length: count }, (_, i) => ({
+    id: count - i, company: `Company ${count - i}`, created_at: new Date(Date.UTC(2026, 9, 19, 8, count - i)),
+  }));
+  onQuery(/SELECT f\.\*/, (_params, sql) => rows.slice(0, Number(sql.match(/LIMIT (\d+)/)[1])));
+  onQuery(/COUNT\(\*\) AS total/, () => [{ total: count }]);
+}
+
+test('returns a cursor for the next page that resumes after the last row', async () => {
+  givenForms(5);
+  const first = await queryForms(pool, { limit: '2' }, ADMIN);
+  assert.deepEqual(first.data.map(f => f.id), [5, 4]);
+  assert.equal(first.pagination.total, 5);
+  assert.equal(first.pagination.hasMore, true);
+  assert.ok(first.pagination.nextCursor);
+
+  resetDb();
+  givenForms(5);
+  const second = await queryForms(pool, { limit: '2', cursor: first.pagination.nextCursor }, ADMIN);
+  const [select] = queriesMatching(/SELECT f\.\*/);
+  assert.match(select.sql, /\(f\.created_at < \? OR \(f\.created_at = \? AND f\.id < \?\)\)/);
+  assert.deepEqual(select.params.slice(-3), [new Date(Date.UTC(2026, 9, 19, 8, 4)), new Date(Date.UTC(2026, 9, 19, 8, 4)), 4]);
+  assert.equal(second.pagination.offset, null);
+});
+
+test('rejects cursors that are malformed or belong to another sort', async () => {
+  givenForms(3);
+  const { pagination } = await queryForms(pool, { limit: '1' }, ADMIN);
+  await assert.rejects(queryForms(pool, { cursor: 'not-a-cursor' }, ADMIN), { status: 400, message: 'Invalid cursor' });
+  await assert.rejects(queryForms(pool, { sort: 'company', cursor: pagination.nextCursor }, ADMIN), {
+    status: 400, message: 'Cursor does not match the requested sort',
+  });
+});
+
+test('clamps the limit and turns pages into offsets', async () => {
+  givenForms(3);
+  const { pagination } = await queryForms(pool, { limit: '10000', page: '3' }, ADMIN);
+  assert.equal(pagination.limit, 500);
+  assert.equal(pagination.offset, 1000);
+  assert.equal(pagination.hasMore, false);
+  assert.equal(pagination.nextCursor, null);
+  assert.match(queriesMatching(/SELECT f\.\*/)[0].sql, /LIMIT 501 OFFSET 1000/);
+});
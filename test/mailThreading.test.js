@@ -0,0 +1,47 @@
+// test/mailThreading.test.js - reply threading (mailThreading.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.MAIL_THREAD_SECRET = 'thread-secret-for-tests';
+process.env.INBOUND_REPLY_ADDRESS = 'replies@example.com';
+
+// Imported once the environment above is in place; the reply address is read on load
+const { threadToken, threadHeaders, formIdFromThread, stripQuotedReply } = await import('../src/mailThreading.js');
+
+test('finds the form in the headers or the plus address of a reply', () => {
+  const { messageId, replyTo } = threadHeaders(42);
+  assert.match(replyTo, /^replies\+form-42-[0-9a-f]{12}@example\.com$/);
+  assert.equal(formIdFromThread([undefined, `<other@example.com> ${messageId}`]), 42);
+  assert.equal(formIdFromThread(['Team <desk@example.com>', replyTo.toUpperCase()]), 42);
+});
+
+test('ignores tokens with a forged or missing signature', () => {
+  const [, , sig] = threadToken(42).split('-');
+  assert.equal(formIdFromThread([`form-43-${sig}`]), null);
+  assert.equal(formIdFromThread(['form-42-000000000000', 'form-42']), null);
+  assert.equal(formIdFromThread([]), null);
+});
+
+test('keeps only the new text of a reply', () => {
+  const reply = [
+    'Called the customer back, resolved.',
+    '',
+    'On Mon, 19 Oct 2026 at 10:00, Call Center <noreply@example.com> wrote:',
+    '> We received a call with the following details',
+  ].join('\r\n');
+  assert.equal(stripQuotedReply(reply), 'Called the customer back, resolved.');
+});
+
+test('cuts at Outlook style headers and original message separators', () => {
+  assert.equal(
+    stripQuotedReply('Done.\n\nFrom: Call Center <noreply@example.com>\nSent: Monday\nSubject: Call'),
+    'Done.'
+  );
+  assert.equal(stripQuotedReply('Done.\n-----Original Message-----\nFrom: x'), 'Done.');
+  assert.equal(stripQuotedReply('Done.\n________________________________\nold'), 'Done.');
+});
+
+test('drops quoted lines and copes with empty bodies', () => {
+  assert.equal(stripQuotedReply('> quoted\nNew line\n>> more'), 'New line');
+  assert.equal(stripQuotedReply(undefined), '');
+});
@@ -0,0 +1,31 @@
+// test/phone.test.js - phone number normalisation (phone.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizePhone } from '../src/phone.js';
+
+const UAE = { countryCode: '971' };
+
+test('writes every form of a number as the same E.164 number', () => {
+  for (const raw of ['+971 50 123 4567', '00971501234567', '971501234567', '050-123-4567', '(050) 123 4567', '50 123 4567']) {
+    assert.equal(normalizePhone(raw, UAE), '+971501234567', raw);
+  }
+});
+
+test('keeps foreign numbers dialled internationally', () => {
+  assert.equal(normalizePhone('+44 20 7946 0958', UAE), '+442079460958');
+  assert.equal(normalizePhone('0044 20 7946 0958', UAE), '+442079460958');
+});
+
+test('uses the given country code for national numbers', () => {
+  assert.equal(normalizePhone('082 123 4567', { countryCode: '27' }), '+27821234567');
+});
+
+test('accepts numbers passed as numbers', () => {
+  assert.equal(normalizePhone(971501234567, UAE), '+971501234567');
+});
+
+test('rejects extensions, withheld numbers and empty values', () => {
+  for (const raw of ['1001', 'anonymous', 'Unknown', '', '   ', null, undefined, '+0123456789', '050 123 4567 ext 12']) {
+    assert.equal(normalizePhone(raw, UAE), null, String(raw));
+  }
+});
@@ -0,0 +1,108 @@
+// test/routing.test.js - routing and departments (routing.js) on the scripted database
+import { onQuery, resetDb, queriesMatching } from './support/db.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { deleteDepartment, matchesPattern, resolveRouting } from '../src/routing.js';
+
+beforeEach(resetDb);
+
+// Scripts department 5 of tenant 1 and the rows referring to it
+function givenDepartment(uses) {
+  onQuery(/FROM departments WHERE id = \? AND tenant_id = \?/, ([id, tenantId]) => (
+    Number(id) === 5 && tenantId === 1 ? [{ id: 5 }] : []
+  ));
+  onQuery(/AS rules/, () => [{ rules: 0, templates: 0, tickets: 0, ...uses }]);
+}
+
+test('deletes an unused department, unlinking its resolved tickets', async () => {
+  givenDepartment({});
+  await deleteDepartment(5, 1);
+  assert.equal(queriesMatching(/UPDATE tickets SET department_id = NULL/).length, 1);
+  assert.equal(queriesMatching(/DELETE FROM departments/).length, 1);
+});
+
+test('refuses to delete a department that templates or open tickets use', async () => {
+  givenDepartment({ templates: 2, tickets: 1 });
+  await assert.rejects(deleteDepartment(5, 1), {
+    status: 409,
+    message: 'Department is used by 2 email template(s), 1 unresolved ticket(s)',
+  });
+  assert.equal(queriesMatching(/DELETE FROM departments/).length, 0);
+});
+
+test('reports another tenant\'s department as not found', async () => {
+  givenDepartment({});
+  await assert.rejects(deleteDepartment(5, 2), { status: 404 });
+});
+
+test('matches case-insensitive * patterns against the whole value', () => {
+  assert.equal(matchesPattern('*', 'anything'), true);
+  assert.equal(matchesPattern(null, undefined), true);
+  assert.equal(matchesPattern('acme*', ' ACME Trading '), true);
+  assert.equal(matchesPattern('*trading', 'Acme Trading LLC'), false);
+  assert.equal(matchesPattern('a.b (c)', 'a.b (c)'), true);
+  assert.equal(matchesPattern('a.b', 'axb'), false);
+  assert.equal(matchesPattern('Sales', undefined), false);
+});
+
+// Monday 19 Oct 2026 in Dubai (UTC+4, the default ROUTING_TIMEZONE)
+const MONDAY_10AM = new Date('2026-10-19T06:00:00Z');
+const MONDAY_8PM = new Date('2026-10-19T16:00:00Z');
+const SATURDAY_8PM = new Date('2026-10-24T16:00:00Z');
+
+const SALE = { tenant_id: 1, call_type: 'Sales', disposition_1: 'Quote', disposition_2: 'Sent', company: 'Globex' };
+
+const rule = fields => ({
+  call_type: '*', disposition_1: '*', disposition_2: '*', queue_id: null, queue_name: null, agent_id: null,
+  company_pattern: null, time_from: null, time_to: null, days_of_week: null,
+  to_addresses: null, cc_addresses: null, bcc_addresses: null, use_disposition_email: 0, department_id: null,
+  ...fields,
+});
+
+const RULES = [
+  rule({ id: 1, name: 'Key accounts', priority: 10, company_pattern: 'acme*',
+    to_addresses: 'accounts@example.com, sales@example.com', cc_addresses: 'lead@example.com', use_disposition_email: 1 }),
+  rule({ id: 2, name: 'Sales out of hours', priority: 20, call_type: 'Sales',
+    days_of_week: '1,2,3,4,5', time_from: '18:00', time_to: '08:00', department_id: 5 }),
+];
+
+function givenRouting(rules = RULES) {
+  onQuery(/FROM disposition_config/, () => [{
+    email_address: 'sales@example.com', is_custom_input: 0, sla_hours: 24, ack_sla_hours: null, escalation_email: null,
+  }]);
+  onQuery(/FROM routing_rules/, () => rules);
+  onQuery(/FROM departments WHERE id = \? AND tenant_id = \?/, () => [
+    { id: 5, name: 'Night desk', email_address: 'night@example.com' },
+  ]);
+}
+
+test('routes by the first matching rule, adding the disposition mailbox once', async () => {
+  givenRouting();
+  const routing = await resolveRouting({ ...SALE, company: 'Acme Trading' }, { versionId: 3, at: MONDAY_10AM });
+  assert.equal(routing.source, 'rule');
+  assert.deepEqual(routing.rule, { id: 1, name: 'Key accounts' });
+  assert.deepEqual(routing.to, ['accounts@example.com', 'sales@example.com']);
+  assert.deepEqual(routing.cc, ['lead@example.com']);
+  assert.equal(routing.slaHours, 24);
+});
+
+test('applies overnight time windows on the listed weekdays', async () => {
+  givenRouting();
+  const evening = await resolveRouting(SALE, { versionId: 3, at: MONDAY_8PM });
+  assert.deepEqual(evening.rule, { id: 2, name: 'Sales out of hours' });
+  assert.deepEqual(evening.to, ['night@example.com']);
+  assert.equal(evening.departmentName, 'Night desk');
+
+  const weekend = await resolveRouting(SALE, { versionId: 3, at: SATURDAY_8PM });
+  assert.equal(weekend.rule, null);
+  assert.match(weekend.explanation[1].reason, /weekday 6 is not in 1,2,3,4,5/);
+});
+
+test('falls back to the disposition mailbox when no rule matches', async () => {
+  givenRouting();
+  const routing = await resolveRouting(SALE, { versionId: 3, at: MONDAY_10AM });
+  assert.equal(routing.source, 'disposition');
+  assert.deepEqual(routing.to, ['sales@example.com']);
+  assert.deepEqual(routing.explanation.map(e => e.matched), [false, false]);
+  assert.match(routing.explanation[1].reason, /time 10:00 is outside 18:00-08:00/);
+});
@@ -0,0 +1,54 @@
+// test/support/db.js - the app's modules on a scripted database. Import it
+// before any src/ module: it loads src/form.js first, as `npm start` does,
+// and answers the pool's queries with the handlers registered by the test.
+import { pool } from '../../src/form.js';
+
+const handlers = [];
+
+/** Every statement run since the last resetDb(): { sql, params } */
+export const queries = [];
+
+/**
+ * Answer statements whose SQL matches `pattern` with `reply(params, sql)`:
+ * rows for a SELECT, a result ({ affectedRows, insertId }) otherwise. The
+ * latest matching handler wins. Unmatched SELECTs find no rows and other
+ * statements change nothing.
+ * @param {RegExp} pattern
+ * @param {Function} reply
+ */
+export function onQuery(pattern, reply) {
+  handlers.unshift({ pattern, reply });
+}
+
+/** Drop the handlers and the query log */
+export function resetDb() {
+  handlers.length = 0;
+  queries.length = 0;
+}
+
+/** Statements run so far that match `pattern` */
+export function queriesMatching(pattern) {
+  return queries.filter(q => pattern.test(q.sql));
+}
+
+async function execute(sql, params = []) {
+  queries.push({ sql, params });
+  const handler = handlers.find(h => h.pattern.test(sql));
+  if (handler) return [await handler.reply(params, sql), []];
+  return /^\s*SELECT/i.test(sql) ? [[], []] : [{ affectedRows: 0, insertId: 0 }, []];
+}
+
+const connection = {
+  execute,
+  query: execute,
+  beginTransaction: async () => {},
+  commit: async () => {},
+  rollback: async () => {},
+  release: () => {},
+};
+
+pool.execute = execute;
+pool.query = execute;
+pool.getConnection = async () => connection;
+
+export { pool };
@@ -0,0 +1,45 @@
+// test/support/mockPortal.js - runs mock/server.js in a child process
+
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const SERVER = fileURLToPath(new URL('../../mock/server.js', import.meta.url));
+
+/**
+ * Start the mock portal and wait until it listens
+ * @param {Object} [env] MOCK_* settings, e.g. { MOCK_FAIL_FIRST: 2 }
+ * @param {number} [port] Port to listen on, random by default
+ * @returns {Promise<{ url: string, port: number, requests: Function, stop: Function }>}
+ *   requests() resolves to the "METHOD /path" lines of the requests the mock
+ *   received so far. It asks the mock itself: its log output can arrive after
+ *   the responses.
+ */
+export function startMockPortal(env = {}, port = 20000 + Math.floor(Math.random() * 20000)) {
+  const child = spawn(process.execPath, [SERVER], {
+    env: { ...process.env, ...env, MOCK_PORTAL_PORT: String(port) },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  let stderr = '';
+  child.stderr.on('data', (chunk) => { stderr += chunk; });
+
+  return new Promise((resolve, reject) => {
+    child.once('exit', code => reject(new Error(`Mock portal exited (${code}): ${stderr}`)));
+    child.stdout.setEncoding('utf8');
+    child.stdout.on('data', (chunk) => {
+      if (chunk.includes('listening on')) {
+        const url = `http://localhost:${port}`;
+        child.removeAllListeners('exit');
+        resolve({
+          url,
+          port,
+          requests: async () => (await fetch(`${url}/mock/requests`)).json(),
+          stop: () => new Promise((done) => {
+            if (child.exitCode !== null) return done();
+            child.once('exit', () => done());
+            child.kill();
+          }),
+        });
+      }
+    });
+  });
+}
@@ -0,0 +1,56 @@
+// test/templates.test.js - notification templates (templates.js)
+import { onQuery, resetDb } from './support/db.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileTemplate, renderTemplate, escapeHtml, renderNotification } from '../src/templates.js';
+
+test('fills in fields, dot paths and missing values', () => {
+  assert.equal(
+    renderTemplate('{{ name }} / {{ticket.id}} / [{{missing}}]', { name: 'Jane', ticket: { id: 12 } }),
+    'Jane / 12 / []'
+  );
+});
+
+test('renders if / else blocks on non-empty values', () => {
+  const source = '{{#if query}}Query: {{query}}{{else}}No query{{/if}}';
+  assert.equal(renderTemplate(source, { query: 'Refund' }), 'Query: Refund');
+  assert.equal(renderTemplate(source, { query: '   ' }), 'No query');
+  assert.equal(renderTemplate('{{#if a}}{{#if b}}ab{{else}}a{{/if}}{{/if}}', { a: 1, b: 0 }), 'a');
+  assert.equal(renderTemplate('{{#if list}}some{{else}}none{{/if}}', { list: [] }), 'none');
+});
+
+test('escapes values in HTML bodies, but not the template itself', () => {
+  const context = { name: '<script>alert("x")</script>', company: `O'Brien & Sons` };
+  assert.equal(
+    renderTemplate('<b>{{name}}</b> {{company}}', context, { html: true }),
+    '<b>&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;</b> O&#39;Brien &amp; Sons'
+  );
+  assert.equal(renderTemplate('{{company}}', context), `O'Brien & Sons`);
+  assert.equal(escapeHtml(null), '');
+});
+
+test('does not evaluate template syntax inside values', () => {
+  assert.equal(renderTemplate('{{name}}', { name: '{{#if x}}{{secret}}{{/if}}', secret: 'leak' }), '{{#if x}}{{secret}}{{/if}}');
+});
+
+test('rejects unbalanced blocks and empty tags with a 400', () => {
+  for (const source of ['{{#if a}}open', 'stray {{/if}}', '{{else}}', '{{#if a}}x{{else}}y{{else}}z{{/if}}', '{{ }}', '{{#if}}x{{/if}}']) {
+    assert.throws(() => compileTemplate(source), err => err.status === 400, source);
+  }
+});
+
+test('keeps subjects on one line and derives the text body from the HTML', async () => {
+  resetDb();
+  onQuery(/FROM email_templates/, () => [{
+    id: 4, tenant_id: 1, language: 'en', department_id: null,
+    call_type: null, disposition_1: null, disposition_2: null,
+    subject: 'Call from {{name}}', body_html: '<p>Company: {{company}}</p><p>{{query}}</p>', body_text: null,
+  }]);
+  const form = { tenant_id: 1, name: 'Jane\r\nBcc: victim@example.com', company: 'A & B', query: '<i>urgent</i>' };
+  const { subject, html, text, templateId } = await renderNotification(form, { to: [] });
+
+  assert.equal(templateId, 4);
+  assert.equal(subject, 'Call from Jane Bcc: victim@example.com');
+  assert.equal(html, '<p>Company: A &amp; B</p><p>&lt;i&gt;urgent&lt;/i&gt;</p>');
+  assert.equal(text, 'Company: A & B\n<i>urgent</i>');
+});
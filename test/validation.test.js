@@ -0,0 +1,81 @@
+// test/validation.test.js - request validation (validation.js)
+import { onQuery, resetDb } from './support/db.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validate, assertValid, schemas, checkDispositionPath } from '../src/validation.js';
+
+const FORM = {
+  company: 'Acme', name: 'Jane Caller', contact_number: '050 123 4567', email: 'jane@example.com',
+  call_type: 'Sales', disposition_1: 'Quote', disposition_2: 'Sent',
+};
+
+const fields = errors => errors.map(e => e.field);
+
+test('accepts a complete form and normalises its values', () => {
+  const { value, errors } = validate(schemas.createForm, { ...FORM, name: '  Jane Caller  ', extra: 'kept' });
+  assert.deepEqual(errors, []);
+  assert.equal(value.name, 'Jane Caller');
+  assert.equal(value.contact_number, '+971501234567');
+  assert.equal(value.extra, 'kept');
+});
+
+test('lists every missing required field on create', () => {
+  const { errors } = validate(schemas.createForm, { company: 'Acme' });
+  assert.deepEqual(fields(errors), ['name', 'contact_number', 'email', 'call_type', 'disposition_1', 'disposition_2']);
+  assert.ok(errors.every(e => e.message === 'is required'));
+});
+
+test('allows partial and empty values on update', () => {
+  assert.deepEqual(validate(schemas.updateForm, { name: '', query: 'Call back' }).errors, []);
+});
+
+test('rejects malformed emails, numbers and caller ids', () => {
+  const { errors } = validate(schemas.updateForm, {
+    email: 'jane@', contact_number: 'call me', caller_id_number: '+97150;DROP',
+  });
+  assert.deepEqual(fields(errors), ['contact_number', 'email', 'caller_id_number']);
+});
+
+test('enforces lengths, enums, patterns and ranges', () => {
+  assert.deepEqual(fields(validate(schemas.updateForm, { call_type: 'x'.repeat(51) }).errors), ['call_type']);
+  assert.deepEqual(fields(validate(schemas.listForms, { deleted: 'all', order: 'up' }).errors), ['deleted', 'order']);
+  assert.deepEqual(fields(validate(schemas.webhookBody, {
+    recordId: '0', call_type: 'Sales', disposition_1: 'Quote', disposition_2: 'Sent',
+  }).errors), ['recordId']);
+});
+
+test('converts integers and booleans given as strings', () => {
+  const { value, errors } = validate(schemas.listTickets, { limit: '50', overdue: 'true' });
+  assert.deepEqual(errors, []);
+  assert.equal(value.limit, 50);
+  assert.equal(value.overdue, true);
+  assert.deepEqual(fields(validate(schemas.listTickets, { limit: '5.5', overdue: 'yes' }).errors), ['overdue', 'limit']);
+});
+
+test('rejects repeated query parameters', () => {
+  assert.deepEqual(validate(schemas.listForms, { sort: ['id', 'name'] }).errors, [
+    { field: 'sort', message: 'must be a single value' },
+  ]);
+});
+
+test('assertValid throws a 400 carrying the details', () => {
+  assert.doesNotThrow(() => assertValid([]));
+  const details = [{ field: 'email', message: 'is required' }];
+  assert.throws(() => assertValid(details), err => err.status === 400 && err.extra.details === details);
+});
+
+test('checks the disposition path against the tree version', async () => {
+  resetDb();
+  onQuery(/FROM disposition_versions/, () => [{ id: 9, tenant_id: 1, status: 'published' }]);
+  onQuery(/FROM disposition_config/, () => [
+    { call_type: 'Sales', disposition_1: 'Quote', disposition_2: 'Sent', email_address: null, is_custom_input: 0 },
+  ]);
+
+  assert.deepEqual(await checkDispositionPath(FORM, 9, 1), []);
+  assert.deepEqual(await checkDispositionPath({ call_type: 'Sales' }, 9, 1), []);
+  assert.deepEqual(fields(await checkDispositionPath({ ...FORM, call_type: 'Billing' }, 9, 1)), ['call_type']);
+  assert.deepEqual(fields(await checkDispositionPath({ ...FORM, disposition_2: 'Lost' }, 9, 1)), ['disposition_2']);
+  assert.deepEqual(
+    fields(await checkDispositionPath({ call_type: 'Sales', disposition_2: 'Sent' }, 9, 1)), ['disposition_1']
+  );
+});
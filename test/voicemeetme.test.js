@@ -0,0 +1,125 @@
+// test/voicemeetme.test.js - portal client (voicemeetme.js / tokenService.js)
+// against the mock portal. Run with `npm test`.
+import './support/db.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockPortal } from './support/mockPortal.js';
+
+process.env.API_USERNAME = 'tester';
+process.env.API_PASSWORD = 'secret';
+process.env.VMM_TIMEOUT_MS = '2000';
+delete process.env.VMM_MAX_RETRIES;
+delete process.env.TOKEN_CACHE_URL;
+delete process.env.VMM_DISPOSITIONS_FIXTURE;
+
+// Imported once the environment above is in place; the client reads it on
+// load. Tenants come from the (empty) test database, so every domain uses the
+// platform account above.
+const vmm = await import('../src/voicemeetme.js');
+
+const TENANT = 'mc_int';
+const CALL_ID = 'as752olfnafj55a8ve6c';
+
+// Runs fn against a fresh mock portal that BASE_URL points at
+async function withPortal(env, fn) {
+  const portal = await startMockPortal(env);
+  process.env.BASE_URL = portal.url;
+  try {
+    await fn(portal);
+  } finally {
+    await portal.stop();
+  }
+}
+
+async function count(portal, request) {
+  return (await portal.requests()).filter(line => line === request).length;
+}
+
+test('looks up a call, logging in through the fallback login URL', async () => {
+  await withPortal({}, async (portal) => {
+    const call = await vmm.getCampaignCall(TENANT, CALL_ID);
+    assert.equal(call.id, CALL_ID);
+    assert.equal(call.campaign_id, 'cmp-104');
+    assert.deepEqual((await portal.requests()).slice(0, 2), ['POST /api/v2/config/login/oauth', 'POST /api/v2/login']);
+  });
+});
+
+test('reports unknown calls as not found', async () => {
+  await withPortal({}, async () => {
+    await assert.rejects(vmm.getCampaignCall(TENANT, 'no-such-call'), (err) => {
+      assert.ok(err instanceof vmm.VoiceMeetMeNotFoundError);
+      assert.equal(err.portalStatus, 404);
+      assert.equal(err.retryable, false);
+      return true;
+    });
+  });
+});
+
+test('shares one login between concurrent requests', async () => {
+  await withPortal({}, async (portal) => {
+    const calls = await Promise.all([1, 2, 3].map(() => vmm.getCampaignCall(TENANT, CALL_ID)));
+    assert.equal(calls.length, 3);
+    assert.equal(await count(portal, 'POST /api/v2/login'), 1);
+  });
+});
+
+test('retries idempotent requests while the portal is unavailable (MOCK_FAIL_FIRST)', async () => {
+  await withPortal({ MOCK_FAIL_FIRST: '2' }, async (portal) => {
+    const cdr = await vmm.getCallCdr(TENANT, CALL_ID);
+    assert.equal(cdr.call_id, CALL_ID);
+    assert.equal(await count(portal, `GET /api/v2/cdr/${CALL_ID}`), 3);
+  });
+});
+
+test('gives up after VMM_MAX_RETRIES attempts', async () => {
+  await withPortal({ MOCK_FAIL_FIRST: '5' }, async (portal) => {
+    await assert.rejects(vmm.getCampaignCall(TENANT, CALL_ID), (err) => {
+      assert.ok(err instanceof vmm.VoiceMeetMeUnavailableError);
+      assert.equal(err.portalStatus, 503);
+      return true;
+    });
+    assert.equal(await count(portal, `GET /api/v2/config/campaigns/call/${CALL_ID}`), 3);
+  });
+});
+
+test('does not retry notes, which are not idempotent', async () => {
+  await withPortal({ MOCK_FAIL_FIRST: '1' }, async (portal) => {
+    await assert.rejects(vmm.addCallNote(TENANT, CALL_ID, 'Called back'), vmm.VoiceMeetMeUnavailableError);
+    assert.equal(await count(portal, `POST /api/v2/config/campaigns/call/${CALL_ID}/notes`), 1);
+
+    const note = await vmm.addCallNote(TENANT, CALL_ID, 'Called back');
+    assert.equal(note.note, 'Called back');
+  });
+});
+
+test('renews an expiring token with the refresh token instead of logging in', async () => {
+  // Tokens living 1s are always inside the renewal margin
+  await withPortal({ MOCK_TOKEN_TTL_SECONDS: '1' }, async (portal) => {
+    await vmm.getCampaignCall(TENANT, CALL_ID);
+    await vmm.getCampaignCall(TENANT, CALL_ID);
+    assert.equal(await count(portal, 'POST /api/v2/login'), 1);
+    assert.equal(await count(portal, 'POST /api/v2/config/login/refresh'), 1);
+  });
+});
+
+test('logs in again when the portal revoked its tokens', async () => {
+  const first = await startMockPortal();
+  process.env.BASE_URL = first.url;
+  try {
+    await vmm.getCampaignCall(TENANT, CALL_ID);
+  } finally {
+    await first.stop();
+  }
+
+  // A restarted mock forgets every token it issued: the request answers 401,
+  // the refresh token is refused as well and a full login follows
+  const restarted = await startMockPortal({}, first.port);
+  try {
+    const call = await vmm.getCampaignCall(TENANT, CALL_ID);
+    assert.equal(call.id, CALL_ID);
+    assert.equal(await count(restarted, `GET /api/v2/config/campaigns/call/${CALL_ID}`), 2);
+    assert.equal(await count(restarted, 'POST /api/v2/login'), 1);
+  } finally {
+    await restarted.stop();
+  }
+});
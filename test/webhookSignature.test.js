@@ -0,0 +1,77 @@
+// test/webhookSignature.test.js - webhook call verification (webhookSignature.js)
+import { onQuery, resetDb } from './support/db.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { canonicalString, signWebhookParams, checkWebhookSignature } from '../src/webhookSignature.js';
+
+const SECRET = 'tenant-secret-0123456789';
+const PARAMS = { tenant: 'mc_int', agent: '1001', queue: '600', cidnum: '0821234567' };
+
+const now = () => Math.floor(Date.now() / 1000);
+
+// Scripts one active secret and a webhook_replays table with its primary key
+beforeEach(() => {
+  resetDb();
+  const replays = new Set();
+  onQuery(/FROM webhook_secrets/, () => [{ secret: SECRET }]);
+  onQuery(/INSERT INTO webhook_replays/, ([key]) => {
+    if (replays.has(key)) throw Object.assign(new Error('Duplicate entry'), { code: 'ER_DUP_ENTRY' });
+    replays.add(key);
+    return { affectedRows: 1 };
+  });
+});
+
+function signed(params, timestamp = now(), secret = SECRET) {
+  return { ...params, ...signWebhookParams(params, secret, timestamp) };
+}
+
+test('signs ts and the sorted parameters, without the credentials', () => {
+  assert.equal(
+    canonicalString({ queue: '600', agent: '1001', ts: '1700000000', sig: 'x', token: 'y' }, 1700000000),
+    '1700000000.agent=1001&queue=600'
+  );
+});
+
+test('encodes names and values, so a value cannot pass for other parameters', () => {
+  assert.equal(canonicalString({ note: 'a&b=c d' }, 1), '1.note=a%26b%3Dc%20d');
+  assert.notEqual(
+    canonicalString({ agent: '1001&queue=600' }, 1),
+    canonicalString({ agent: '1001', queue: '600' }, 1)
+  );
+  assert.equal(canonicalString({ queue: ['600', '601'] }, 1), '1.queue=600&queue=601');
+});
+
+test('accepts a correctly signed call', async () => {
+  assert.equal(await checkWebhookSignature(signed(PARAMS)), null);
+});
+
+test('rejects calls without a signature or timestamp', async () => {
+  assert.equal(await checkWebhookSignature(PARAMS), 'missing_signature');
+  const { sig } = signWebhookParams(PARAMS, SECRET);
+  assert.equal(await checkWebhookSignature({ ...PARAMS, sig }), 'missing_timestamp');
+});
+
+test('rejects a signature made with another secret', async () => {
+  assert.equal(await checkWebhookSignature(signed(PARAMS, now(), 'some-other-secret-456')), 'bad_signature');
+});
+
+test('rejects a signed call whose parameters were changed', async () => {
+  assert.equal(await checkWebhookSignature({ ...signed(PARAMS), agent: '1002' }), 'bad_signature');
+});
+
+test('rejects a stale timestamp', async () => {
+  assert.equal(await checkWebhookSignature(signed(PARAMS, now() - 3600)), 'stale_timestamp');
+});
+
+test('rejects a replayed call while its timestamp is still fresh', async () => {
+  const call = signed(PARAMS);
+  assert.equal(await checkWebhookSignature(call), null);
+  assert.equal(await checkWebhookSignature(call), 'replayed');
+});
+
+test('accepts the shared secret as token, once per call', async () => {
+  const call = { ...PARAMS, ts: String(now()), token: SECRET };
+  assert.equal(await checkWebhookSignature(call), null);
+  assert.equal(await checkWebhookSignature(call), 'replayed');
+  assert.equal(await checkWebhookSignature({ ...call, token: 'wrong-token-0123456' }), 'bad_token');
+});